@@ -4,6 +4,7 @@ const { ethers } = require('ethers');
 const FusionCrossChainExtension = require('../fusion/fusionIntegration');
 const BitcoinAtomicSwap = require('../bitcoin/atomicSwap');
 const DogecoinAtomicSwap = require('../dogecoin/atomicSwap');
+const { toScriptHashlock, assertScriptCompatible } = require('../ethereum');
 const path = require('path');
 
 // Load environment variables
@@ -289,7 +290,8 @@ app.post('/api/dogecoin/create-swap-address', (req, res) => {
             hashedSecret,
             timelock,
             recipientPubKey,
-            senderPubKey
+            senderPubKey,
+            hashAlgorithm = 'sha256'
         } = req.body;
 
         if (!hashedSecret || !timelock || !recipientPubKey || !senderPubKey) {
@@ -299,20 +301,26 @@ app.post('/api/dogecoin/create-swap-address', (req, res) => {
             });
         }
 
+        try {
+            assertScriptCompatible(hashAlgorithm);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
         const dogecoinSwap = new DogecoinAtomicSwap();
-        
-        // Remove 0x prefix if present
-        const cleanHashedSecret = hashedSecret.startsWith('0x') ? 
-            hashedSecret.slice(2) : hashedSecret;
 
-        const script = dogecoinSwap.createAtomicSwapScript(
-            cleanHashedSecret,
-            timelock,
+        const script = dogecoinSwap.createHTLCScript(
+            toScriptHashlock(hashedSecret, hashAlgorithm),
+            senderPubKey,
             recipientPubKey,
-            senderPubKey
+            timelock,
+            hashAlgorithm
         );
 
-        const swapAddress = dogecoinSwap.createP2SHAddress(script);
+        const swapAddress = dogecoinSwap.generateP2SHAddress(script);
 
         res.json({
             success: true,
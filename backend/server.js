@@ -2,8 +2,30 @@ const express = require('express');
 const cors = require('cors');
 const { ethers } = require('ethers');
 const BitcoinAtomicSwap = require('../bitcoin/atomicSwap');
+const { OUTPUT_TYPES: BTC_OUTPUT_TYPES, TIMELOCK_TYPES: BTC_TIMELOCK_TYPES } = BitcoinAtomicSwap;
+const { INCREMENTAL_RELAY_FEE_RATE, escalateFeeRate } = require('../bitcoin/fees');
 const DogecoinAtomicSwap = require('../dogecoin/atomicSwap');
-const AtomicSwapABI = require('../artifacts/contracts/AtomicSwap.sol/AtomicSwap.json');
+const {
+    ASSET_TYPES,
+    ITEM_ABI,
+    LEGACY_ABI,
+    computeEscrowAddress,
+    connectDeployments,
+    createRegistry,
+    findSwapDeployment,
+    deriveSwapId,
+    detectAssetType,
+    hashSecret,
+    isLegacyContract,
+    isCommittedContract,
+    fetchSwapRecord,
+    swapCallArgs,
+    readSwap,
+    readStage,
+    toScriptHashlock,
+    assertScriptCompatible
+} = require('../ethereum');
+const fs = require('fs');
 const path = require('path');
 
 // Load environment variables from the root directory
@@ -19,7 +41,67 @@ app.use(express.json());
 // Initialize services
 const bitcoinSwap = new BitcoinAtomicSwap();
 const dogecoinSwap = new DogecoinAtomicSwap();
-let ethProvider, ethContract;
+let ethProvider, ethContract, relayerWallet;
+
+// Every AtomicSwap version on the chain, newest first; ethContract is the latest, where new swaps go
+let ethDeployments = [];
+const swapDeployments = new Map(); // swapId => version holding the swap
+
+// Fee the relayer asks for submitting gasless withdrawals, in basis points of the swap amount
+const RELAYER_FEE_BPS = BigInt(process.env.RELAYER_FEE_BPS || 10);
+
+// Fee policy of Bitcoin claims and refunds, in sat/vB: feeRate until the last window seconds
+// before a spend's deadline, then rising to maxFeeRate at the deadline
+const BTC_FEE_POLICY = {
+    feeRate: Number(process.env.BTC_FEE_RATE || BitcoinAtomicSwap.DEFAULT_FEE_RATE),
+    maxFeeRate: Number(process.env.BTC_MAX_FEE_RATE || 200),
+    window: Number(process.env.BTC_FEE_ESCALATION_WINDOW || 6 * 3600)
+};
+const BTC_FEE_CHECK_INTERVAL = 60 * 1000;
+
+// EscrowFactory deploying one escrow clone per swap; optional
+const ESCROW_FACTORY_ADDRESS = process.env.ESCROW_FACTORY_ADDRESS;
+
+/**
+ * Version registry written by scripts/deploy.js. A contract from ATOMIC_SWAP_CONTRACT_ADDRESS
+ * that isn't registered, i.e. one deployed before the registry existed, is kept as the
+ * oldest version, with the ABI of that contract, so its swaps stay visible.
+ */
+function loadDeployments(chainId) {
+    const registryPath = process.env.ATOMIC_SWAP_DEPLOYMENTS ||
+        path.join(__dirname, '..', 'deployments', `${chainId}.json`);
+    const registry = fs.existsSync(registryPath)
+        ? JSON.parse(fs.readFileSync(registryPath, 'utf8'))
+        : createRegistry(chainId);
+
+    const legacyAddress = process.env.ATOMIC_SWAP_CONTRACT_ADDRESS;
+    if (legacyAddress && ethers.isAddress(legacyAddress) &&
+        !registry.versions.some(({ address }) => address.toLowerCase() === legacyAddress.toLowerCase())) {
+        registry.versions.unshift({ version: 0, address: legacyAddress, abi: LEGACY_ABI, blockNumber: 0 });
+    }
+    return registry;
+}
+
+/**
+ * Contract of the version a swap was initiated on, or null if no version has it
+ */
+async function findSwapContract(swapId) {
+    if (!swapDeployments.has(swapId)) {
+        const deployment = await findSwapDeployment(ethDeployments, swapId);
+        if (!deployment) {
+            return null;
+        }
+        swapDeployments.set(swapId, deployment);
+    }
+    return swapDeployments.get(swapId).contract;
+}
+
+/**
+ * Contract of the version a swap was initiated on; the latest when no version has it (yet)
+ */
+async function getSwapContract(swapId) {
+    return (await findSwapContract(swapId)) || ethContract;
+}
 
 // Initialize Ethereum connection
 async function initializeEthereum() {
@@ -41,9 +123,10 @@ async function initializeEthereum() {
         await Promise.race([networkPromise, timeoutPromise]);
         console.log('✅ Ethereum RPC connection successful');
         
-        const contractAddress = process.env.ATOMIC_SWAP_CONTRACT_ADDRESS;
+        const { chainId } = await ethProvider.getNetwork();
+        const registry = loadDeployments(chainId);
         
-        if (!contractAddress || contractAddress === 'your_contract_address_here') {
+        if (registry.versions.length === 0) {
             console.log('⚠️  No valid contract address found. Contract features will be disabled.');
             console.log('   To enable contract features:');
             console.log('   1. Run: ./simple-deploy.sh');
@@ -51,8 +134,12 @@ async function initializeEthereum() {
             return;
         }
         
-        ethContract = new ethers.Contract(contractAddress, AtomicSwapABI.abi, ethProvider);
-        console.log('✅ Ethereum contract initialized:', contractAddress);
+        ethDeployments = connectDeployments(registry, ethProvider);
+        ethContract = ethDeployments[0].contract;
+        console.log('✅ Ethereum contract initialized:', ethDeployments[0].address);
+        if (ethDeployments.length > 1) {
+            console.log(`   Reading swaps from ${ethDeployments.length} contract versions`);
+        }
         
         // Test contract connection
         try {
@@ -63,31 +150,173 @@ async function initializeEthereum() {
             ethContract = null; // Disable contract if it's not working
         }
         
+        if (ethContract && process.env.RELAYER_PRIVATE_KEY) {
+            relayerWallet = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, ethProvider);
+            console.log('✅ Relayer enabled:', relayerWallet.address);
+        }
+        
     } catch (error) {
         console.error('❌ Failed to initialize Ethereum:', error.message);
         console.log('   API will still work for basic operations');
         console.log('   To fix: ensure Hardhat node is running on port 8545');
         ethProvider = null;
         ethContract = null;
+        ethDeployments = [];
+        relayerWallet = null;
     }
 }
 
 // In-memory storage for active swaps (use database in production)
 const activeSwaps = new Map();
 
+const ERC20_METADATA_ABI = [
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)'
+];
+
+// Names of AtomicSwap.Stage values, in enum order
+const STAGES = [
+    'finality-lock',
+    'private-withdrawal',
+    'public-withdrawal',
+    'private-cancellation',
+    'public-cancellation'
+];
+
+// Window in which a relayer, not being a party to the swap, may settle it
+const RELAYER_STAGES = {
+    withdraw: 'public-withdrawal',
+    refund: 'public-cancellation'
+};
+
+/**
+ * What the participant receives after AtomicSwap's protocol fee, mirroring _takeProtocolFee
+ */
+function netOfProtocolFee(amount, feeBps) {
+    const gross = ethers.getBigInt(amount);
+    return gross - (gross * ethers.getBigInt(feeBps)) / 10000n;
+}
+
+/**
+ * Whether the Ethereum leg can be locked in an escrow clone: a factory is configured, the
+ * request names both parties and the timelocks, and the swap locks no NFT or basket, which
+ * escrow clones can't hold.
+ */
+function usesEscrow({ ethInitiator, ethParticipant, ethAssetType, ethBasket, timelocks }) {
+    return !!ESCROW_FACTORY_ADDRESS && !!ethInitiator && !!ethParticipant && !!timelocks &&
+        (!ethAssetType || ethAssetType === 'fungible') && !(ethBasket && ethBasket.length > 0);
+}
+
+/**
+ * Escrow clones only check sha256 secrets, so a swap that would use one can't be
+ * hashlocked with another algorithm
+ */
+function assertEscrowCompatible(swap, hashAlgorithm) {
+    if (hashAlgorithm !== 'sha256' && usesEscrow(swap)) {
+        throw new Error(`Escrow clones only check sha256 secrets, not ${hashAlgorithm}`);
+    }
+}
+
+/**
+ * Predict the CREATE2 address of the Ethereum leg's escrow clone. Returns null when the
+ * swap can't use one (see usesEscrow) or isn't hashlocked with sha256.
+ */
+function predictEscrowAddress(swap) {
+    if (swap.hashAlgorithm !== 'sha256' || !usesEscrow(swap)) {
+        return null;
+    }
+
+    const { ethInitiator, ethParticipant, ethTokenAddress, ethAmount, hashedSecret, safetyDeposit, timelocks } = swap;
+
+    return computeEscrowAddress(ESCROW_FACTORY_ADDRESS, {
+        initiator: ethInitiator,
+        participant: ethParticipant,
+        token: ethTokenAddress,
+        amount: ethAmount,
+        hashedSecret,
+        safetyDeposit,
+        timelocks
+    });
+}
+
+/**
+ * Hash algorithm of a swap's hashlock, sha256 unless the request names one. Every swap
+ * served here has a Bitcoin-family leg, so the algorithm must be checkable in script.
+ */
+function resolveHashAlgorithm(hashAlgorithm = 'sha256') {
+    assertScriptCompatible(hashAlgorithm);
+    return hashAlgorithm;
+}
+
+/**
+ * ID of a swap funded on Ethereum. When the initiator's nonce is supplied, the ID is
+ * derived from the swap parameters (as AtomicSwap does) and must match any ID sent along.
+ */
+function resolveEthSwapId({ swapId, ethInitiator, ethParticipant, ethTokenAddress, ethAmount, hashedSecret, timelock, timelocks, nonce }) {
+    if (nonce === undefined || !ethInitiator || !ethParticipant || !ethAmount || !hashedSecret) {
+        return swapId;
+    }
+
+    const derivedSwapId = deriveSwapId({
+        initiator: ethInitiator,
+        participant: ethParticipant,
+        token: ethTokenAddress,
+        amount: ethAmount,
+        hashedSecret,
+        timelock: timelocks ? timelocks.cancellation : timelock,
+        nonce
+    });
+
+    if (swapId && swapId.toLowerCase() !== derivedSwapId) {
+        throw new Error('Swap ID does not match swap parameters');
+    }
+    return derivedSwapId;
+}
+
 // API Routes
 
 /**
- * Generate a new secret for atomic swap
+ * Generate a new secret for atomic swap. With `parts` > 1, generates one secret per
+ * partial fill and returns their Merkle root as the hashed secret to commit on-chain.
  */
 app.post('/api/generate-secret', (req, res) => {
     try {
-        const { secret, hashedSecret } = bitcoinSwap.generateSecret();
+        const parts = Number(req.body?.parts || 1);
+
+        let hashAlgorithm;
+        try {
+            hashAlgorithm = resolveHashAlgorithm(req.body?.hashAlgorithm);
+            if (parts > 1 && hashAlgorithm !== 'sha256') {
+                throw new Error('Partial fills require sha256');
+            }
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        if (parts > 1) {
+            const { secrets, hashedSecrets, merkleRoot, proofs } = bitcoinSwap.generateSecretSet(parts);
+            return res.json({
+                success: true,
+                data: {
+                    parts,
+                    secrets,
+                    hashedSecrets,
+                    hashedSecret: '0x' + merkleRoot,
+                    proofs: proofs.map(proof => proof.map(node => '0x' + node))
+                }
+            });
+        }
+
+        const { secret } = bitcoinSwap.generateSecret();
         res.json({
             success: true,
             data: { 
                 secret, 
-                hashedSecret: '0x' + hashedSecret  // Add 0x prefix for ethers.js compatibility
+                hashAlgorithm,
+                hashedSecret: hashSecret(secret, hashAlgorithm)  // 0x-prefixed, as AtomicSwap stores it
             }
         });
     } catch (error) {
@@ -104,15 +333,39 @@ app.post('/api/generate-secret', (req, res) => {
 app.post('/api/swap/eth-to-btc/initiate', async (req, res) => {
     try {
         const {
-            swapId,
             ethAmount,
             btcAmount,
             btcAddress,
             hashedSecret,
             timelock,
-            ethTokenAddress
+            timelocks,
+            safetyDeposit,
+            ethTokenAddress,
+            ethAssetType,
+            ethTokenId,
+            ethBasket,
+            ethInitiator,
+            ethParticipant
         } = req.body;
 
+        let swapId, hashAlgorithm;
+        try {
+            if (ethAssetType !== undefined && !(ethAssetType in ASSET_TYPES)) {
+                throw new Error(`Unknown asset type: ${ethAssetType}`);
+            }
+            if (ethBasket !== undefined && !Array.isArray(ethBasket)) {
+                throw new Error('ethBasket must be a list of assets');
+            }
+            swapId = resolveEthSwapId(req.body);
+            hashAlgorithm = resolveHashAlgorithm(req.body.hashAlgorithm);
+            assertEscrowCompatible(req.body, hashAlgorithm);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
         // Validate inputs
         if (!swapId || !ethAmount || !btcAmount || !btcAddress || !hashedSecret || !timelock) {
             return res.status(400).json({
@@ -121,6 +374,8 @@ app.post('/api/swap/eth-to-btc/initiate', async (req, res) => {
             });
         }
 
+        const escrowAddress = predictEscrowAddress({ ...req.body, hashAlgorithm });
+
         // Store swap details
         activeSwaps.set(swapId, {
             type: 'eth-to-btc',
@@ -128,8 +383,17 @@ app.post('/api/swap/eth-to-btc/initiate', async (req, res) => {
             btcAmount,
             btcAddress,
             hashedSecret,
+            hashAlgorithm,
             timelock,
+            timelocks,
+            safetyDeposit: safetyDeposit || '0',
             ethTokenAddress: ethTokenAddress || ethers.ZeroAddress,
+            ethAssetType: ethAssetType || 'fungible',
+            ethTokenId: ethTokenId || '0',
+            ethBasket: ethBasket || [], // legs released by the same secret, as SwapParams.basket
+            ethInitiator,
+            ethParticipant,
+            escrowAddress,
             status: 'initiated',
             createdAt: Date.now()
         });
@@ -138,6 +402,7 @@ app.post('/api/swap/eth-to-btc/initiate', async (req, res) => {
             success: true,
             data: {
                 swapId,
+                escrowAddress,
                 message: 'Swap initiated. Please fund the Ethereum contract.',
                 nextStep: 'fund-ethereum-contract'
             }
@@ -162,20 +427,70 @@ app.post('/api/swap/btc-to-eth/initiate', async (req, res) => {
             ethAddress,
             hashedSecret,
             timelock,
+            timelocks,
+            safetyDeposit,
             ethTokenAddress,
+            ethInitiator,
             btcSenderPubKey,
-            btcRecipientPubKey
+            btcRecipientPubKey,
+            btcOutputType = 'p2wsh',
+            btcTimelockType = 'absolute'
         } = req.body;
 
-        // Create Bitcoin atomic swap script
-        const script = bitcoinSwap.createAtomicSwapScript(
-            hashedSecret,
-            timelock,
-            btcRecipientPubKey,
-            btcSenderPubKey
-        );
+        let hashAlgorithm;
+        try {
+            hashAlgorithm = resolveHashAlgorithm(req.body.hashAlgorithm);
+            assertEscrowCompatible({ ...req.body, ethParticipant: ethAddress }, hashAlgorithm);
+            if (!BTC_OUTPUT_TYPES.includes(btcOutputType) && btcOutputType !== 'p2tr') {
+                throw new Error(`Unknown Bitcoin output type: ${btcOutputType}`);
+            }
+            if (!BTC_TIMELOCK_TYPES.includes(btcTimelockType)) {
+                throw new Error(`Unknown Bitcoin timelock type: ${btcTimelockType}`);
+            }
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
 
-        const btcSwapAddress = bitcoinSwap.createP2SHAddress(script);
+        // The ETH leg pays out to ethAddress; it is locked by the counterparty
+        const escrowAddress = predictEscrowAddress({ ...req.body, ethParticipant: ethAddress, hashAlgorithm });
+
+        // The BTC funder holds the secret, so its leg must outlast the ETH one. A relative lock
+        // counts from the funding confirmation, so a late confirmation doesn't shorten it.
+        const btcTimelock = btcTimelockType === 'relative'
+            ? bitcoinSwap.relativeTimelockFromEthereum(timelocks ? timelocks.cancellation : timelock)
+            : timelock;
+
+        // Earliest the BTC refund path can open; a relative lock is counted from now, before
+        // the funding has confirmed, which errs towards bumping claim fees early
+        let btcRefundOpensAt = Number(btcTimelock);
+        if (btcTimelockType === 'relative') {
+            const { blocks, seconds } = bitcoinSwap.decodeRelativeTimelock(btcTimelock);
+            btcRefundOpensAt = Math.floor(Date.now() / 1000) + (seconds || blocks * 600);
+        }
+
+        // Create Bitcoin atomic swap script; Taproot splits its branches into two leaves
+        const htlcArgs = [
+            toScriptHashlock(hashedSecret, hashAlgorithm),
+            btcTimelock,
+            btcRecipientPubKey,
+            btcSenderPubKey,
+            hashAlgorithm,
+            btcTimelockType
+        ];
+        let btcScript, btcTapLeaves, btcSwapAddress;
+        if (btcOutputType === 'p2tr') {
+            const leaves = bitcoinSwap.createTaprootSwapScripts(...htlcArgs);
+            btcTapLeaves = { claim: leaves.claim.toString('hex'), refund: leaves.refund.toString('hex') };
+            btcSwapAddress = bitcoinSwap.createTaprootSwapAddress(leaves);
+        } else {
+            const script = bitcoinSwap.createAtomicSwapScript(...htlcArgs);
+            btcScript = script.toString('hex');
+            // Native SegWit unless the funder's wallet needs a P2SH (3...) address
+            btcSwapAddress = bitcoinSwap.createSwapAddress(script, btcOutputType);
+        }
 
         // Store swap details
         activeSwaps.set(swapId, {
@@ -184,10 +499,20 @@ app.post('/api/swap/btc-to-eth/initiate', async (req, res) => {
             ethAmount,
             ethAddress,
             hashedSecret,
+            hashAlgorithm,
             timelock,
             ethTokenAddress: ethTokenAddress || ethers.ZeroAddress,
+            timelocks,
+            safetyDeposit: safetyDeposit || '0',
+            ethInitiator,
+            escrowAddress,
             btcSwapAddress,
-            btcScript: script.toString('hex'),
+            btcOutputType,
+            btcTimelockType,
+            btcTimelock,
+            btcRefundOpensAt,
+            btcScript,
+            btcTapLeaves,
             btcSenderPubKey,
             btcRecipientPubKey,
             status: 'initiated',
@@ -199,6 +524,12 @@ app.post('/api/swap/btc-to-eth/initiate', async (req, res) => {
             data: {
                 swapId,
                 btcSwapAddress,
+                btcOutputType,
+                btcTimelockType,
+                btcTimelock,
+                btcScript,
+                btcTapLeaves,
+                escrowAddress,
                 message: 'Bitcoin swap address created. Please fund this address.',
                 nextStep: 'fund-bitcoin-address'
             }
@@ -217,15 +548,39 @@ app.post('/api/swap/btc-to-eth/initiate', async (req, res) => {
 app.post('/api/swap/eth-to-doge/initiate', async (req, res) => {
     try {
         const {
-            swapId,
             ethAmount,
             dogeAmount,
             dogeAddress,
             hashedSecret,
             timelock,
-            ethTokenAddress
+            timelocks,
+            safetyDeposit,
+            ethTokenAddress,
+            ethAssetType,
+            ethTokenId,
+            ethBasket,
+            ethInitiator,
+            ethParticipant
         } = req.body;
 
+        let swapId, hashAlgorithm;
+        try {
+            if (ethAssetType !== undefined && !(ethAssetType in ASSET_TYPES)) {
+                throw new Error(`Unknown asset type: ${ethAssetType}`);
+            }
+            if (ethBasket !== undefined && !Array.isArray(ethBasket)) {
+                throw new Error('ethBasket must be a list of assets');
+            }
+            swapId = resolveEthSwapId(req.body);
+            hashAlgorithm = resolveHashAlgorithm(req.body.hashAlgorithm);
+            assertEscrowCompatible(req.body, hashAlgorithm);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
         // Validate inputs
         if (!swapId || !ethAmount || !dogeAmount || !dogeAddress || !hashedSecret || !timelock) {
             return res.status(400).json({
@@ -234,6 +589,8 @@ app.post('/api/swap/eth-to-doge/initiate', async (req, res) => {
             });
         }
 
+        const escrowAddress = predictEscrowAddress({ ...req.body, hashAlgorithm });
+
         // Store swap details
         activeSwaps.set(swapId, {
             type: 'eth-to-doge',
@@ -241,8 +598,17 @@ app.post('/api/swap/eth-to-doge/initiate', async (req, res) => {
             dogeAmount,
             dogeAddress,
             hashedSecret,
+            hashAlgorithm,
             timelock,
+            timelocks,
+            safetyDeposit: safetyDeposit || '0',
             ethTokenAddress: ethTokenAddress || ethers.ZeroAddress,
+            ethAssetType: ethAssetType || 'fungible',
+            ethTokenId: ethTokenId || '0',
+            ethBasket: ethBasket || [], // legs released by the same secret, as SwapParams.basket
+            ethInitiator,
+            ethParticipant,
+            escrowAddress,
             status: 'initiated',
             createdAt: Date.now()
         });
@@ -251,6 +617,7 @@ app.post('/api/swap/eth-to-doge/initiate', async (req, res) => {
             success: true,
             data: {
                 swapId,
+                escrowAddress,
                 message: 'Dogecoin swap initiated. Please fund the Ethereum contract.',
                 nextStep: 'fund-ethereum-contract'
             }
@@ -275,20 +642,38 @@ app.post('/api/swap/doge-to-eth/initiate', async (req, res) => {
             ethAddress,
             hashedSecret,
             timelock,
+            timelocks,
+            safetyDeposit,
             ethTokenAddress,
+            ethInitiator,
             dogeSenderPubKey,
             dogeRecipientPubKey
         } = req.body;
 
+        let hashAlgorithm;
+        try {
+            hashAlgorithm = resolveHashAlgorithm(req.body.hashAlgorithm);
+            assertEscrowCompatible({ ...req.body, ethParticipant: ethAddress }, hashAlgorithm);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        // The ETH leg pays out to ethAddress; it is locked by the counterparty
+        const escrowAddress = predictEscrowAddress({ ...req.body, ethParticipant: ethAddress, hashAlgorithm });
+
         // Create Dogecoin atomic swap script
-        const script = dogecoinSwap.createAtomicSwapScript(
-            hashedSecret,
-            timelock,
+        const script = dogecoinSwap.createHTLCScript(
+            toScriptHashlock(hashedSecret, hashAlgorithm),
+            dogeSenderPubKey,
             dogeRecipientPubKey,
-            dogeSenderPubKey
+            timelock,
+            hashAlgorithm
         );
 
-        const dogeSwapAddress = dogecoinSwap.createP2SHAddress(script);
+        const dogeSwapAddress = dogecoinSwap.generateP2SHAddress(script);
 
         // Store swap details
         activeSwaps.set(swapId, {
@@ -297,8 +682,13 @@ app.post('/api/swap/doge-to-eth/initiate', async (req, res) => {
             ethAmount,
             ethAddress,
             hashedSecret,
+            hashAlgorithm,
             timelock,
             ethTokenAddress: ethTokenAddress || ethers.ZeroAddress,
+            timelocks,
+            safetyDeposit: safetyDeposit || '0',
+            ethInitiator,
+            escrowAddress,
             dogeSwapAddress,
             dogeScript: script.toString('hex'),
             dogeSenderPubKey,
@@ -312,6 +702,7 @@ app.post('/api/swap/doge-to-eth/initiate', async (req, res) => {
             data: {
                 swapId,
                 dogeSwapAddress,
+                escrowAddress,
                 message: 'Dogecoin swap address created. Please fund this address.',
                 nextStep: 'fund-dogecoin-address'
             }
@@ -342,19 +733,26 @@ app.post('/api/dogecoin/create-swap-address', (req, res) => {
                 error: 'Missing required parameters'
             });
         }
-        
-        // Remove 0x prefix if present
-        const cleanHashedSecret = hashedSecret.startsWith('0x') ? 
-            hashedSecret.slice(2) : hashedSecret;
 
-        const script = dogecoinSwap.createAtomicSwapScript(
-            cleanHashedSecret,
-            timelock,
+        let hashAlgorithm;
+        try {
+            hashAlgorithm = resolveHashAlgorithm(req.body.hashAlgorithm);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        const script = dogecoinSwap.createHTLCScript(
+            toScriptHashlock(hashedSecret, hashAlgorithm),
+            senderPubKey,
             recipientPubKey,
-            senderPubKey
+            timelock,
+            hashAlgorithm
         );
 
-        const swapAddress = dogecoinSwap.createP2SHAddress(script);
+        const swapAddress = dogecoinSwap.generateP2SHAddress(script);
 
         res.json({
             success: true,
@@ -432,12 +830,25 @@ app.get('/api/swap/:swapId/status', async (req, res) => {
         let ethStatus = null;
         if (ethContract) {
             try {
-                const ethSwap = await ethContract.getSwap(swapId);
+                const swapContract = await getSwapContract(swapId);
+                const ethSwap = await readSwap(swapContract, swapId);
                 ethStatus = {
                     exists: true,
                     withdrawn: ethSwap.withdrawn,
                     refunded: ethSwap.refunded,
-                    timelock: ethSwap.timelock.toString()
+                    timelock: ethSwap.timelocks.cancellation.toString(),
+                    timelocks: {
+                        withdrawal: ethSwap.timelocks.withdrawal.toString(),
+                        publicWithdrawal: ethSwap.timelocks.publicWithdrawal.toString(),
+                        cancellation: ethSwap.timelocks.cancellation.toString(),
+                        publicCancellation: ethSwap.timelocks.publicCancellation.toString()
+                    },
+                    stage: STAGES[await readStage(swapContract, swapId)],
+                    contractAddress: await swapContract.getAddress(),
+                    safetyDeposit: ethSwap.safetyDeposit.toString(),
+                    depositCollector: ethSwap.depositCollector,
+                    protocolFeeBps: Number(ethSwap.protocolFeeBps),
+                    netAmount: netOfProtocolFee(ethSwap.amount, ethSwap.protocolFeeBps).toString()
                 };
             } catch (error) {
                 ethStatus = { exists: false };
@@ -475,11 +886,10 @@ app.post('/api/swap/:swapId/complete', async (req, res) => {
             });
         }
 
-        // Verify secret
-        const crypto = require('crypto');
-        const computedHash = crypto.createHash('sha256').update(Buffer.from(secret, 'hex')).digest('hex');
+        // Verify secret against the Ethereum hashlock
+        const expectedHash = swap.hashedSecret.startsWith('0x') ? swap.hashedSecret : '0x' + swap.hashedSecret;
         
-        if (computedHash !== swap.hashedSecret) {
+        if (hashSecret(secret, swap.hashAlgorithm || 'sha256') !== expectedHash.toLowerCase()) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid secret'
@@ -523,7 +933,7 @@ app.get('/api/swaps', async (req, res) => {
             // Check blockchain status if contract is available
             if (ethContract) {
                 try {
-                    const blockchainSwap = await ethContract.getSwap(id);
+                    const blockchainSwap = await readSwap(await getSwapContract(id), id);
                     
                     // Update status based on blockchain state
                     if (blockchainSwap.withdrawn) {
@@ -539,6 +949,12 @@ app.get('/api/swaps', async (req, res) => {
                         }
                     }
                     
+                    // Fee rate is fixed at initiation, so the participant's payout is known up front
+                    updatedSwap.protocolFeeBps = Number(blockchainSwap.protocolFeeBps);
+                    updatedSwap.netEthAmount = ethers.formatEther(
+                        netOfProtocolFee(blockchainSwap.amount, blockchainSwap.protocolFeeBps)
+                    );
+                    
                     // Update the stored swap with blockchain data
                     activeSwaps.set(id, updatedSwap);
                 } catch (error) {
@@ -562,18 +978,319 @@ app.get('/api/swaps', async (req, res) => {
     }
 });
 
-// Health check
-app.get('/health', (req, res) => {
-    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+/**
+ * Whether new swaps can be created, and the ERC20s the contract will escrow
+ */
+app.get('/api/contract/config', async (req, res) => {
+    if (!ethContract) {
+        return res.status(503).json({
+            success: false,
+            error: 'Contract not available'
+        });
+    }
+
+    try {
+        const [paused, tokenAddresses] = await Promise.all([
+            ethContract.paused(),
+            ethContract.getAllowedTokens()
+        ]);
+
+        const allowedTokens = await Promise.all(tokenAddresses.map(async (address) => {
+            const assetType = await detectAssetType(new ethers.Contract(address, ITEM_ABI, ethProvider));
+            const token = new ethers.Contract(address, ERC20_METADATA_ABI, ethProvider);
+            const [symbol, decimals] = await Promise.all([
+                // Metadata is optional in ERC20 and ERC721; ERC1155 has neither
+                token.symbol().catch(() => null),
+                assetType === 'fungible' ? token.decimals().then(Number).catch(() => null) : null
+            ]);
+            return { address, assetType, symbol, decimals };
+        }));
+
+        res.json({
+            success: true,
+            data: {
+                paused,
+                allowedTokens
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
 });
 
-// Start server
-app.listen(PORT, async () => {
-    console.log(`Server running on port ${PORT}`);
-    await initializeEthereum();
+/**
+ * Get relayer details for gasless withdrawals
+ */
+app.get('/api/relayer/info', (req, res) => {
+    if (!relayerWallet) {
+        return res.status(503).json({
+            success: false,
+            error: 'Relayer not available'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            address: relayerWallet.address,
+            feeBps: RELAYER_FEE_BPS.toString()
+        }
+    });
 });
 
-module.exports = app;
+/**
+ * Submit a participant-signed withdrawal on their behalf
+ */
+app.post('/api/relayer/withdraw', async (req, res) => {
+    try {
+        if (!relayerWallet) {
+            return res.status(503).json({
+                success: false,
+                error: 'Relayer not available'
+            });
+        }
+
+        const { swapId, secret, relayerFee, deadline, signature } = req.body;
+
+        if (!swapId || !secret || relayerFee === undefined || !deadline || !signature) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters'
+            });
+        }
+
+        // In wei, as a decimal string like the signed claim's uint256
+        if (typeof relayerFee !== 'string' || !/^\d+$/.test(relayerFee)) {
+            return res.status(400).json({
+                success: false,
+                error: 'relayerFee must be a non-negative integer string'
+            });
+        }
+
+        const swapContract = await findSwapContract(swapId);
+        if (!swapContract) {
+            return res.status(404).json({
+                success: false,
+                error: 'Swap not found'
+            });
+        }
+
+        if (isLegacyContract(swapContract)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Swaps on the legacy contract can only be withdrawn by their participant'
+            });
+        }
+
+        const ethSwap = await readSwap(swapContract, swapId);
+        const minimumFee = (ethSwap.amount * RELAYER_FEE_BPS) / 10000n;
+        if (BigInt(relayerFee) < minimumFee) {
+            return res.status(400).json({
+                success: false,
+                error: `Relayer fee too low. Minimum is ${minimumFee.toString()}`
+            });
+        }
+
+        const contract = swapContract.connect(relayerWallet);
+        const args = [
+            ...await swapCallArgs(swapContract, swapId), secret, relayerWallet.address, relayerFee, deadline, signature
+        ];
+
+        // Simulate first so a bad claim doesn't cost the relayer gas
+        try {
+            await contract.withdrawWithSignature.staticCall(...args);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.reason || error.message
+            });
+        }
+
+        const tx = await contract.withdrawWithSignature(...args);
+        await tx.wait();
+
+        const swap = activeSwaps.get(swapId);
+        if (swap) {
+            swap.status = 'completed';
+            swap.completionTxHash = tx.hash;
+            swap.completedAt = Date.now();
+            activeSwaps.set(swapId, swap);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                message: 'Withdrawal relayed successfully',
+                swapId,
+                txHash: tx.hash
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Settle a list of swaps in at most two transactions (withdrawMany / refundMany) per
+ * contract version, signed by the relayer wallet. Items with a secret are withdrawn, the rest refunded; per-item
+ * failures are reported instead of failing the whole request.
+ */
+app.post('/api/swaps/settle', async (req, res) => {
+    try {
+        if (!relayerWallet) {
+            return res.status(503).json({
+                success: false,
+                error: 'Relayer not available'
+            });
+        }
+
+        const { swaps } = req.body;
+
+        if (!Array.isArray(swaps) || swaps.length === 0 || swaps.some((item) => !item.swapId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Expected a non-empty list of { swapId, secret? }'
+            });
+        }
+
+        const results = [];
+
+        const settleBatch = async (contract, items, action, send) => {
+            if (items.length === 0) {
+                return;
+            }
+
+            const tx = await send();
+            const receipt = await tx.wait();
+
+            const failures = new Map();
+            for (const log of receipt.logs) {
+                const parsed = contract.interface.parseLog(log);
+                if (parsed && parsed.name === 'BatchItemFailed') {
+                    failures.set(Number(parsed.args.index), decodeRevertReason(parsed.args.reason));
+                }
+            }
+
+            items.forEach((item, index) => {
+                const failed = failures.has(index);
+                results.push({
+                    swapId: item.swapId,
+                    action,
+                    success: !failed,
+                    error: failed ? failures.get(index) : undefined,
+                    txHash: tx.hash
+                });
+
+                const swap = activeSwaps.get(item.swapId);
+                if (swap && !failed) {
+                    swap.status = action === 'withdraw' ? 'completed' : 'refunded';
+                    swap.completionTxHash = tx.hash;
+                    swap.completedAt = Date.now();
+                    activeSwaps.set(item.swapId, swap);
+                }
+            });
+        };
+
+        // Each swap settles on the contract version holding it, so batch per version
+        const batches = new Map();
+        for (const item of swaps) {
+            const swapContract = await getSwapContract(item.swapId);
+            batches.set(swapContract, [...(batches.get(swapContract) || []), item]);
+        }
+
+        for (const [swapContract, items] of batches) {
+            // The legacy contract has no batches, and only the swap's parties can settle on it
+            if (isLegacyContract(swapContract)) {
+                results.push(...items.map((item) => ({
+                    swapId: item.swapId,
+                    action: item.secret ? 'withdraw' : 'refund',
+                    success: false,
+                    error: 'Swaps on the legacy contract can only be settled by their parties'
+                })));
+                continue;
+            }
+
+            // Committed versions take each swap's record next to its ID. Items the relayer
+            // can't settle yet are reported rather than left to fail inside the batch.
+            const committed = isCommittedContract(swapContract);
+            const records = new Map();
+            const settleable = [];
+            for (const item of items) {
+                const action = item.secret ? 'withdraw' : 'refund';
+                try {
+                    if (committed) {
+                        records.set(item.swapId, (await fetchSwapRecord(swapContract, item.swapId)).record);
+                    }
+                    const stage = STAGES[await readStage(swapContract, item.swapId)];
+                    if (stage !== RELAYER_STAGES[action]) {
+                        throw new Error(`The relayer can only ${action} in the ${RELAYER_STAGES[action]} window; the swap is in ${stage}`);
+                    }
+                    settleable.push(item);
+                } catch (error) {
+                    results.push({
+                        swapId: item.swapId,
+                        action,
+                        success: false,
+                        error: error.message
+                    });
+                }
+            }
+            const swapArgs = (list) => {
+                const swapIds = list.map((item) => item.swapId);
+                return committed ? [swapIds, swapIds.map((swapId) => records.get(swapId))] : [swapIds];
+            };
+
+            const contract = swapContract.connect(relayerWallet);
+            const withdrawals = settleable.filter((item) => item.secret);
+            const refunds = settleable.filter((item) => !item.secret);
+
+            await settleBatch(contract, withdrawals, 'withdraw', () => contract.withdrawMany(
+                ...swapArgs(withdrawals),
+                withdrawals.map((item) => (item.secret.startsWith('0x') ? item.secret : '0x' + item.secret))
+            ));
+            await settleBatch(contract, refunds, 'refund', () => contract.refundMany(...swapArgs(refunds)));
+        }
+
+        res.json({
+            success: true,
+            data: {
+                settled: results.filter((result) => result.success).length,
+                failed: results.filter((result) => !result.success).length,
+                results
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Revert data of a failed batch item, as a readable message when it is Error(string)
+ */
+function decodeRevertReason(data) {
+    try {
+        if (data.startsWith('0x08c379a0')) {
+            return ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4))[0];
+        }
+    } catch (error) {
+        // fall through to the raw data
+    }
+    return data;
+}
+
+// Health check
+app.get('/health', (req, res) => {
+    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
 
 // Environment variables for simulation
 const SIMULATION_MODE = process.env.SIMULATION_MODE === 'true';
@@ -619,7 +1336,7 @@ app.post('/api/swap/:swapId/check-funding', async (req, res) => {
             } else if (ethContract) {
                 // Real blockchain check
                 try {
-                    const ethSwap = await ethContract.getSwap(swapId);
+                    const ethSwap = await readSwap(await getSwapContract(swapId), swapId);
                     fundingStatus.ethFunded = ethSwap.amount > 0 && !ethSwap.withdrawn && !ethSwap.refunded;
                 } catch (error) {
                     fundingStatus.ethFunded = false;
@@ -805,12 +1522,10 @@ app.post('/api/swap/:swapId/withdraw', async (req, res) => {
             });
         }
 
-        // Verify secret matches hashed secret
-        const secretBytes = Buffer.from(formattedSecret.slice(2), 'hex');
-        const crypto = require('crypto');
-        const computedHash = '0x' + crypto.createHash('sha256').update(secretBytes).digest('hex');
+        // Verify secret matches hashed secret, with the swap's hash algorithm
+        const expectedHash = swap.hashedSecret.startsWith('0x') ? swap.hashedSecret : '0x' + swap.hashedSecret;
         
-        if (computedHash !== swap.hashedSecret) {
+        if (hashSecret(formattedSecret, swap.hashAlgorithm || 'sha256') !== expectedHash.toLowerCase()) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid secret. Does not match hashed secret.'
@@ -930,4 +1645,213 @@ app.post('/api/swap/:swapId/refund', async (req, res) => {
     }
 });
 
-// ... existing code ...
\ No newline at end of file
+/**
+ * Fee bump a Bitcoin claim or refund needs to keep up with the fee policy, or null
+ * RBF is preferred; spends that don't signal it can still be lifted by a child (CPFP).
+ */
+function recommendBtcFeeBump({ btcSpend }, now = Math.floor(Date.now() / 1000)) {
+    // A spend already lifted by a child is bumped again with a new child
+    const currentFeeRate = btcSpend.childTxHex
+        ? bitcoinSwap.getFeeBumpRate(btcSpend.txHex, btcSpend.amount, btcSpend.childTxHex).feeRate
+        : bitcoinSwap.getTransactionFeeRate(btcSpend.txHex, btcSpend.amount);
+    const feeRate = escalateFeeRate({ ...BTC_FEE_POLICY, deadline: btcSpend.deadline, now });
+    if (feeRate < currentFeeRate + INCREMENTAL_RELAY_FEE_RATE) {
+        return null;
+    }
+    if (btcSpend.childTxHex) {
+        return { method: 'cpfp', currentFeeRate, feeRate };
+    }
+    try {
+        return {
+            method: 'rbf',
+            currentFeeRate,
+            feeRate: bitcoinSwap.getReplacementFeeRate(btcSpend.txHex, btcSpend.amount, feeRate)
+        };
+    } catch (error) {
+        return { method: 'cpfp', currentFeeRate, feeRate };
+    }
+}
+
+/**
+ * Refresh btcFeeBump, reported in the swap status, of every unconfirmed Bitcoin claim or refund
+ */
+function refreshBtcFeeBumps(now = Math.floor(Date.now() / 1000)) {
+    for (const swap of activeSwaps.values()) {
+        if (swap.btcSpend && !swap.btcSpend.confirmedAt) {
+            swap.btcFeeBump = recommendBtcFeeBump(swap, now);
+        }
+    }
+}
+
+/**
+ * Re-check unconfirmed Bitcoin spends as their deadlines approach
+ * @param {number} [interval] - Milliseconds between checks
+ * @returns {Function} Stops the checks
+ */
+function startBtcFeeMonitor(interval = BTC_FEE_CHECK_INTERVAL) {
+    const timer = setInterval(() => refreshBtcFeeBumps(), interval);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+/**
+ * Watch the fee of a broadcast Bitcoin claim or refund
+ * The backend holds no Bitcoin keys, so it only recommends a bump (btcFeeBump in the swap
+ * status); the owner rebuilds the spend at that rate, or spends its output with a child,
+ * and posts it to btc-fee-bump. Post confirmed: true once the spend confirms.
+ */
+app.post('/api/swap/:swapId/btc-spend', (req, res) => {
+    try {
+        const { swapId } = req.params;
+        const { txHex, amount, kind, confirmed } = req.body;
+        const swap = activeSwaps.get(swapId);
+
+        if (!swap || !swap.btcRefundOpensAt) {
+            return res.status(404).json({
+                success: false,
+                error: 'Bitcoin swap not found'
+            });
+        }
+
+        if (confirmed) {
+            if (swap.btcSpend) {
+                swap.btcSpend.confirmedAt = Date.now();
+            }
+            swap.btcFeeBump = null;
+            return res.json({ success: true, data: { btcSpend: swap.btcSpend || null } });
+        }
+
+        if (kind !== 'claim' && kind !== 'refund') {
+            return res.status(400).json({
+                success: false,
+                error: 'kind must be claim or refund'
+            });
+        }
+        try {
+            bitcoinSwap.getTransactionFeeRate(txHex, Number(amount));
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid transaction: ${error.message}`
+            });
+        }
+
+        // A claim must confirm before the refund path opens and the sender can race it; a
+        // refund races a counterparty who may learn the secret, so it escalates over one window.
+        // A replacement keeps the deadline of the spend it replaces.
+        const now = Math.floor(Date.now() / 1000);
+        const broadcastAt = swap.btcSpend && swap.btcSpend.kind === kind ? swap.btcSpend.broadcastAt : now;
+        swap.btcSpend = {
+            kind,
+            txHex,
+            amount: Number(amount),
+            deadline: kind === 'claim' ? swap.btcRefundOpensAt : broadcastAt + BTC_FEE_POLICY.window,
+            broadcastAt
+        };
+        swap.btcFeeBump = recommendBtcFeeBump(swap, now);
+
+        res.json({
+            success: true,
+            data: {
+                btcSpend: swap.btcSpend,
+                btcFeeBump: swap.btcFeeBump
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Fee bump of a watched Bitcoin claim or refund: the spend rebuilt at btcFeeBump's rate
+ * (RBF), or a child spending its output (CPFP). The bump must reach the rate the fee policy
+ * asks for now; a replacement then becomes the watched spend.
+ */
+app.post('/api/swap/:swapId/btc-fee-bump', (req, res) => {
+    try {
+        const { swapId } = req.params;
+        const { txHex } = req.body;
+        const swap = activeSwaps.get(swapId);
+
+        if (!swap || !swap.btcSpend || swap.btcSpend.confirmedAt) {
+            return res.status(404).json({
+                success: false,
+                error: 'No unconfirmed Bitcoin spend for this swap'
+            });
+        }
+
+        const { btcSpend } = swap;
+        const now = Math.floor(Date.now() / 1000);
+        const targetFeeRate = escalateFeeRate({ ...BTC_FEE_POLICY, deadline: btcSpend.deadline, now });
+        let bump, minimumFeeRate;
+        try {
+            bump = bitcoinSwap.getFeeBumpRate(btcSpend.txHex, btcSpend.amount, txHex);
+            // A replacement also has to outbid the spend it evicts
+            minimumFeeRate = bump.method === 'rbf'
+                ? bitcoinSwap.getReplacementFeeRate(btcSpend.txHex, btcSpend.amount, targetFeeRate)
+                : targetFeeRate;
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid fee bump: ${error.message}`
+            });
+        }
+
+        if (bump.feeRate < minimumFeeRate) {
+            return res.status(400).json({
+                success: false,
+                error: `Fee bump too low. ${bump.method.toUpperCase()} needs ${minimumFeeRate} sat/vB, got ${bump.feeRate.toFixed(2)}`
+            });
+        }
+
+        if (bump.method === 'rbf') {
+            // The replacement evicts any child of the spend it replaces
+            const { childTxHex, ...replaced } = btcSpend;
+            swap.btcSpend = { ...replaced, txHex, replacedAt: Date.now() };
+        } else {
+            swap.btcSpend = { ...btcSpend, childTxHex: txHex };
+        }
+        swap.btcFeeBump = recommendBtcFeeBump(swap, now);
+
+        res.json({
+            success: true,
+            data: {
+                method: bump.method,
+                feeRate: bump.feeRate,
+                btcSpend: swap.btcSpend,
+                btcFeeBump: swap.btcFeeBump
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Start the API server, the Ethereum connection and the Bitcoin fee monitor
+ * @param {number} [port]
+ * @returns {Function} Stops the server and the fee monitor
+ */
+function start(port = PORT) {
+    const stopBtcFeeMonitor = startBtcFeeMonitor();
+    const server = app.listen(port, async () => {
+        console.log(`Server running on port ${port}`);
+        await initializeEthereum();
+    });
+    return () => {
+        stopBtcFeeMonitor();
+        server.close();
+    };
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = { app, start, startBtcFeeMonitor, initializeEthereum };
@@ -1,5 +1,53 @@
 const bitcoin = require('bitcoinjs-lib');
+const { witnessStackToScriptWitness } = require('bitcoinjs-lib/src/psbt/psbtutils');
+const { LEAF_VERSION_TAPSCRIPT } = require('bitcoinjs-lib/src/payments/bip341');
+const ecc = require('tiny-secp256k1');
+const {
+    MIN_RELAY_FEE_RATE,
+    INCREMENTAL_RELAY_FEE_RATE,
+    getOutputType,
+    estimateVsize,
+    estimateFee,
+    dustLimit,
+    getFeeRate
+} = require('./fees');
 const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+bitcoin.initEccLib(ecc);
+
+// Hashlock opcodes, keyed like ethereum/hashlock.js. Keccak256 has no opcode, so swaps
+// hashed with it can't have a Bitcoin leg.
+const HASH_OPCODES = {
+    sha256: bitcoin.opcodes.OP_SHA256,
+    hash160: bitcoin.opcodes.OP_HASH160,
+    hash256: bitcoin.opcodes.OP_HASH256
+};
+
+// HTLC output types. Native SegWit (p2wsh) spends are cheaper and not malleable; the nested
+// p2sh-p2wsh form pays to a 3... address for wallets that can't send to bech32.
+const OUTPUT_TYPES = ['p2sh', 'p2wsh', 'p2sh-p2wsh'];
+
+// Timelocks an HTLC's refund branch can check: an absolute nLockTime (OP_CHECKLOCKTIMEVERIFY),
+// or a BIP68 relative lock counted from the funding confirmation (OP_CHECKSEQUENCEVERIFY)
+const TIMELOCK_TYPES = ['absolute', 'relative'];
+
+// BIP68 sequence fields: a time-based lock counts 512-second units, a block-based one blocks
+const SEQUENCE_DISABLE_FLAG = 0x80000000;
+const SEQUENCE_TYPE_FLAG = 0x00400000;
+const SEQUENCE_VALUE_MASK = 0x0000ffff;
+const SEQUENCE_GRANULARITY = 512;
+
+// Input sequence of claims and refunds: non-final so CHECKLOCKTIMEVERIFY passes, and below
+// 0xfffffffe to signal BIP125 replace-by-fee, so a stuck spend can be rebuilt at a higher fee
+const RBF_SEQUENCE = 0xfffffffd;
+
+// Fee rate in sat/vB when the caller doesn't choose one
+const DEFAULT_FEE_RATE = 10;
+
+// BIP341's provably unspendable internal key H, the SHA256 of the uncompressed generator point.
+// With it a Taproot HTLC can only be spent through its script leaves.
+const NUMS_INTERNAL_KEY = Buffer.from('50929b74c1a04954b78b4b6035e97a5e078a5a0f28ec96d547bfee9ace803ac0', 'hex');
 
 /**
  * Bitcoin Atomic Swap Implementation
@@ -12,52 +60,204 @@ class BitcoinAtomicSwap {
 
     /**
      * Generate a random secret and its hash
+     * @param {string} hashAlgorithm - sha256, hash160 or hash256
      * @returns {Object} Object containing secret and hashedSecret
      */
-    generateSecret() {
+    generateSecret(hashAlgorithm = 'sha256') {
         const secret = crypto.randomBytes(32);
-        const hashedSecret = crypto.createHash('sha256').update(secret).digest();
         
         return {
             secret: secret.toString('hex'),
-            hashedSecret: hashedSecret.toString('hex')
+            hashedSecret: this.hashSecret(secret, hashAlgorithm).toString('hex')
         };
     }
 
+    /**
+     * Hash a secret as the script's hashlock opcode does
+     * @param {Buffer} secret - Secret
+     * @param {string} hashAlgorithm - sha256, hash160 or hash256
+     * @returns {Buffer} 32-byte digest, or 20 bytes for hash160
+     */
+    hashSecret(secret, hashAlgorithm = 'sha256') {
+        this.getHashOpcode(hashAlgorithm);
+        const digest = crypto.createHash('sha256').update(secret).digest();
+        if (hashAlgorithm === 'hash160') {
+            return crypto.createHash('ripemd160').update(digest).digest();
+        }
+        if (hashAlgorithm === 'hash256') {
+            return crypto.createHash('sha256').update(digest).digest();
+        }
+        return digest;
+    }
+
+    /**
+     * Opcode that checks a hashlock of the given algorithm
+     * @param {string} hashAlgorithm - sha256, hash160 or hash256
+     * @returns {number} Opcode
+     */
+    getHashOpcode(hashAlgorithm) {
+        const opcode = HASH_OPCODES[hashAlgorithm];
+        if (opcode === undefined) {
+            throw new Error(`Hash algorithm ${hashAlgorithm} can't be verified in Bitcoin script`);
+        }
+        return opcode;
+    }
+
+    /**
+     * Generate the secrets of a partial-fill swap and commit them in a Merkle tree.
+     * Each secret unlocks an equal share of the Ethereum side (AtomicSwap.withdrawPartial)
+     * and its SHA256 hash locks one counterparty's Bitcoin HTLC.
+     * @param {number} parts - Number of secrets (2 to 256)
+     * @returns {Object} Object containing secrets, hashedSecrets, merkleRoot and proofs
+     */
+    generateSecretSet(parts) {
+        if (!Number.isInteger(parts) || parts < 2 || parts > 256) {
+            throw new Error('Parts must be an integer between 2 and 256');
+        }
+
+        const secrets = [];
+        const hashedSecrets = [];
+        for (let i = 0; i < parts; i++) {
+            const { secret, hashedSecret } = this.generateSecret();
+            secrets.push(secret);
+            hashedSecrets.push(hashedSecret);
+        }
+
+        const leaves = hashedSecrets.map((hashedSecret, index) => this.getPartLeaf(index, hashedSecret));
+        const layers = this.buildMerkleTree(leaves);
+
+        return {
+            secrets,
+            hashedSecrets,
+            merkleRoot: layers[layers.length - 1][0],
+            proofs: leaves.map((_, index) => this.getMerkleProof(layers, index))
+        };
+    }
+
+    /**
+     * Merkle leaf of a partial-fill secret, matching AtomicSwap._partLeaf
+     * @param {number} index - Part index
+     * @param {string} hashedSecret - SHA256 hash of the part secret (hex)
+     * @returns {string} Leaf hash (hex)
+     */
+    getPartLeaf(index, hashedSecret) {
+        return ethers.solidityPackedKeccak256(
+            ['uint256', 'bytes32'],
+            [index, '0x' + hashedSecret]
+        ).slice(2);
+    }
+
+    /**
+     * Build a Merkle tree with sorted-pair keccak256 hashing (OpenZeppelin MerkleProof).
+     * An odd node at the end of a layer is carried up unchanged.
+     * @param {Array<string>} leaves - Leaf hashes (hex)
+     * @returns {Array<Array<string>>} Tree layers, from the leaves up to the root
+     */
+    buildMerkleTree(leaves) {
+        const layers = [leaves];
+
+        while (layers[layers.length - 1].length > 1) {
+            const layer = layers[layers.length - 1];
+            const next = [];
+            for (let i = 0; i < layer.length; i += 2) {
+                next.push(i + 1 < layer.length ? this.hashPair(layer[i], layer[i + 1]) : layer[i]);
+            }
+            layers.push(next);
+        }
+
+        return layers;
+    }
+
+    /**
+     * Get the Merkle proof of a leaf
+     * @param {Array<Array<string>>} layers - Tree layers from buildMerkleTree
+     * @param {number} index - Leaf index
+     * @returns {Array<string>} Sibling hashes from the leaf up (hex)
+     */
+    getMerkleProof(layers, index) {
+        const proof = [];
+
+        for (let level = 0; level < layers.length - 1; level++) {
+            const sibling = index ^ 1;
+            if (sibling < layers[level].length) {
+                proof.push(layers[level][sibling]);
+            }
+            index >>= 1;
+        }
+
+        return proof;
+    }
+
+    /**
+     * Hash a pair of tree nodes in sorted order
+     * @param {string} a - Node hash (hex)
+     * @param {string} b - Node hash (hex)
+     * @returns {string} Parent hash (hex)
+     */
+    hashPair(a, b) {
+        const [left, right] = a < b ? [a, b] : [b, a];
+        return ethers.keccak256('0x' + left + right).slice(2);
+    }
+
+    /**
+     * Verify a partial-fill secret against the Merkle root
+     * @param {string} secret - Part secret (hex)
+     * @param {number} index - Part index
+     * @param {Array<string>} proof - Merkle proof (hex)
+     * @param {string} merkleRoot - Committed root (hex)
+     * @returns {boolean} True if the secret belongs to the tree at index
+     */
+    verifyPartSecret(secret, index, proof, merkleRoot) {
+        const hashedSecret = crypto.createHash('sha256').update(Buffer.from(secret, 'hex')).digest('hex');
+        const root = proof.reduce((node, sibling) => this.hashPair(node, sibling), this.getPartLeaf(index, hashedSecret));
+        return root === merkleRoot;
+    }
+
     /**
      * Create atomic swap script (HTLC)
-     * @param {string} hashedSecret - SHA256 hash of the secret
-     * @param {number} timelock - Unix timestamp for timelock
+     * @param {string} hashedSecret - Hash of the secret (20 bytes for hash160, 32 otherwise)
+     * @param {number} timelock - Unix timestamp for an absolute timelock, or a BIP68 sequence
+     * value from encodeRelativeTimelock for a relative one
      * @param {string} recipientPubKey - Recipient's public key (hex)
      * @param {string} senderPubKey - Sender's public key (hex)
+     * @param {string} hashAlgorithm - sha256, hash160 or hash256
+     * @param {string} timelockType - absolute or relative
      * @returns {Buffer} Script buffer
      */
-    createAtomicSwapScript(hashedSecret, timelock, recipientPubKey, senderPubKey) {
+    createAtomicSwapScript(hashedSecret, timelock, recipientPubKey, senderPubKey, hashAlgorithm = 'sha256', timelockType = 'absolute') {
+        const hashOpcode = this.getHashOpcode(hashAlgorithm);
         const hashedSecretBuffer = Buffer.from(hashedSecret, 'hex');
+        if (hashedSecretBuffer.length !== (hashAlgorithm === 'hash160' ? 20 : 32)) {
+            throw new Error(`Invalid ${hashAlgorithm} hashed secret length`);
+        }
         const recipientPubKeyBuffer = Buffer.from(recipientPubKey, 'hex');
         const senderPubKeyBuffer = Buffer.from(senderPubKey, 'hex');
         
-        // Create timelock buffer (4 bytes, little endian)
-        const timelockBuffer = Buffer.allocUnsafe(4);
-        timelockBuffer.writeUInt32LE(timelock, 0);
+        // Create timelock buffer (4 bytes, little endian); relative locks are minimally encoded
+        const [minimalTimelock, timelockOpcode] = this.getTimelockCheck(timelock, timelockType);
+        let timelockBuffer = minimalTimelock;
+        if (timelockType === 'absolute') {
+            timelockBuffer = Buffer.allocUnsafe(4);
+            timelockBuffer.writeUInt32LE(timelock, 0);
+        }
         
         // HTLC Script:
         // OP_IF
-        //   OP_SHA256 <hashedSecret> OP_EQUALVERIFY <recipientPubKey> OP_CHECKSIG
+        //   OP_SHA256|OP_HASH160|OP_HASH256 <hashedSecret> OP_EQUALVERIFY <recipientPubKey> OP_CHECKSIG
         // OP_ELSE
-        //   <timelock> OP_CHECKLOCKTIMEVERIFY OP_DROP <senderPubKey> OP_CHECKSIG
+        //   <timelock> OP_CHECKLOCKTIMEVERIFY|OP_CHECKSEQUENCEVERIFY OP_DROP <senderPubKey> OP_CHECKSIG
         // OP_ENDIF
         
         const script = bitcoin.script.compile([
             bitcoin.opcodes.OP_IF,
-                bitcoin.opcodes.OP_SHA256,
+                hashOpcode,
                 hashedSecretBuffer,
                 bitcoin.opcodes.OP_EQUALVERIFY,
                 recipientPubKeyBuffer,
                 bitcoin.opcodes.OP_CHECKSIG,
             bitcoin.opcodes.OP_ELSE,
                 timelockBuffer,
-                bitcoin.opcodes.OP_CHECKLOCKTIMEVERIFY,
+                timelockOpcode,
                 bitcoin.opcodes.OP_DROP,
                 senderPubKeyBuffer,
                 bitcoin.opcodes.OP_CHECKSIG,
@@ -67,6 +267,107 @@ class BitcoinAtomicSwap {
         return script;
     }
 
+    /**
+     * Push and opcode of a refund branch's timelock check
+     * @param {number} timelock - Unix timestamp, or BIP68 sequence value for a relative lock
+     * @param {string} timelockType - absolute or relative
+     * @returns {Array} Minimally encoded timelock and its check opcode
+     */
+    getTimelockCheck(timelock, timelockType = 'absolute') {
+        if (!TIMELOCK_TYPES.includes(timelockType)) {
+            throw new Error(`Unknown timelock type: ${timelockType}`);
+        }
+        if (timelockType === 'relative') {
+            this.decodeRelativeTimelock(timelock);
+            return [bitcoin.script.number.encode(timelock), bitcoin.opcodes.OP_CHECKSEQUENCEVERIFY];
+        }
+        return [bitcoin.script.number.encode(timelock), bitcoin.opcodes.OP_CHECKLOCKTIMEVERIFY];
+    }
+
+    /**
+     * Encode a BIP68 relative timelock, for createAtomicSwapScript and the refund's nSequence
+     * @param {Object} lock - Exactly one of blocks or seconds
+     * @param {number} [lock.blocks] - Confirmations, up to 65535
+     * @param {number} [lock.seconds] - Seconds, a multiple of 512 up to 65535 * 512
+     * @returns {number} Sequence value
+     */
+    encodeRelativeTimelock({ blocks, seconds }) {
+        if ((blocks === undefined) === (seconds === undefined)) {
+            throw new Error('Relative timelock needs either blocks or seconds');
+        }
+        if (blocks !== undefined) {
+            if (!Number.isInteger(blocks) || blocks < 1 || blocks > SEQUENCE_VALUE_MASK) {
+                throw new Error('Relative timelock blocks must be an integer between 1 and 65535');
+            }
+            return blocks;
+        }
+        const units = seconds / SEQUENCE_GRANULARITY;
+        if (!Number.isInteger(units) || units < 1 || units > SEQUENCE_VALUE_MASK) {
+            throw new Error('Relative timelock seconds must be a multiple of 512 up to 65535 * 512');
+        }
+        return SEQUENCE_TYPE_FLAG | units;
+    }
+
+    /**
+     * Decode a BIP68 relative timelock
+     * @param {number} sequence - Sequence value
+     * @returns {Object} { blocks } or { seconds }
+     */
+    decodeRelativeTimelock(sequence) {
+        if (!Number.isInteger(sequence) || sequence < 1 || sequence & SEQUENCE_DISABLE_FLAG ||
+            (sequence & ~(SEQUENCE_TYPE_FLAG | SEQUENCE_VALUE_MASK)) !== 0 || (sequence & SEQUENCE_VALUE_MASK) === 0) {
+            throw new Error('Invalid relative timelock');
+        }
+        const value = sequence & SEQUENCE_VALUE_MASK;
+        return sequence & SEQUENCE_TYPE_FLAG
+            ? { seconds: value * SEQUENCE_GRANULARITY }
+            : { blocks: value };
+    }
+
+    /**
+     * Relative timelock for a Bitcoin leg paired with an Ethereum leg that can be refunded
+     * at ethTimelock. A relative lock starts when the funding transaction confirms, which is
+     * only known to be no earlier than now, so the lock is rounded to the safe side:
+     * - after: the Bitcoin leg must outlast the Ethereum one (its funder holds the secret, as
+     *   in btc-to-eth). It is refundable no sooner than margin after ethTimelock.
+     * - before: the Bitcoin leg must expire first (its funder waits for the secret). It is
+     *   refundable no later than margin before ethTimelock if it confirms within maxConfirmationDelay.
+     * @param {number|bigint} ethTimelock - Ethereum cancellation time (unix seconds)
+     * @param {Object} [options]
+     * @param {string} [options.order] - after or before
+     * @param {number} [options.now] - Current time (unix seconds)
+     * @param {number} [options.margin] - Seconds between the two legs' refunds
+     * @param {number} [options.maxConfirmationDelay] - Seconds the funding may take to confirm
+     * @param {number} [options.blockInterval] - Seconds per block, to get a block-based lock
+     * @returns {number} Sequence value
+     */
+    relativeTimelockFromEthereum(ethTimelock, {
+        order = 'after',
+        now = Math.floor(Date.now() / 1000),
+        margin = 3600,
+        maxConfirmationDelay = 3600,
+        blockInterval
+    } = {}) {
+        let seconds;
+        if (order === 'after') {
+            seconds = Number(ethTimelock) + margin - now;
+        } else if (order === 'before') {
+            seconds = Number(ethTimelock) - margin - now - maxConfirmationDelay;
+        } else {
+            throw new Error(`Unknown timelock order: ${order}`);
+        }
+
+        // Blocks can come faster or slower than blockInterval on average; margin covers the drift
+        const round = order === 'after' ? Math.ceil : Math.floor;
+        const units = round(seconds / (blockInterval || SEQUENCE_GRANULARITY));
+        if (units < 1) {
+            throw new Error('Ethereum timelock leaves no room for the Bitcoin leg');
+        }
+        return this.encodeRelativeTimelock(blockInterval
+            ? { blocks: units }
+            : { seconds: units * SEQUENCE_GRANULARITY });
+    }
+
     /**
      * Create P2SH address from script
      * @param {Buffer} script - Script buffer
@@ -81,50 +382,150 @@ class BitcoinAtomicSwap {
         return p2sh.address;
     }
 
+    /**
+     * Payment paying to the HTLC script in the given output type
+     * @param {Buffer} script - HTLC script
+     * @param {string} [outputType] - p2sh, p2wsh or p2sh-p2wsh; p2wsh by default, as the backend creates
+     * @returns {Object} bitcoinjs payment with address and output
+     */
+    createSwapPayment(script, outputType = 'p2wsh') {
+        if (!OUTPUT_TYPES.includes(outputType)) {
+            throw new Error(`Unknown output type: ${outputType}`);
+        }
+        if (outputType === 'p2sh') {
+            return bitcoin.payments.p2sh({ redeem: { output: script }, network: this.network });
+        }
+
+        const p2wsh = bitcoin.payments.p2wsh({ redeem: { output: script }, network: this.network });
+        return outputType === 'p2wsh'
+            ? p2wsh
+            : bitcoin.payments.p2sh({ redeem: p2wsh, network: this.network });
+    }
+
+    /**
+     * Create the HTLC address of a swap
+     * @param {Buffer} script - HTLC script
+     * @param {string} [outputType] - p2sh, p2wsh or p2sh-p2wsh; p2wsh by default
+     * @returns {string} Address
+     */
+    createSwapAddress(script, outputType = 'p2wsh') {
+        return this.createSwapPayment(script, outputType).address;
+    }
+
+    /**
+     * Create the two tapleaves of a Taproot HTLC. The branches of createAtomicSwapScript
+     * become separate leaves, so a spend reveals only the one it uses.
+     * @param {string} hashedSecret - Hash of the secret (20 bytes for hash160, 32 otherwise)
+     * @param {number} timelock - Unix timestamp, or BIP68 sequence value for a relative timelock
+     * @param {string} recipientPubKey - Recipient's public key (hex, compressed or x-only)
+     * @param {string} senderPubKey - Sender's public key (hex, compressed or x-only)
+     * @param {string} hashAlgorithm - sha256, hash160 or hash256
+     * @param {string} timelockType - absolute or relative
+     * @returns {Object} Object containing the claim and refund leaf scripts
+     */
+    createTaprootSwapScripts(hashedSecret, timelock, recipientPubKey, senderPubKey, hashAlgorithm = 'sha256', timelockType = 'absolute') {
+        const hashOpcode = this.getHashOpcode(hashAlgorithm);
+        const hashedSecretBuffer = Buffer.from(hashedSecret, 'hex');
+        if (hashedSecretBuffer.length !== (hashAlgorithm === 'hash160' ? 20 : 32)) {
+            throw new Error(`Invalid ${hashAlgorithm} hashed secret length`);
+        }
+
+        // Claim leaf: OP_SHA256|OP_HASH160|OP_HASH256 <hashedSecret> OP_EQUALVERIFY <recipientKey> OP_CHECKSIG
+        // Refund leaf: <timelock> OP_CHECKLOCKTIMEVERIFY|OP_CHECKSEQUENCEVERIFY OP_DROP <senderKey> OP_CHECKSIG
+        const [timelockBuffer, timelockOpcode] = this.getTimelockCheck(timelock, timelockType);
+        return {
+            claim: bitcoin.script.compile([
+                hashOpcode,
+                hashedSecretBuffer,
+                bitcoin.opcodes.OP_EQUALVERIFY,
+                this.toXOnly(recipientPubKey),
+                bitcoin.opcodes.OP_CHECKSIG
+            ]),
+            refund: bitcoin.script.compile([
+                timelockBuffer,
+                timelockOpcode,
+                bitcoin.opcodes.OP_DROP,
+                this.toXOnly(senderPubKey),
+                bitcoin.opcodes.OP_CHECKSIG
+            ])
+        };
+    }
+
+    /**
+     * Payment paying to a Taproot HTLC, or spending one of its leaves
+     * @param {Object} leaves - Claim and refund scripts from createTaprootSwapScripts
+     * @param {Buffer} [internalPubkey] - X-only internal key, NUMS_INTERNAL_KEY by default
+     * @param {Buffer} [leaf] - Leaf to spend, to get its control block in witness
+     * @returns {Object} bitcoinjs payment with address and output
+     */
+    createTaprootSwapPayment({ claim, refund }, internalPubkey = NUMS_INTERNAL_KEY, leaf) {
+        return bitcoin.payments.p2tr({
+            internalPubkey,
+            scriptTree: [{ output: claim }, { output: refund }],
+            redeem: leaf ? { output: leaf, redeemVersion: LEAF_VERSION_TAPSCRIPT } : undefined,
+            network: this.network
+        });
+    }
+
+    /**
+     * Create the Taproot address of a swap. With the default NUMS internal key only the
+     * leaves can spend it; with a MuSig aggregate of both parties' keys they can also close
+     * cooperatively through the key path, which looks like any single-key payment.
+     * @param {Object} leaves - Claim and refund scripts from createTaprootSwapScripts
+     * @param {Buffer} [internalPubkey] - X-only internal key
+     * @returns {string} Address
+     */
+    createTaprootSwapAddress(leaves, internalPubkey = NUMS_INTERNAL_KEY) {
+        return this.createTaprootSwapPayment(leaves, internalPubkey).address;
+    }
+
     /**
      * Create funding transaction
-     * @param {Array} utxos - Array of UTXOs
-     * @param {string} p2shAddress - P2SH address to fund
+     * @param {Array} utxos - Array of P2PKH, P2WPKH or P2TR UTXOs
+     * @param {string} p2shAddress - HTLC address to fund, of any output type
      * @param {number} amount - Amount in satoshis
      * @param {string} changeAddress - Change address
-     * @param {number} feeRate - Fee rate in sat/byte
+     * @param {number} feeRate - Fee rate in sat/vB
      * @returns {Object} Transaction object
      */
-    createFundingTransaction(utxos, p2shAddress, amount, changeAddress, feeRate = 10) {
+    createFundingTransaction(utxos, p2shAddress, amount, changeAddress, feeRate = DEFAULT_FEE_RATE) {
         const psbt = new bitcoin.Psbt({ network: this.network });
         
         let totalInput = 0;
         
         // Add inputs
-        utxos.forEach(utxo => {
+        const inputs = utxos.map(utxo => {
+            const script = Buffer.from(utxo.scriptPubKey, 'hex');
             psbt.addInput({
                 hash: utxo.txid,
                 index: utxo.vout,
                 witnessUtxo: {
-                    script: Buffer.from(utxo.scriptPubKey, 'hex'),
+                    script,
                     value: utxo.value
                 }
             });
             totalInput += utxo.value;
+            return { type: getOutputType(script) };
         });
         
-        // Add output to P2SH address
+        // Add output to the HTLC address
+        const outputType = this.getAddressType(p2shAddress);
+        this.requireAboveDust(amount, outputType);
         psbt.addOutput({
             address: p2shAddress,
             value: amount
         });
         
-        // Calculate fee
-        const estimatedSize = psbt.data.inputs.length * 148 + 2 * 34 + 10;
-        const fee = estimatedSize * feeRate;
-        
-        // Add change output if necessary
-        const change = totalInput - amount - fee;
-        if (change > 546) { // Dust threshold
+        // Add change output if it isn't dust; otherwise it goes to the fee
+        const changeType = this.getAddressType(changeAddress);
+        const change = totalInput - amount - estimateFee(inputs, [outputType, changeType], feeRate);
+        if (change >= dustLimit(changeType)) {
             psbt.addOutput({
                 address: changeAddress,
                 value: change
             });
+        } else if (totalInput - amount < estimateFee(inputs, [outputType], feeRate)) {
+            throw new Error('Insufficient funds for amount and fee');
         }
         
         return psbt;
@@ -139,58 +540,125 @@ class BitcoinAtomicSwap {
      * @param {string} recipientAddress - Recipient address
      * @param {number} amount - Amount in satoshis
      * @param {Buffer} recipientPrivKey - Recipient private key
+     * @param {Object} [options]
+     * @param {string} [options.outputType] - Output type of the HTLC: p2sh, p2wsh (default) or p2sh-p2wsh
+     * @param {string} [options.fundingTxHex] - Full funding transaction, required to sign a legacy p2sh input
+     * @param {number} [options.feeRate] - Fee rate in sat/vB
      * @returns {Object} Transaction object
      */
-    createWithdrawalTransaction(fundingTxId, fundingVout, script, secret, recipientAddress, amount, recipientPrivKey) {
-        const psbt = new bitcoin.Psbt({ network: this.network });
-        
-        // Add input
-        psbt.addInput({
-            hash: fundingTxId,
-            index: fundingVout,
-            witnessUtxo: {
-                script: bitcoin.payments.p2sh({
-                    redeem: { output: script },
-                    network: this.network
-                }).output,
-                value: amount
-            },
-            redeemScript: script
+    createWithdrawalTransaction(fundingTxId, fundingVout, script, secret, recipientAddress, amount, recipientPrivKey, options = {}) {
+        // Secret path (OP_IF branch): <sig> <secret> OP_TRUE
+        return this.spendHtlc({
+            ...options,
+            fundingTxId,
+            fundingVout,
+            script,
+            amount,
+            toAddress: recipientAddress,
+            privKey: recipientPrivKey,
+            branch: [Buffer.from(secret, 'hex'), bitcoin.opcodes.OP_TRUE],
+            branchName: 'claim',
+            sequence: RBF_SEQUENCE
+        });
+    }
+
+    /**
+     * Create refund transaction (after timelock)
+     * @param {string} fundingTxId - Funding transaction ID
+     * @param {number} fundingVout - Funding transaction output index
+     * @param {Buffer} script - Atomic swap script
+     * @param {string} senderAddress - Sender address
+     * @param {number} amount - Amount in satoshis
+     * @param {Buffer} senderPrivKey - Sender private key
+     * @param {number} timelock - Timelock value the script was created with
+     * @param {Object} [options] - outputType, fundingTxHex and feeRate, as for createWithdrawalTransaction
+     * @param {string} [options.timelockType] - absolute or relative, as the script was created with
+     * @returns {Object} Transaction object
+     */
+    createRefundTransaction(fundingTxId, fundingVout, script, senderAddress, amount, senderPrivKey, timelock, options = {}) {
+        // Timelock path (OP_ELSE branch): <sig> OP_FALSE
+        return this.spendHtlc({
+            ...options,
+            fundingTxId,
+            fundingVout,
+            script,
+            amount,
+            toAddress: senderAddress,
+            privKey: senderPrivKey,
+            branch: [bitcoin.opcodes.OP_FALSE],
+            branchName: 'refund',
+            ...this.getRefundLock(timelock, options.timelockType)
         });
+    }
+
+    /**
+     * Sign and finalize a transaction spending an HTLC output to a single address.
+     * SegWit outputs are spent with the witness stack [sig, ...branch, script]; legacy P2SH
+     * with the same items in the scriptSig.
+     * @param {Object} spend
+     * @param {Array} spend.branch - Stack items after the signature selecting the script branch
+     * @param {string} spend.branchName - claim or refund, to size the witness
+     * @returns {Object} Transaction object
+     */
+    spendHtlc({
+        fundingTxId, fundingVout, script, amount, toAddress, privKey, branch, branchName,
+        locktime, sequence, outputType = 'p2wsh', fundingTxHex, feeRate = DEFAULT_FEE_RATE
+    }) {
+        const payment = this.createSwapPayment(script, outputType);
+        const psbt = new bitcoin.Psbt({ network: this.network });
+        // BIP68 relative locks are only enforced from transaction version 2
+        psbt.setVersion(2);
+        if (locktime !== undefined) {
+            psbt.setLocktime(locktime);
+        }
+
+        const input = { hash: fundingTxId, index: fundingVout, sequence };
+        if (outputType === 'p2sh') {
+            if (!fundingTxHex) {
+                throw new Error('fundingTxHex is required to spend a legacy P2SH output');
+            }
+            input.nonWitnessUtxo = Buffer.from(fundingTxHex, 'hex');
+            input.redeemScript = script;
+        } else {
+            input.witnessUtxo = { script: payment.output, value: amount };
+            input.witnessScript = script;
+            if (outputType === 'p2sh-p2wsh') {
+                input.redeemScript = payment.redeem.output;
+            }
+        }
+        psbt.addInput(input);
         
-        // Calculate fee (estimate)
-        const fee = 250 * 10; // Rough estimate
+        const toType = this.getAddressType(toAddress);
+        const value = amount - estimateFee([{ type: outputType, script, branch: branchName }], [toType], feeRate);
+        this.requireAboveDust(value, toType);
         
-        // Add output
         psbt.addOutput({
-            address: recipientAddress,
-            value: amount - fee
+            address: toAddress,
+            value
         });
         
-        // Sign with secret path (OP_IF branch)
-        const secretBuffer = Buffer.from(secret, 'hex');
-        const keyPair = bitcoin.ECPair.fromPrivateKey(recipientPrivKey, { network: this.network });
-        
-        psbt.signInput(0, keyPair);
+        psbt.signInput(0, this.createSigner(privKey));
         
-        // Finalize with secret
-        psbt.finalizeInput(0, (inputIndex, input) => {
-            const signature = input.partialSig[0].signature;
-            const payment = bitcoin.payments.p2sh({
-                redeem: {
-                    input: bitcoin.script.compile([
-                        signature,
-                        secretBuffer,
-                        bitcoin.opcodes.OP_TRUE // Choose OP_IF branch
-                    ]),
-                    output: script
-                },
+        psbt.finalizeInput(0, (inputIndex, psbtInput) => {
+            const stack = [psbtInput.partialSig[0].signature, ...branch];
+            if (outputType === 'p2sh') {
+                return {
+                    finalScriptSig: bitcoin.payments.p2sh({
+                        redeem: { input: bitcoin.script.compile(stack), output: script },
+                        network: this.network
+                    }).input,
+                    finalScriptWitness: undefined
+                };
+            }
+
+            const witness = bitcoin.payments.p2wsh({
+                redeem: { input: bitcoin.script.compile(stack), output: script },
                 network: this.network
-            });
-            
+            }).witness;
             return {
-                finalScriptSig: payment.input,
-                finalScriptWitness: undefined
+                // Nested SegWit pushes the witness program in the scriptSig
+                finalScriptSig: outputType === 'p2sh-p2wsh' ? bitcoin.script.compile([payment.redeem.output]) : undefined,
+                finalScriptWitness: witnessStackToScriptWitness(witness)
             };
         });
         
@@ -198,74 +666,331 @@ class BitcoinAtomicSwap {
     }
 
     /**
-     * Create refund transaction (after timelock)
+     * Claim a Taproot HTLC through its claim leaf, revealing the secret
      * @param {string} fundingTxId - Funding transaction ID
      * @param {number} fundingVout - Funding transaction output index
-     * @param {Buffer} script - Atomic swap script
+     * @param {Object} leaves - Claim and refund scripts from createTaprootSwapScripts
+     * @param {string} secret - Secret (hex)
+     * @param {string} recipientAddress - Recipient address
+     * @param {number} amount - Amount in satoshis
+     * @param {Buffer} recipientPrivKey - Recipient private key
+     * @param {Object} [options]
+     * @param {Buffer} [options.internalPubkey] - Internal key the address was created with
+     * @param {number} [options.feeRate] - Fee rate in sat/vB
+     * @returns {Object} Transaction object
+     */
+    createTaprootWithdrawalTransaction(fundingTxId, fundingVout, leaves, secret, recipientAddress, amount, recipientPrivKey, options = {}) {
+        // Witness: <sig> <secret> <claim leaf> <control block>
+        return this.spendTaprootLeaf({
+            ...options,
+            fundingTxId,
+            fundingVout,
+            leaves,
+            leaf: leaves.claim,
+            amount,
+            toAddress: recipientAddress,
+            privKey: recipientPrivKey,
+            args: [Buffer.from(secret, 'hex')],
+            branchName: 'claim',
+            sequence: RBF_SEQUENCE
+        });
+    }
+
+    /**
+     * Refund a Taproot HTLC through its refund leaf after the timelock
+     * @param {string} fundingTxId - Funding transaction ID
+     * @param {number} fundingVout - Funding transaction output index
+     * @param {Object} leaves - Claim and refund scripts from createTaprootSwapScripts
      * @param {string} senderAddress - Sender address
      * @param {number} amount - Amount in satoshis
      * @param {Buffer} senderPrivKey - Sender private key
-     * @param {number} timelock - Timelock value
+     * @param {number} timelock - Timelock value the leaves were created with
+     * @param {Object} [options] - internalPubkey and feeRate, as for createTaprootWithdrawalTransaction
+     * @param {string} [options.timelockType] - absolute or relative, as the leaves were created with
      * @returns {Object} Transaction object
      */
-    createRefundTransaction(fundingTxId, fundingVout, script, senderAddress, amount, senderPrivKey, timelock) {
+    createTaprootRefundTransaction(fundingTxId, fundingVout, leaves, senderAddress, amount, senderPrivKey, timelock, options = {}) {
+        // Witness: <sig> <refund leaf> <control block>
+        return this.spendTaprootLeaf({
+            ...options,
+            fundingTxId,
+            fundingVout,
+            leaves,
+            leaf: leaves.refund,
+            amount,
+            toAddress: senderAddress,
+            privKey: senderPrivKey,
+            args: [],
+            branchName: 'refund',
+            ...this.getRefundLock(timelock, options.timelockType)
+        });
+    }
+
+    /**
+     * nLockTime and nSequence a refund needs to pass its timelock check
+     * @param {number} timelock - Timelock value of the script
+     * @param {string} timelockType - absolute or relative
+     * @returns {Object} { locktime, sequence }
+     */
+    getRefundLock(timelock, timelockType = 'absolute') {
+        this.getTimelockCheck(timelock, timelockType);
+        // CHECKLOCKTIMEVERIFY compares against nLockTime, which a final sequence disables;
+        // CHECKSEQUENCEVERIFY compares against the input's BIP68 sequence, which also signals RBF
+        return timelockType === 'relative'
+            ? { sequence: timelock }
+            : { locktime: timelock, sequence: RBF_SEQUENCE };
+    }
+
+    /**
+     * Sign and finalize a transaction spending a Taproot HTLC leaf to a single address,
+     * with the witness [sig, ...args, leaf, controlBlock]
+     * @param {Object} spend
+     * @param {Buffer} spend.leaf - Leaf script to execute
+     * @param {Array<Buffer>} spend.args - Stack items the leaf needs after the signature
+     * @param {string} spend.branchName - claim or refund, to size the witness
+     * @returns {Object} Transaction object
+     */
+    spendTaprootLeaf({
+        fundingTxId, fundingVout, leaves, leaf, amount, toAddress, privKey, args, branchName,
+        locktime, sequence, internalPubkey = NUMS_INTERNAL_KEY, feeRate = DEFAULT_FEE_RATE
+    }) {
+        const payment = this.createTaprootSwapPayment(leaves, internalPubkey, leaf);
+        const controlBlock = payment.witness[payment.witness.length - 1];
         const psbt = new bitcoin.Psbt({ network: this.network });
-        
-        // Set timelock
-        psbt.setLocktime(timelock);
-        
-        // Add input with sequence for timelock
+        // BIP68 relative locks are only enforced from transaction version 2
+        psbt.setVersion(2);
+        if (locktime !== undefined) {
+            psbt.setLocktime(locktime);
+        }
+
         psbt.addInput({
             hash: fundingTxId,
             index: fundingVout,
-            sequence: 0xfffffffe, // Enable timelock
-            witnessUtxo: {
-                script: bitcoin.payments.p2sh({
-                    redeem: { output: script },
-                    network: this.network
-                }).output,
-                value: amount
-            },
-            redeemScript: script
+            sequence,
+            witnessUtxo: { script: payment.output, value: amount },
+            tapLeafScript: [{ leafVersion: LEAF_VERSION_TAPSCRIPT, script: leaf, controlBlock }]
         });
-        
-        // Calculate fee
-        const fee = 250 * 10;
-        
-        // Add output
+
+        const toType = this.getAddressType(toAddress);
+        const value = amount - estimateFee([{ type: 'p2tr', leaf, branch: branchName }], [toType], feeRate);
+        this.requireAboveDust(value, toType);
+
         psbt.addOutput({
-            address: senderAddress,
-            value: amount - fee
+            address: toAddress,
+            value
         });
+
+        psbt.signInput(0, this.createSchnorrSigner(privKey));
+
+        psbt.finalizeInput(0, (inputIndex, psbtInput) => ({
+            finalScriptWitness: witnessStackToScriptWitness([
+                psbtInput.tapScriptSig[0].signature, ...args, leaf, controlBlock
+            ])
+        }));
+
+        return psbt.extractTransaction();
+    }
+
+    /**
+     * Fee rate a signed claim or refund pays
+     * @param {string} txHex - Transaction hex
+     * @param {number} amount - Value of the HTLC output it spends, in satoshis
+     * @returns {number} sat/vB
+     */
+    getTransactionFeeRate(txHex, amount) {
+        return getFeeRate(bitcoin.Transaction.fromHex(txHex), amount);
+    }
+
+    /**
+     * Fee rate to rebuild an unconfirmed claim or refund at so the rebuilt one replaces it
+     * (BIP125): at least feeRate, and enough above the original's rate to also pay for the
+     * replacement's own relay. Rebuild with the same builder and options at this rate.
+     * @param {string} previousTxHex - Claim or refund to replace
+     * @param {number} amount - Value of the HTLC output it spends, in satoshis
+     * @param {number} feeRate - Target fee rate in sat/vB
+     * @returns {number} Fee rate in sat/vB
+     */
+    getReplacementFeeRate(previousTxHex, amount, feeRate) {
+        const previous = bitcoin.Transaction.fromHex(previousTxHex);
+        if (!previous.ins.some(input => input.sequence < 0xfffffffe)) {
+            throw new Error('Transaction does not signal replace-by-fee');
+        }
+        // The builders size the fee by estimated vsize, which is never below the actual one,
+        // so the replacement's fee grows by at least the incremental rate times its size
+        return Math.max(feeRate, getFeeRate(previous, amount) + INCREMENTAL_RELAY_FEE_RATE);
+    }
+
+    /**
+     * Spend a claim or refund's output back to its owner, paying enough that both together
+     * reach feeRate (child pays for parent). Works where the parent can't be rebuilt, e.g.
+     * when it doesn't signal replace-by-fee.
+     * @param {string} parentTxHex - Unconfirmed claim or refund
+     * @param {number} parentAmount - Value of the HTLC output the parent spends, in satoshis
+     * @param {string} toAddress - Address the child pays to
+     * @param {Buffer} privKey - Key of the parent's output: its P2WPKH key, or the untweaked
+     * key of a key-path P2TR output
+     * @param {number} feeRate - Fee rate for parent and child together, in sat/vB
+     * @param {number} [vout] - Parent output to spend
+     * @returns {Object} Transaction object
+     */
+    createChildPaysForParentTransaction(parentTxHex, parentAmount, toAddress, privKey, feeRate, vout = 0) {
+        const parent = bitcoin.Transaction.fromHex(parentTxHex);
+        const output = parent.outs[vout];
+        if (!output) {
+            throw new Error(`Parent has no output ${vout}`);
+        }
+        const inputType = getOutputType(output.script);
         
-        // Sign with timelock path (OP_ELSE branch)
-        const keyPair = bitcoin.ECPair.fromPrivateKey(senderPrivKey, { network: this.network });
+        const input = {
+            hash: parent.getId(),
+            index: vout,
+            sequence: RBF_SEQUENCE,
+            witnessUtxo: { script: output.script, value: output.value }
+        };
+        let signer;
+        if (inputType === 'p2wpkh') {
+            signer = this.createSigner(privKey);
+        } else if (inputType === 'p2tr') {
+            input.tapInternalKey = this.toXOnly(this.createSchnorrSigner(privKey).publicKey);
+            signer = this.createTweakedSchnorrSigner(privKey);
+        } else {
+            throw new Error('Child pays for parent needs a P2WPKH or P2TR output');
+        }
         
-        psbt.signInput(0, keyPair);
+        const psbt = new bitcoin.Psbt({ network: this.network });
+        psbt.setVersion(2);
+        psbt.addInput(input);
         
-        // Finalize with timelock path
-        psbt.finalizeInput(0, (inputIndex, input) => {
-            const signature = input.partialSig[0].signature;
-            const payment = bitcoin.payments.p2sh({
-                redeem: {
-                    input: bitcoin.script.compile([
-                        signature,
-                        bitcoin.opcodes.OP_FALSE // Choose OP_ELSE branch
-                    ]),
-                    output: script
-                },
-                network: this.network
-            });
-            
-            return {
-                finalScriptSig: payment.input,
-                finalScriptWitness: undefined
-            };
+        // The child pays what the package is short of, and at least its own relay fee
+        const toType = this.getAddressType(toAddress);
+        const childVsize = estimateVsize([{ type: inputType }], [toType]);
+        const parentFee = parentAmount - parent.outs.reduce((sum, out) => sum + out.value, 0);
+        const fee = Math.max(
+            Math.ceil(feeRate * (parent.virtualSize() + childVsize) - parentFee),
+            Math.ceil(childVsize * MIN_RELAY_FEE_RATE)
+        );
+        const value = output.value - fee;
+        this.requireAboveDust(value, toType);
+        
+        psbt.addOutput({
+            address: toAddress,
+            value
         });
         
+        psbt.signInput(0, signer);
+        psbt.finalizeAllInputs();
+        
         return psbt.extractTransaction();
     }
 
+    /**
+     * How a fee bump lifts an unconfirmed claim or refund, and the rate it reaches: a
+     * replacement spending the same outputs pays its own rate, a child spending only the
+     * original's outputs lifts both to their package rate.
+     * @param {string} txHex - Claim or refund being bumped
+     * @param {number} amount - Value of the HTLC output it spends, in satoshis
+     * @param {string} bumpTxHex - Replacement or child
+     * @returns {{method: string, feeRate: number}} method is rbf or cpfp; feeRate in sat/vB
+     */
+    getFeeBumpRate(txHex, amount, bumpTxHex) {
+        const tx = bitcoin.Transaction.fromHex(txHex);
+        const bump = bitcoin.Transaction.fromHex(bumpTxHex);
+        const spent = tx.ins.map(input => `${Buffer.from(input.hash).reverse().toString('hex')}:${input.index}`);
+        const bumpSpent = bump.ins.map(input => ({ txId: Buffer.from(input.hash).reverse().toString('hex'), vout: input.index }));
+        
+        if (bumpSpent.length === spent.length && bumpSpent.every(({ txId, vout }) => spent.includes(`${txId}:${vout}`))) {
+            return { method: 'rbf', feeRate: getFeeRate(bump, amount) };
+        }
+        
+        const parentId = tx.getId();
+        if (bumpSpent.every(({ txId, vout }) => txId === parentId && tx.outs[vout])) {
+            const childAmount = bumpSpent.reduce((sum, { vout }) => sum + tx.outs[vout].value, 0);
+            const fee = getFeeRate(tx, amount) * tx.virtualSize() + getFeeRate(bump, childAmount) * bump.virtualSize();
+            return { method: 'cpfp', feeRate: fee / (tx.virtualSize() + bump.virtualSize()) };
+        }
+        
+        throw new Error('Transaction neither replaces nor spends the one being bumped');
+    }
+
+    /**
+     * Output type an address pays to
+     * @param {string} address - Address on this network
+     * @returns {string} p2pkh, p2sh, p2wpkh, p2wsh or p2tr
+     */
+    getAddressType(address) {
+        return getOutputType(bitcoin.address.toOutputScript(address, this.network));
+    }
+
+    /**
+     * Refuse an output value that wouldn't relay
+     * @param {number} value - Output value in satoshis
+     * @param {string} outputType - Output type of the address it pays to
+     */
+    requireAboveDust(value, outputType) {
+        const limit = dustLimit(outputType);
+        if (value < limit) {
+            throw new Error(`Output of ${value} sats is below the ${outputType} dust limit of ${limit}`);
+        }
+    }
+
+    /**
+     * X-only form of a public key, as Taproot scripts and internal keys use
+     * @param {string|Buffer} pubKey - Compressed (33-byte) or x-only (32-byte) key
+     * @returns {Buffer} 32-byte key
+     */
+    toXOnly(pubKey) {
+        const key = Buffer.isBuffer(pubKey) ? pubKey : Buffer.from(pubKey, 'hex');
+        if (key.length === 32) {
+            return key;
+        }
+        if (key.length !== 33) {
+            throw new Error('Invalid public key length');
+        }
+        return key.subarray(1);
+    }
+
+    /**
+     * Signer for Taproot inputs from a raw secp256k1 private key, producing BIP340 Schnorr signatures
+     * @param {Buffer} privKey - 32-byte private key
+     * @returns {Object} bitcoinjs Signer
+     */
+    createSchnorrSigner(privKey) {
+        return {
+            publicKey: Buffer.from(ecc.pointFromScalar(privKey, true)),
+            signSchnorr: (hash) => Buffer.from(ecc.signSchnorr(hash, privKey))
+        };
+    }
+
+    /**
+     * Schnorr signer for the key path of a P2TR output with no script tree, whose output key
+     * is the internal key tweaked by its own hash (BIP86)
+     * @param {Buffer} privKey - 32-byte untweaked private key
+     * @returns {Object} bitcoinjs Signer
+     */
+    createTweakedSchnorrSigner(privKey) {
+        const publicKey = ecc.pointFromScalar(privKey, true);
+        // BIP340 keys have an even y; the odd-y key's negation has the same x-only key
+        const evenKey = publicKey[0] === 3 ? ecc.privateNegate(privKey) : privKey;
+        const tweak = bitcoin.crypto.taggedHash('TapTweak', Buffer.from(publicKey.subarray(1)));
+        return this.createSchnorrSigner(Buffer.from(ecc.privateAdd(evenKey, tweak)));
+    }
+
+    /**
+     * Signer for PSBT inputs from a raw secp256k1 private key, producing low-S signatures
+     * @param {Buffer} privKey - 32-byte private key
+     * @returns {Object} bitcoinjs Signer
+     */
+    createSigner(privKey) {
+        const signingKey = new ethers.SigningKey(privKey);
+        return {
+            publicKey: Buffer.from(signingKey.compressedPublicKey.slice(2), 'hex'),
+            sign: (hash) => {
+                const { r, s } = signingKey.sign(hash);
+                return Buffer.from(r.slice(2) + s.slice(2), 'hex');
+            }
+        };
+    }
+
     /**
      * Extract secret from withdrawal transaction
      * @param {string} txHex - Transaction hex
@@ -274,6 +999,13 @@ class BitcoinAtomicSwap {
     extractSecretFromTx(txHex) {
         const tx = bitcoin.Transaction.fromHex(txHex);
         const input = tx.ins[0];
+
+        // SegWit claims carry [sig, secret, 1, script] in the witness, Taproot claims
+        // [sig, secret, leaf, controlBlock]
+        if (input.witness.length === 4 && input.witness[1].length === 32) {
+            return input.witness[1].toString('hex');
+        }
+
         const script = bitcoin.script.decompile(input.script);
         
         // Secret should be the second element in the script
@@ -291,12 +1023,12 @@ class BitcoinAtomicSwap {
      * Verify secret matches hash
      * @param {string} secret - Secret (hex)
      * @param {string} hashedSecret - Expected hash (hex)
+     * @param {string} hashAlgorithm - sha256, hash160 or hash256
      * @returns {boolean} True if secret is valid
      */
-    verifySecret(secret, hashedSecret) {
+    verifySecret(secret, hashedSecret, hashAlgorithm = 'sha256') {
         const secretBuffer = Buffer.from(secret, 'hex');
-        const computedHash = crypto.createHash('sha256').update(secretBuffer).digest('hex');
-        return computedHash === hashedSecret;
+        return this.hashSecret(secretBuffer, hashAlgorithm).toString('hex') === hashedSecret;
     }
 
     /**
@@ -325,4 +1057,9 @@ class BitcoinAtomicSwap {
     }
 }
 
-module.exports = BitcoinAtomicSwap;
\ No newline at end of file
+module.exports = BitcoinAtomicSwap;
+module.exports.OUTPUT_TYPES = OUTPUT_TYPES;
+module.exports.NUMS_INTERNAL_KEY = NUMS_INTERNAL_KEY;
+module.exports.DEFAULT_FEE_RATE = DEFAULT_FEE_RATE;
+module.exports.TIMELOCK_TYPES = TIMELOCK_TYPES;
+module.exports.RBF_SEQUENCE = RBF_SEQUENCE;
\ No newline at end of file
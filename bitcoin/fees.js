@@ -0,0 +1,241 @@
+/**
+ * Virtual size and fee of Bitcoin transactions, computed from the weight of each input and
+ * output rather than a flat per-input guess, so fees track the script type actually spent.
+ * Sizes assume the largest DER signature (72 bytes with the sighash byte), which overpays by
+ * at most a vbyte per ECDSA signature.
+ */
+
+const ECDSA_SIGNATURE_SIZE = 72;
+const SCHNORR_SIGNATURE_SIZE = 64;
+const PUBKEY_SIZE = 33;
+const SECRET_SIZE = 32;
+// Leaf version and internal key, plus one 32-byte hash per tree level
+const CONTROL_BLOCK_SIZE = 33 + 32;
+
+// Version, locktime and one-byte input and output counts
+const TX_OVERHEAD_SIZE = 4 + 4 + 1 + 1;
+// Outpoint, scriptSig length and sequence of every input
+const INPUT_BASE_SIZE = 36 + 1 + 4;
+
+// scriptPubKey sizes of the output types we pay to
+const OUTPUT_SCRIPT_SIZES = {
+    p2pkh: 25,
+    p2sh: 23,
+    p2wpkh: 22,
+    p2wsh: 34,
+    p2tr: 34
+};
+
+// Bitcoin Core's default minimum relay fee and the increase a replacement must pay for its
+// own size on top of the fee it replaces (BIP125 rule 4), in sat/vB
+const MIN_RELAY_FEE_RATE = 1;
+const INCREMENTAL_RELAY_FEE_RATE = 1;
+
+// Bitcoin Core's dust thresholds at its default 3 sat/vB dust relay fee
+const DUST_LIMITS = {
+    p2pkh: 546,
+    p2sh: 540,
+    p2wpkh: 294,
+    p2wsh: 330,
+    p2tr: 330
+};
+
+/**
+ * Output type of a scriptPubKey
+ * @param {Buffer} output - scriptPubKey
+ * @returns {string} Key of OUTPUT_SCRIPT_SIZES
+ */
+function getOutputType(output) {
+    const hex = output.toString('hex');
+    if (output.length === 25 && hex.startsWith('76a914') && hex.endsWith('88ac')) {
+        return 'p2pkh';
+    }
+    if (output.length === 23 && hex.startsWith('a914') && hex.endsWith('87')) {
+        return 'p2sh';
+    }
+    if (output.length === 22 && hex.startsWith('0014')) {
+        return 'p2wpkh';
+    }
+    if (output.length === 34 && hex.startsWith('0020')) {
+        return 'p2wsh';
+    }
+    if (output.length === 34 && hex.startsWith('5120')) {
+        return 'p2tr';
+    }
+    throw new Error('Unsupported output script');
+}
+
+/**
+ * Size of a script push of the given length
+ */
+function pushSize(length) {
+    if (length < 76) {
+        return 1 + length;
+    }
+    return (length < 256 ? 2 : 3) + length;
+}
+
+/**
+ * Size of a serialized witness stack
+ * @param {Array<number>} items - Length of each stack item
+ */
+function witnessSize(items) {
+    return items.reduce((size, length) => size + varIntSize(length) + length, varIntSize(items.length));
+}
+
+function varIntSize(n) {
+    if (n < 0xfd) {
+        return 1;
+    }
+    return n <= 0xffff ? 3 : 5;
+}
+
+/**
+ * Weight of one input
+ * @param {Object} input
+ * @param {string} input.type - p2pkh, p2wpkh or p2tr for single-key inputs; p2sh, p2wsh,
+ * p2sh-p2wsh or p2tr with a leaf for HTLC inputs
+ * @param {Buffer} [input.script] - HTLC script of a p2sh, p2wsh or p2sh-p2wsh input
+ * @param {Buffer} [input.leaf] - Tapleaf of a Taproot script-path spend
+ * @param {string} [input.branch] - claim (reveals the secret) or refund, for HTLC inputs
+ * @returns {number} Weight units
+ */
+function inputWeight({ type, script, leaf, branch = 'claim' }) {
+    const claim = branch === 'claim';
+
+    switch (type) {
+        case 'p2pkh':
+            return 4 * (INPUT_BASE_SIZE + pushSize(ECDSA_SIGNATURE_SIZE) + pushSize(PUBKEY_SIZE));
+        case 'p2wpkh':
+            return 4 * INPUT_BASE_SIZE + witnessSize([ECDSA_SIGNATURE_SIZE, PUBKEY_SIZE]);
+        case 'p2tr':
+            if (!leaf) {
+                return 4 * INPUT_BASE_SIZE + witnessSize([SCHNORR_SIGNATURE_SIZE]);
+            }
+            return 4 * INPUT_BASE_SIZE + witnessSize(claim
+                ? [SCHNORR_SIGNATURE_SIZE, SECRET_SIZE, leaf.length, CONTROL_BLOCK_SIZE]
+                : [SCHNORR_SIGNATURE_SIZE, leaf.length, CONTROL_BLOCK_SIZE]);
+        case 'p2sh': {
+            // <sig> <secret> OP_TRUE <script>, or <sig> OP_FALSE <script>
+            const scriptSig = pushSize(ECDSA_SIGNATURE_SIZE) + (claim ? pushSize(SECRET_SIZE) : 0) + 1 + pushSize(script.length);
+            return 4 * (INPUT_BASE_SIZE + (varIntSize(scriptSig) - 1) + scriptSig);
+        }
+        case 'p2wsh':
+        case 'p2sh-p2wsh': {
+            // The nested form pushes the 34-byte witness program in the scriptSig
+            const scriptSig = type === 'p2sh-p2wsh' ? pushSize(34) : 0;
+            return 4 * (INPUT_BASE_SIZE + scriptSig) + witnessSize(claim
+                ? [ECDSA_SIGNATURE_SIZE, SECRET_SIZE, 1, script.length]
+                : [ECDSA_SIGNATURE_SIZE, 0, script.length]);
+        }
+        default:
+            throw new Error(`Unknown input type: ${type}`);
+    }
+}
+
+/**
+ * Weight of one output
+ * @param {string} type - Key of OUTPUT_SCRIPT_SIZES
+ * @returns {number} Weight units
+ */
+function outputWeight(type) {
+    const scriptSize = OUTPUT_SCRIPT_SIZES[type];
+    if (scriptSize === undefined) {
+        throw new Error(`Unknown output type: ${type}`);
+    }
+    return 4 * (8 + 1 + scriptSize);
+}
+
+/**
+ * Virtual size of a transaction
+ * @param {Array<Object>} inputs - Input descriptions, as for inputWeight
+ * @param {Array<string>} outputs - Output types
+ * @returns {number} vbytes
+ */
+function estimateVsize(inputs, outputs) {
+    const segwit = inputs.some(input => input.type !== 'p2pkh' && input.type !== 'p2sh');
+    const weight = 4 * TX_OVERHEAD_SIZE
+        // SegWit marker and flag, and an empty witness for every non-SegWit input
+        + (segwit ? 2 + inputs.filter(input => input.type === 'p2pkh' || input.type === 'p2sh').length : 0)
+        + inputs.reduce((sum, input) => sum + inputWeight(input), 0)
+        + outputs.reduce((sum, type) => sum + outputWeight(type), 0);
+    return Math.ceil(weight / 4);
+}
+
+/**
+ * Fee of a transaction at a rate
+ * @param {Array<Object>} inputs - Input descriptions, as for inputWeight
+ * @param {Array<string>} outputs - Output types
+ * @param {number} feeRate - sat/vB
+ * @returns {number} Fee in satoshis
+ */
+function estimateFee(inputs, outputs, feeRate) {
+    if (!(feeRate > 0)) {
+        throw new Error('Fee rate must be positive');
+    }
+    return Math.ceil(estimateVsize(inputs, outputs) * feeRate);
+}
+
+/**
+ * Smallest value an output of the type can have and still relay
+ * @param {string} type - Key of DUST_LIMITS
+ * @returns {number} Satoshis
+ */
+function dustLimit(type) {
+    const limit = DUST_LIMITS[type];
+    if (limit === undefined) {
+        throw new Error(`Unknown output type: ${type}`);
+    }
+    return limit;
+}
+
+/**
+ * Fee rate paid by a signed transaction
+ * @param {Object} tx - bitcoinjs Transaction
+ * @param {number} inputAmount - Total value of the outputs it spends, in satoshis
+ * @returns {number} sat/vB
+ */
+function getFeeRate(tx, inputAmount) {
+    const outputAmount = tx.outs.reduce((sum, output) => sum + output.value, 0);
+    return (inputAmount - outputAmount) / tx.virtualSize();
+}
+
+/**
+ * Fee rate for a claim or refund that has to confirm by a deadline. It stays at feeRate
+ * while more than window is left, then rises geometrically to maxFeeRate at the deadline,
+ * so most of the increase is spent when the deadline is close.
+ * @param {Object} policy
+ * @param {number} policy.feeRate - Rate with plenty of time left, in sat/vB
+ * @param {number} policy.maxFeeRate - Rate at and after the deadline, in sat/vB
+ * @param {number} policy.deadline - Unix time the transaction must confirm by
+ * @param {number} [policy.window] - Seconds before the deadline the rate starts rising
+ * @param {number} [policy.now] - Current unix time
+ * @returns {number} sat/vB
+ */
+function escalateFeeRate({ feeRate, maxFeeRate, deadline, window = 6 * 3600, now = Math.floor(Date.now() / 1000) }) {
+    if (!(feeRate > 0) || maxFeeRate < feeRate) {
+        throw new Error('Fee rates must be positive, with maxFeeRate at least feeRate');
+    }
+    const remaining = deadline - now;
+    if (remaining >= window) {
+        return feeRate;
+    }
+    if (remaining <= 0) {
+        return maxFeeRate;
+    }
+    return Math.ceil(feeRate * Math.pow(maxFeeRate / feeRate, 1 - remaining / window));
+}
+
+module.exports = {
+    MIN_RELAY_FEE_RATE,
+    INCREMENTAL_RELAY_FEE_RATE,
+    DUST_LIMITS,
+    getOutputType,
+    inputWeight,
+    outputWeight,
+    estimateVsize,
+    estimateFee,
+    dustLimit,
+    getFeeRate,
+    escalateFeeRate
+};
@@ -0,0 +1,181 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+
+/**
+ * @title Escrow
+ * @dev Single-swap hashlock/timelock escrow, deployed as a minimal-proxy clone by EscrowFactory
+ * The clone stores no swap parameters: every call passes the immutables, which are checked
+ * against the clone's own CREATE2 address, so each swap's funds sit in their own contract
+ */
+contract Escrow is ReentrancyGuard {
+    
+    // Same window semantics as AtomicSwap.Timelocks
+    struct Timelocks {
+        uint256 withdrawal;
+        uint256 publicWithdrawal;
+        uint256 cancellation;
+        uint256 publicCancellation;
+    }
+    
+    struct Immutables {
+        address initiator;
+        address participant;
+        address token;
+        uint256 amount;
+        bytes32 hashedSecret;
+        uint256 safetyDeposit;
+        Timelocks timelocks;
+    }
+    
+    address public immutable FACTORY;
+    address public immutable IMPLEMENTATION;
+    
+    bool public withdrawn;
+    bool public refunded;
+    
+    // Payouts whose transfer failed, claimable by the recipient: account => token => amount
+    mapping(address => mapping(address => uint256)) public balances;
+    
+    event EscrowWithdrawn(
+        bytes32 secret
+    );
+    
+    event EscrowRefunded();
+    
+    event BalanceCredited(
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
+    
+    event BalanceClaimed(
+        address indexed account,
+        address indexed token,
+        address recipient,
+        uint256 amount
+    );
+    
+    modifier onlyValidImmutables(Immutables calldata _immutables) {
+        require(
+            Clones.predictDeterministicAddress(IMPLEMENTATION, keccak256(abi.encode(_immutables)), FACTORY) == address(this),
+            "Invalid immutables"
+        );
+        require(!withdrawn, "Already withdrawn");
+        require(!refunded, "Already refunded");
+        _;
+    }
+    
+    constructor() {
+        FACTORY = msg.sender;
+        IMPLEMENTATION = address(this);
+    }
+    
+    /**
+     * @dev Funding from the factory; the native safety deposit (and ETH amount) arrive here
+     */
+    receive() external payable {
+        require(msg.sender == FACTORY, "Only factory can fund");
+    }
+    
+    /**
+     * @dev Withdraw the escrowed amount to the participant by revealing the secret
+     * @param _secret The secret that hashes to the hashlock
+     * @param _immutables Parameters the escrow was created with
+     */
+    function withdraw(bytes32 _secret, Immutables calldata _immutables)
+        external
+        nonReentrant
+        onlyValidImmutables(_immutables)
+    {
+        Timelocks calldata timelocks = _immutables.timelocks;
+        require(sha256(abi.encodePacked(_secret)) == _immutables.hashedSecret, "Invalid secret");
+        require(block.timestamp >= timelocks.withdrawal, "Withdrawal not started");
+        require(block.timestamp < timelocks.cancellation, "Timelock expired");
+        require(
+            msg.sender == _immutables.participant || block.timestamp >= timelocks.publicWithdrawal,
+            "Only participant can withdraw"
+        );
+        
+        withdrawn = true;
+        
+        _transferOut(_immutables.token, _immutables.participant, _immutables.amount);
+        _payDeposit(_immutables, block.timestamp >= timelocks.publicWithdrawal);
+        
+        emit EscrowWithdrawn(_secret);
+    }
+    
+    /**
+     * @dev Return the escrowed amount to the initiator after the cancellation window opens
+     * @param _immutables Parameters the escrow was created with
+     */
+    function refund(Immutables calldata _immutables)
+        external
+        nonReentrant
+        onlyValidImmutables(_immutables)
+    {
+        Timelocks calldata timelocks = _immutables.timelocks;
+        require(block.timestamp >= timelocks.cancellation, "Timelock not expired");
+        require(
+            msg.sender == _immutables.initiator || block.timestamp >= timelocks.publicCancellation,
+            "Only initiator can refund"
+        );
+        
+        refunded = true;
+        
+        _transferOut(_immutables.token, _immutables.initiator, _immutables.amount);
+        _payDeposit(_immutables, block.timestamp >= timelocks.publicCancellation);
+        
+        emit EscrowRefunded();
+    }
+    
+    /**
+     * @dev Claim a payout that was credited because sending it failed
+     * @param _token Token contract address (address(0) for ETH)
+     * @param _recipient Where to send it
+     */
+    function claimBalance(address _token, address _recipient) external nonReentrant {
+        uint256 amount = balances[msg.sender][_token];
+        require(amount > 0, "Nothing to claim");
+        require(_recipient != address(0), "Invalid recipient");
+        
+        balances[msg.sender][_token] = 0;
+        require(_trySend(_token, _recipient, amount), "Transfer failed");
+        
+        emit BalanceClaimed(msg.sender, _token, _recipient, amount);
+    }
+    
+    /**
+     * @dev Safety deposit goes to whoever settled in a public window, otherwise back to the initiator
+     */
+    function _payDeposit(Immutables calldata _immutables, bool _isPublic) internal {
+        if (_immutables.safetyDeposit == 0) {
+            return;
+        }
+        address collector = _isPublic ? msg.sender : _immutables.initiator;
+        _transferOut(address(0), collector, _immutables.safetyDeposit);
+    }
+    
+    /**
+     * @dev Send funds out, crediting balances if the recipient can't take them
+     */
+    function _transferOut(address _token, address _to, uint256 _amount) internal {
+        if (!_trySend(_token, _to, _amount)) {
+            balances[_to][_token] += _amount;
+            emit BalanceCredited(_to, _token, _amount);
+        }
+    }
+    
+    function _trySend(address _token, address _to, uint256 _amount) internal returns (bool success) {
+        if (_token == address(0)) {
+            (success, ) = payable(_to).call{value: _amount}("");
+        } else {
+            bytes memory returndata;
+            (success, returndata) = _token.call(abi.encodeWithSelector(IERC20.transfer.selector, _to, _amount));
+            success = success && (returndata.length == 0 || abi.decode(returndata, (bool)));
+        }
+    }
+}
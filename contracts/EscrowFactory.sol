@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./Escrow.sol";
+
+/**
+ * @title EscrowFactory
+ * @dev Deploys one minimal-proxy Escrow per swap at a CREATE2 address salted with the
+ * hash of the swap's immutables, so the address is known before the escrow exists
+ */
+contract EscrowFactory is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    
+    // Deployed by the constructor, i.e. at the factory's CREATE address for nonce 1
+    address public immutable implementation;
+    
+    event EscrowCreated(
+        address indexed escrow,
+        address indexed initiator,
+        address indexed participant,
+        bytes32 hashedSecret,
+        Escrow.Immutables immutables
+    );
+    
+    constructor() {
+        implementation = address(new Escrow());
+    }
+    
+    /**
+     * @dev Deploy and fund the escrow for a swap
+     * @param _immutables Swap parameters; initiator must be the caller
+     * @return escrow Address of the new clone
+     */
+    function createEscrow(Escrow.Immutables calldata _immutables)
+        external
+        payable
+        nonReentrant
+        returns (address escrow)
+    {
+        Escrow.Timelocks calldata timelocks = _immutables.timelocks;
+        require(_immutables.initiator == msg.sender, "Only initiator can create escrow");
+        require(_immutables.participant != address(0), "Invalid participant");
+        require(_immutables.amount > 0, "Amount must be greater than 0");
+        require(_immutables.hashedSecret != bytes32(0), "Invalid hashed secret");
+        require(timelocks.cancellation > block.timestamp, "Timelock must be in the future");
+        require(
+            timelocks.withdrawal <= timelocks.publicWithdrawal &&
+            timelocks.publicWithdrawal <= timelocks.cancellation &&
+            timelocks.cancellation <= timelocks.publicCancellation,
+            "Invalid timelock order"
+        );
+        
+        // Reverts if an escrow with identical immutables already exists
+        escrow = Clones.cloneDeterministic(implementation, _hashImmutables(_immutables));
+        
+        uint256 nativeAmount = _immutables.safetyDeposit;
+        if (_immutables.token == address(0)) {
+            require(msg.value == _immutables.amount + _immutables.safetyDeposit, "Incorrect ETH amount");
+            nativeAmount += _immutables.amount;
+        } else {
+            require(msg.value == _immutables.safetyDeposit, "Incorrect safety deposit");
+            // The escrow must receive exactly the amount its immutables promise
+            uint256 balanceBefore = IERC20(_immutables.token).balanceOf(escrow);
+            IERC20(_immutables.token).safeTransferFrom(msg.sender, escrow, _immutables.amount);
+            require(
+                IERC20(_immutables.token).balanceOf(escrow) == balanceBefore + _immutables.amount,
+                "Received amount mismatch"
+            );
+        }
+        
+        if (nativeAmount > 0) {
+            (bool success, ) = escrow.call{value: nativeAmount}("");
+            require(success, "Escrow funding failed");
+        }
+        
+        emit EscrowCreated(escrow, _immutables.initiator, _immutables.participant, _immutables.hashedSecret, _immutables);
+    }
+    
+    /**
+     * @dev Predict the escrow address for a set of immutables
+     */
+    function addressOfEscrow(Escrow.Immutables calldata _immutables) external view returns (address) {
+        return Clones.predictDeterministicAddress(implementation, _hashImmutables(_immutables));
+    }
+    
+    function _hashImmutables(Escrow.Immutables calldata _immutables) internal pure returns (bytes32) {
+        return keccak256(abi.encode(_immutables));
+    }
+}
@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "../interfaces/IPermit2.sol";
+
+/**
+ * @title SwapAssets
+ * @dev Moves escrowed assets in and out of AtomicSwap. An external library, so its code is
+ * deployed once and linked rather than counted against AtomicSwap's size limit; its functions
+ * run through DELEGATECALL, i.e. on the calling contract's balances.
+ */
+library SwapAssets {
+    using SafeERC20 for IERC20;
+
+    // Fungible is ETH (token address(0)) or an ERC20; the others escrow items of one token ID
+    enum AssetType {
+        Fungible,
+        ERC721,
+        ERC1155
+    }
+
+    // One escrowed asset, e.g. a leg of a basket swap
+    struct Asset {
+        AssetType assetType;
+        address token;               // address(0) for ETH
+        uint256 tokenId;             // item ID for ERC721 and ERC1155
+        uint256 amount;
+    }
+
+    /**
+     * @dev Pull an asset into the calling contract. ERC20s go through SafeERC20, so tokens
+     * that return nothing (USDT-style) work and tokens that return false revert. Items
+     * are pulled with safeTransferFrom, so the caller must implement the receiver hooks.
+     * @param _assetType Kind of asset; ETH isn't pulled
+     * @param _token Token contract address
+     * @param _tokenId Item ID for ERC721 and ERC1155, ignored for ERC20
+     * @param _from Owner, who must have approved the calling contract
+     * @param _amount Amount to pull, 1 for ERC721
+     */
+    function pull(AssetType _assetType, address _token, uint256 _tokenId, address _from, uint256 _amount) external {
+        if (_assetType == AssetType.ERC721) {
+            IERC721(_token).safeTransferFrom(_from, address(this), _tokenId);
+        } else if (_assetType == AssetType.ERC1155) {
+            IERC1155(_token).safeTransferFrom(_from, address(this), _tokenId, _amount, "");
+        } else {
+            uint256 balanceBefore = IERC20(_token).balanceOf(address(this));
+            IERC20(_token).safeTransferFrom(_from, address(this), _amount);
+            _requireReceived(_token, balanceBefore, _amount);
+        }
+    }
+
+    /**
+     * @dev Pull ERC20 tokens through a Permit2 signature transfer
+     * @param _permit abi.encode(nonce, deadline, signature) of a PermitTransferFrom for the
+     * amount with the calling contract as spender
+     */
+    function pullWithPermit2(
+        address _permit2,
+        address _token,
+        address _from,
+        uint256 _amount,
+        bytes calldata _permit
+    ) external {
+        (uint256 nonce, uint256 deadline, bytes memory signature) = abi.decode(_permit, (uint256, uint256, bytes));
+        uint256 balanceBefore = IERC20(_token).balanceOf(address(this));
+        IPermit2(_permit2).permitTransferFrom(
+            IPermit2.PermitTransferFrom({
+                permitted: IPermit2.TokenPermissions({ token: _token, amount: _amount }),
+                nonce: nonce,
+                deadline: deadline
+            }),
+            IPermit2.SignatureTransferDetails({ to: address(this), requestedAmount: _amount }),
+            _from,
+            signature
+        );
+        _requireReceived(_token, balanceBefore, _amount);
+    }
+
+    /**
+     * @dev Send ETH with all available gas, or transfer tokens or items, without reverting
+     * @return success Whether the recipient got the asset
+     */
+    function trySend(
+        AssetType _assetType,
+        address _token,
+        uint256 _tokenId,
+        address _to,
+        uint256 _amount
+    ) external returns (bool success) {
+        bytes memory returndata;
+        if (_assetType == AssetType.ERC721) {
+            (success, ) = _token.call(
+                abi.encodeWithSignature("safeTransferFrom(address,address,uint256)", address(this), _to, _tokenId)
+            );
+        } else if (_assetType == AssetType.ERC1155) {
+            (success, ) = _token.call(
+                abi.encodeCall(IERC1155.safeTransferFrom, (address(this), _to, _tokenId, _amount, ""))
+            );
+        } else if (_token == address(0)) {
+            (success, ) = payable(_to).call{value: _amount}("");
+        } else {
+            (success, returndata) = _token.call(abi.encodeCall(IERC20.transfer, (_to, _amount)));
+            success = success && (returndata.length == 0 || abi.decode(returndata, (bool)));
+        }
+    }
+
+    /**
+     * @dev The recorded amount must be what the contract actually received. Fee-on-transfer
+     * and share-rounding rebasing tokens deliver less, which would leave other swaps in the
+     * same token under-collateralised, so they are rejected.
+     */
+    function _requireReceived(address _token, uint256 _balanceBefore, uint256 _amount) private view {
+        require(IERC20(_token).balanceOf(address(this)) == _balanceBefore + _amount, "Received amount mismatch");
+    }
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockBlocklistERC20
+ * @dev ERC20 that reverts transfers to blocked addresses, like USDC/USDT blocklists
+ */
+contract MockBlocklistERC20 is ERC20 {
+    mapping(address => bool) public blocked;
+
+    constructor() ERC20("Blocklist Token", "BLT") {}
+
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+
+    function setBlocked(address _account, bool _blocked) external {
+        blocked[_account] = _blocked;
+    }
+
+    function _beforeTokenTransfer(address, address _to, uint256) internal view override {
+        require(!blocked[_to], "Recipient blocked");
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MockContractWallet
+ * @dev Smart-contract wallet for tests: its receive hook needs more than the 2300 gas
+ * stipend, and it can be switched to reject ETH altogether
+ */
+contract MockContractWallet {
+    bool public accepting = true;
+    uint256 public received;
+
+    function setAccepting(bool _accepting) external {
+        accepting = _accepting;
+    }
+
+    function execute(address _target, bytes calldata _data) external returns (bytes memory) {
+        (bool success, bytes memory result) = _target.call(_data);
+        require(success, "Call failed");
+        return result;
+    }
+
+    receive() external payable {
+        require(accepting, "Wallet rejects ETH");
+        received += msg.value;
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+/**
+ * @title MockERC1155
+ * @dev Mintable ERC1155, for tests
+ */
+contract MockERC1155 is ERC1155 {
+    constructor() ERC1155("") {}
+
+    function mint(address _to, uint256 _id, uint256 _amount) external {
+        _mint(_to, _id, _amount, "");
+    }
+}
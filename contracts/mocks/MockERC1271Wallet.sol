@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title MockERC1271Wallet
+ * @dev Minimal smart-contract wallet for tests: signatures are valid when signed by its owner
+ */
+contract MockERC1271Wallet is IERC1271 {
+    address public immutable owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    function isValidSignature(bytes32 _hash, bytes memory _signature) external view override returns (bytes4) {
+        return ECDSA.recover(_hash, _signature) == owner ? this.isValidSignature.selector : bytes4(0xffffffff);
+    }
+
+    receive() external payable {}
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+/**
+ * @title MockERC721
+ * @dev Mintable ERC721, for tests
+ */
+contract MockERC721 is ERC721 {
+    constructor() ERC721("Mock Items", "ITM") {}
+
+    function mint(address _to, uint256 _tokenId) external {
+        _mint(_to, _tokenId);
+    }
+}
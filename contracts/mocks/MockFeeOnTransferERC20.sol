@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockFeeOnTransferERC20
+ * @dev ERC20 that burns 1% of every transfer, so recipients get less than the amount sent
+ */
+contract MockFeeOnTransferERC20 is ERC20 {
+    uint256 public constant FEE_BPS = 100;
+
+    constructor() ERC20("Fee Token", "FEE") {}
+
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+
+    function _transfer(address _from, address _to, uint256 _amount) internal override {
+        uint256 fee = (_amount * FEE_BPS) / 10000;
+        _burn(_from, fee);
+        super._transfer(_from, _to, _amount - fee);
+    }
+}
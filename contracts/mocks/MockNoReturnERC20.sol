@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MockNoReturnERC20
+ * @dev USDT-style token: transfer, transferFrom and approve return nothing
+ */
+contract MockNoReturnERC20 {
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    function mint(address _to, uint256 _amount) external {
+        balanceOf[_to] += _amount;
+    }
+
+    function approve(address _spender, uint256 _amount) external {
+        allowance[msg.sender][_spender] = _amount;
+    }
+
+    function transfer(address _to, uint256 _amount) external {
+        _move(msg.sender, _to, _amount);
+    }
+
+    function transferFrom(address _from, address _to, uint256 _amount) external {
+        require(allowance[_from][msg.sender] >= _amount, "Insufficient allowance");
+        allowance[_from][msg.sender] -= _amount;
+        _move(_from, _to, _amount);
+    }
+
+    function _move(address _from, address _to, uint256 _amount) internal {
+        require(balanceOf[_from] >= _amount, "Insufficient balance");
+        balanceOf[_from] -= _amount;
+        balanceOf[_to] += _amount;
+    }
+}
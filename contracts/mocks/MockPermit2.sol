@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "../interfaces/IPermit2.sol";
+
+/**
+ * @title MockPermit2
+ * @dev Permit2 signature transfers with the same EIP-712 encoding as Uniswap's contract,
+ * for tests. Keeps no immutables so its code can be placed at the canonical address.
+ */
+contract MockPermit2 is IPermit2 {
+    bytes32 private constant TOKEN_PERMISSIONS_TYPEHASH = keccak256("TokenPermissions(address token,uint256 amount)");
+    bytes32 private constant PERMIT_TRANSFER_FROM_TYPEHASH = keccak256(
+        "PermitTransferFrom(TokenPermissions permitted,address spender,uint256 nonce,uint256 deadline)TokenPermissions(address token,uint256 amount)"
+    );
+
+    mapping(address => mapping(uint256 => bool)) public usedNonces;
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)"),
+            keccak256("Permit2"),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    function permitTransferFrom(
+        PermitTransferFrom calldata permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external override {
+        require(block.timestamp <= permit.deadline, "Signature expired");
+        require(transferDetails.requestedAmount <= permit.permitted.amount, "Invalid amount");
+        require(!usedNonces[owner][permit.nonce], "Invalid nonce");
+        usedNonces[owner][permit.nonce] = true;
+
+        bytes32 structHash = keccak256(abi.encode(
+            PERMIT_TRANSFER_FROM_TYPEHASH,
+            keccak256(abi.encode(TOKEN_PERMISSIONS_TYPEHASH, permit.permitted.token, permit.permitted.amount)),
+            msg.sender,
+            permit.nonce,
+            permit.deadline
+        ));
+        require(
+            ECDSA.recover(ECDSA.toTypedDataHash(DOMAIN_SEPARATOR(), structHash), signature) == owner,
+            "Invalid signer"
+        );
+
+        require(
+            IERC20(permit.permitted.token).transferFrom(owner, transferDetails.to, transferDetails.requestedAmount),
+            "Transfer failed"
+        );
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title MockPermitERC20
+ * @dev Mintable ERC20 with EIP-2612 permit, for tests
+ */
+contract MockPermitERC20 is ERC20Permit {
+    constructor() ERC20("Permit Token", "PMT") ERC20Permit("Permit Token") {}
+
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+}
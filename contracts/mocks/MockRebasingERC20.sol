@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MockRebasingERC20
+ * @dev stETH-style token: balances are shares scaled by a rebase index, and transfers
+ * move whole shares, so after a rebase recipients can get slightly less than requested
+ */
+contract MockRebasingERC20 {
+    uint256 public constant INDEX_BASE = 1e18;
+
+    uint256 public index = INDEX_BASE;
+    mapping(address => uint256) public shares;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    function mint(address _to, uint256 _amount) external {
+        shares[_to] += (_amount * INDEX_BASE) / index;
+    }
+
+    function rebase(uint256 _index) external {
+        index = _index;
+    }
+
+    function balanceOf(address _account) public view returns (uint256) {
+        return (shares[_account] * index) / INDEX_BASE;
+    }
+
+    function approve(address _spender, uint256 _amount) external returns (bool) {
+        allowance[msg.sender][_spender] = _amount;
+        return true;
+    }
+
+    function transfer(address _to, uint256 _amount) external returns (bool) {
+        _move(msg.sender, _to, _amount);
+        return true;
+    }
+
+    function transferFrom(address _from, address _to, uint256 _amount) external returns (bool) {
+        require(allowance[_from][msg.sender] >= _amount, "Insufficient allowance");
+        allowance[_from][msg.sender] -= _amount;
+        _move(_from, _to, _amount);
+        return true;
+    }
+
+    function _move(address _from, address _to, uint256 _amount) internal {
+        uint256 moved = (_amount * INDEX_BASE) / index;
+        require(shares[_from] >= moved, "Insufficient balance");
+        shares[_from] -= moved;
+        shares[_to] += moved;
+    }
+}
@@ -0,0 +1,1296 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155Receiver.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "../libraries/SwapAssets.sol";
+
+/**
+ * @title MockStoredAtomicSwap
+ * @dev AtomicSwap as deployed before swaps were stored as a hash of their parameters, with
+ * every field of a swap in storage and read through getSwap. Baseline of the gas benchmark
+ * and the stored version in tests of reading swaps across versions. Copied unchanged but
+ * for the name.
+ */
+contract MockStoredAtomicSwap is ReentrancyGuard, Ownable, Pausable, EIP712, IERC721Receiver, IERC1155Receiver {
+    using EnumerableSet for EnumerableSet.AddressSet;
+    
+    bytes32 public constant WITHDRAW_TYPEHASH = keccak256(
+        "Withdraw(bytes32 swapId,address relayer,uint256 relayerFee,uint256 deadline)"
+    );
+    
+    // Changes both parties must sign, see extendTimelock and cancelByConsent
+    bytes32 public constant EXTEND_TIMELOCK_TYPEHASH = keccak256(
+        "ExtendTimelock(bytes32 swapId,uint256 cancellation,uint256 publicCancellation,uint256 deadline)"
+    );
+    bytes32 public constant CANCEL_TYPEHASH = keccak256(
+        "CancelByConsent(bytes32 swapId,uint256 deadline)"
+    );
+    
+    // Relayer fee cap in basis points of the escrowed amount (5%)
+    uint256 public constant MAX_RELAYER_FEE_BPS = 500;
+    
+    // Upper bound on partial-fill secrets, so filled parts fit in one bitmap word
+    uint256 public constant MAX_PARTS = 256;
+    
+    // Canonical Uniswap Permit2 deployment, at the same address on every chain
+    address public constant PERMIT2 = 0x000000000022D473030F116dDEE9F6B43aC78BA3;
+    
+    // Hard cap on the protocol fee, in basis points (1%)
+    uint256 public constant MAX_PROTOCOL_FEE_BPS = 100;
+    
+    // Upper bound on basket legs, so settling a swap stays well within the block gas limit
+    uint256 public constant MAX_BASKET_SIZE = 16;
+    
+    // Start timestamps of the Fusion+-style escrow windows, in ascending order
+    struct Timelocks {
+        uint256 withdrawal;          // participant may withdraw
+        uint256 publicWithdrawal;    // anyone holding the secret may withdraw to the participant
+        uint256 cancellation;        // withdrawals close, initiator may refund
+        uint256 publicCancellation;  // anyone may refund to the initiator
+    }
+    
+    // How the secret is hashed into the hashlock. Bitcoin-family scripts can check all but
+    // Keccak256 (OP_SHA256, OP_HASH160, OP_HASH256); a HASH160 hashlock is the 20-byte
+    // digest left-aligned in bytes32.
+    enum HashAlgorithm {
+        Sha256,
+        Keccak256,
+        Hash160,
+        Hash256
+    }
+    
+    enum Stage {
+        FinalityLock,
+        PrivateWithdrawal,
+        PublicWithdrawal,
+        PrivateCancellation,
+        PublicCancellation
+    }
+    
+    struct Swap {
+        address initiator;
+        address participant;
+        address token;
+        SwapAssets.AssetType assetType;
+        uint256 tokenId;             // item ID for ERC721 and ERC1155
+        uint256 amount;
+        bytes32 hashedSecret;        // hash of the secret, or Merkle root of part secrets
+        HashAlgorithm hashAlgorithm;
+        Timelocks timelocks;
+        uint256 safetyDeposit;       // native ETH, kept apart from amount
+        address depositCollector;    // who received the safety deposit
+        uint256 parts;               // number of partial-fill secrets (1 for a single secret)
+        uint256 filledAmount;        // amount released through partial fills
+        uint256 protocolFeeBps;      // fee rate at initiation, charged on withdrawal only
+        bytes32 counterpartyChain;   // where the other leg is locked, e.g. "BTC"; informational
+        bool withdrawn;
+        bool refunded;
+        bool exists;
+    }
+    
+    // Arguments of initiateSwap
+    struct SwapParams {
+        address participant;
+        address token;
+        SwapAssets.AssetType assetType;
+        uint256 tokenId;
+        uint256 amount;
+        bytes32 hashedSecret;
+        HashAlgorithm hashAlgorithm;
+        Timelocks timelocks;
+        uint256 safetyDeposit;
+        uint256 parts;
+        bytes32 counterpartyChain;
+        bytes counterLeg;            // opaque descriptor of the other leg, only emitted
+        SwapAssets.Asset[] basket;   // further assets released or refunded with the main one
+    }
+    
+    // A basket asset and the protocol fee rate it was escrowed with
+    struct BasketLeg {
+        SwapAssets.Asset asset;
+        uint256 protocolFeeBps;
+    }
+    
+    // Read through getSwap; the auto-generated getter would exceed the stack limit
+    mapping(bytes32 => Swap) internal swaps;
+    
+    // IDs of every swap an address initiated or is the participant of, in initiation order
+    mapping(address => bytes32[]) private _swapsByInitiator;
+    mapping(address => bytes32[]) private _swapsByParticipant;
+    
+    // Basket legs of each swap, beyond its main asset
+    mapping(bytes32 => BasketLeg[]) private _baskets;
+    
+    // Bitmap of part indexes already withdrawn, per swap
+    mapping(bytes32 => uint256) public filledParts;
+    
+    // Per-initiator counter mixed into swap IDs, so identical swaps get distinct IDs
+    mapping(address => uint256) public nonces;
+    
+    // Payouts whose transfer failed, claimable by the recipient: account => token => amount
+    mapping(address => mapping(address => uint256)) public balances;
+    
+    // Items whose transfer failed, claimable by the recipient: account => token => tokenId => amount
+    mapping(address => mapping(address => mapping(uint256 => uint256))) public itemBalances;
+    
+    // Caller of the batch in progress; batch items run as self-calls on its behalf
+    address private _batchSender;
+    
+    // Protocol fee on withdrawals, in basis points, and where it is paid
+    uint256 public protocolFeeBps;
+    address public feeRecipient;
+    
+    // Per-token fee rates that replace protocolFeeBps when set
+    struct TokenFee {
+        bool isSet;
+        uint256 feeBps;
+    }
+    mapping(address => TokenFee) public tokenFees;
+    
+    // ERC20s that may be escrowed; ETH is always allowed
+    EnumerableSet.AddressSet private _allowedTokens;
+    
+    event SwapInitiated(
+        bytes32 indexed swapId,
+        address indexed initiator,
+        address indexed participant,
+        address token,
+        SwapAssets.AssetType assetType,
+        uint256 tokenId,
+        uint256 amount,
+        bytes32 hashedSecret,
+        HashAlgorithm hashAlgorithm,
+        Timelocks timelocks,
+        uint256 safetyDeposit,
+        uint256 parts,
+        bytes counterLeg
+    );
+    
+    event BasketEscrowed(
+        bytes32 indexed swapId,
+        SwapAssets.Asset[] assets
+    );
+    
+    event SwapWithdrawn(
+        bytes32 indexed swapId,
+        bytes32 secret
+    );
+    
+    event SwapPartiallyWithdrawn(
+        bytes32 indexed swapId,
+        uint256 index,
+        bytes32 secret,
+        uint256 amount
+    );
+    
+    event SwapRefunded(
+        bytes32 indexed swapId
+    );
+    
+    event TimelockExtended(
+        bytes32 indexed swapId,
+        uint256 cancellation,
+        uint256 publicCancellation
+    );
+    
+    event RelayerFeePaid(
+        bytes32 indexed swapId,
+        address indexed relayer,
+        uint256 fee
+    );
+    
+    event SafetyDepositCollected(
+        bytes32 indexed swapId,
+        address indexed collector,
+        uint256 amount
+    );
+    
+    event BalanceCredited(
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
+    
+    event ProtocolFeeCollected(
+        bytes32 indexed swapId,
+        address indexed recipient,
+        address token,
+        uint256 amount
+    );
+    
+    event ProtocolFeeUpdated(
+        uint256 feeBps
+    );
+    
+    event TokenFeeUpdated(
+        address indexed token,
+        bool isSet,
+        uint256 feeBps
+    );
+    
+    event FeeRecipientUpdated(
+        address indexed feeRecipient
+    );
+    
+    event TokenAllowlistUpdated(
+        address indexed token,
+        bool allowed
+    );
+    
+    event BatchItemFailed(
+        uint256 indexed index,
+        bytes32 swapId,
+        bytes reason
+    );
+    
+    event BalanceClaimed(
+        address indexed account,
+        address indexed token,
+        address recipient,
+        uint256 amount
+    );
+    
+    event ItemCredited(
+        address indexed account,
+        address indexed token,
+        uint256 indexed tokenId,
+        uint256 amount
+    );
+    
+    event ItemClaimed(
+        address indexed account,
+        address indexed token,
+        uint256 indexed tokenId,
+        address recipient,
+        uint256 amount
+    );
+    
+    modifier swapExists(bytes32 _swapId) {
+        require(swaps[_swapId].exists, "Swap does not exist");
+        _;
+    }
+    
+    modifier withdrawable(bytes32 _swapId, bytes32 _secret) {
+        _requireWithdrawable(swaps[_swapId], hashSecret(swaps[_swapId].hashAlgorithm, _secret));
+        _;
+    }
+    
+    modifier partWithdrawable(bytes32 _swapId, bytes32 _secret, uint256 _index, bytes32[] calldata _proof) {
+        _requireWithdrawable(swaps[_swapId], MerkleProof.processProofCalldata(_proof, _partLeaf(_index, _secret)));
+        _;
+    }
+    
+    modifier refundable(bytes32 _swapId) {
+        require(swaps[_swapId].exists, "Swap does not exist");
+        require(!swaps[_swapId].withdrawn, "Already withdrawn");
+        require(!swaps[_swapId].refunded, "Already refunded");
+        require(block.timestamp >= swaps[_swapId].timelocks.cancellation, "Timelock not expired");
+        require(
+            _msgSender() == swaps[_swapId].initiator ||
+                block.timestamp >= swaps[_swapId].timelocks.publicCancellation,
+            "Only initiator can refund"
+        );
+        _;
+    }
+    
+    modifier onlySelf() {
+        require(msg.sender == address(this), "Only callable in a batch");
+        _;
+    }
+    
+    constructor() EIP712("AtomicSwap", "1") {
+        feeRecipient = msg.sender;
+    }
+    
+    /**
+     * @dev Initiate a new atomic swap. The swap ID is derived from the swap parameters and
+     * the caller's nonce (see computeSwapId), so it can't be front-run by another account.
+     * @param _params Swap parameters:
+     * - participant: address of the participant (receiver)
+     * - token: token contract address (address(0) for ETH)
+     * - assetType: Fungible for ETH and ERC20, or ERC721 / ERC1155 to escrow items; items
+     *   are pulled with safeTransferFrom and carry no protocol fee
+     * - tokenId: item ID for ERC721 and ERC1155, 0 for fungible assets
+     * - amount: amount to swap; 1 for ERC721
+     * - hashedSecret: hash of the secret
+     * - hashAlgorithm: hash function of the hashlock; must be Sha256 when parts is above 1
+     * - timelocks: start timestamps of the withdrawal and cancellation windows
+     * - safetyDeposit: optional ETH paid on top of the swap value, rewarding whoever
+     *   completes or cancels the swap during the public windows
+     * - parts: number of partial-fill secrets; when above 1, hashedSecret is the Merkle
+     *   root of their leaves (see _partLeaf) and each secret releases an equal share
+     * - counterpartyChain: label of the chain the other leg is on, e.g. "BTC"; metadata only
+     * - counterLeg: optional ABI-encoded description of the other leg (chain, asset, amount,
+     *   destination; see ethereum/counterLeg.js). Not validated or stored, only emitted in
+     *   SwapInitiated so offers can be discovered and checked from chain data alone.
+     * - basket: further assets, up to MAX_BASKET_SIZE, escrowed under the same hashlock and
+     *   timelocks; all of them are withdrawn or refunded together with the main asset, and
+     *   each pays its own token's protocol fee. ETH legs are paid in msg.value, tokens and
+     *   items must be approved. Requires parts to be 1.
+     * @return swapId Identifier of the new swap
+     */
+    function initiateSwap(SwapParams calldata _params) external payable nonReentrant returns (bytes32 swapId) {
+        swapId = _initiateSwap(_params);
+        _pullAsset(_params);
+    }
+    
+    /**
+     * @dev Initiate an ERC20 swap, approving the transfer with an EIP-2612 permit in the
+     * same transaction. Parameters as initiateSwap.
+     * @param _permit abi.encode(deadline, v, r, s) of a permit for the amount to this contract
+     */
+    function initiateSwapWithPermit(SwapParams calldata _params, bytes calldata _permit)
+        external
+        payable
+        nonReentrant
+        returns (bytes32 swapId)
+    {
+        require(
+            _params.token != address(0) && _params.assetType == SwapAssets.AssetType.Fungible,
+            "Permit requires an ERC20"
+        );
+        swapId = _initiateSwap(_params);
+        _permitAndPull(_params.token, _params.amount, _permit);
+        _pullBasket(_params);
+    }
+    
+    /**
+     * @dev Initiate an ERC20 swap, pulling the tokens through a Permit2 signature transfer,
+     * for tokens without EIP-2612. The token must be approved to Permit2 once beforehand.
+     * Parameters as initiateSwap.
+     * @param _permit abi.encode(nonce, deadline, signature) of a Permit2 PermitTransferFrom
+     * for the amount with this contract as spender
+     */
+    function initiateSwapWithPermit2(SwapParams calldata _params, bytes calldata _permit)
+        external
+        payable
+        nonReentrant
+        returns (bytes32 swapId)
+    {
+        require(
+            _params.token != address(0) && _params.assetType == SwapAssets.AssetType.Fungible,
+            "Permit requires an ERC20"
+        );
+        swapId = _initiateSwap(_params);
+        SwapAssets.pullWithPermit2(PERMIT2, _params.token, _msgSender(), _params.amount, _permit);
+        _pullBasket(_params);
+    }
+    
+    /**
+     * @dev Validate and record a swap; the caller pulls ERC20 funds afterwards
+     */
+    function _initiateSwap(SwapParams calldata _params) internal whenNotPaused returns (bytes32 swapId) {
+        Timelocks calldata timelocks = _params.timelocks;
+        require(_params.participant != address(0), "Invalid participant");
+        require(_params.amount > 0, "Amount must be greater than 0");
+        require(timelocks.cancellation > block.timestamp, "Timelock must be in the future");
+        require(
+            timelocks.withdrawal <= timelocks.publicWithdrawal &&
+                timelocks.publicWithdrawal <= timelocks.cancellation &&
+                timelocks.cancellation <= timelocks.publicCancellation,
+            "Invalid timelock order"
+        );
+        require(_params.hashedSecret != bytes32(0), "Invalid hashed secret");
+        require(_params.parts > 0 && _params.parts <= MAX_PARTS && _params.parts <= _params.amount, "Invalid parts");
+        // Part leaves commit to sha256 hashes, matching the per-part Bitcoin HTLCs
+        require(_params.parts == 1 || _params.hashAlgorithm == HashAlgorithm.Sha256, "Parts require Sha256");
+        _requireValidAsset(_params.assetType, _params.token, _params.tokenId, _params.amount);
+        require(_params.basket.length <= MAX_BASKET_SIZE, "Basket too large");
+        require(_params.basket.length == 0 || _params.parts == 1, "Basket swaps can't be partial");
+        
+        address initiator = _msgSender();
+        swapId = computeSwapId(
+            initiator,
+            _params.participant,
+            _params.token,
+            _params.amount,
+            _params.hashedSecret,
+            timelocks.cancellation,
+            nonces[initiator]++
+        );
+        
+        // ETH swap amounts and legs, plus the safety deposit
+        uint256 value = _itemValue(_params);
+        require(msg.value == value, value > _params.safetyDeposit ? "Incorrect ETH amount" : "Incorrect safety deposit");
+        
+        swaps[swapId] = Swap({
+            initiator: initiator,
+            participant: _params.participant,
+            token: _params.token,
+            assetType: _params.assetType,
+            tokenId: _params.tokenId,
+            amount: _params.amount,
+            hashedSecret: _params.hashedSecret,
+            hashAlgorithm: _params.hashAlgorithm,
+            timelocks: timelocks,
+            safetyDeposit: _params.safetyDeposit,
+            depositCollector: address(0),
+            parts: _params.parts,
+            filledAmount: 0,
+            protocolFeeBps: _params.assetType == SwapAssets.AssetType.Fungible ? feeBpsFor(_params.token) : 0,
+            counterpartyChain: _params.counterpartyChain,
+            withdrawn: false,
+            refunded: false,
+            exists: true
+        });
+        _swapsByInitiator[initiator].push(swapId);
+        _swapsByParticipant[_params.participant].push(swapId);
+        
+        _emitSwapInitiated(swapId, initiator, _params);
+        
+        if (_params.basket.length > 0) {
+            BasketLeg[] storage basket = _baskets[swapId];
+            for (uint256 i = 0; i < _params.basket.length; i++) {
+                SwapAssets.Asset calldata asset = _params.basket[i];
+                _requireValidAsset(asset.assetType, asset.token, asset.tokenId, asset.amount);
+                basket.push(BasketLeg({
+                    asset: asset,
+                    protocolFeeBps: asset.assetType == SwapAssets.AssetType.Fungible ? feeBpsFor(asset.token) : 0
+                }));
+            }
+            emit BasketEscrowed(swapId, _params.basket);
+        }
+    }
+    
+    // Separate from _initiateSwap, whose locals leave no stack room for the event's arguments
+    function _emitSwapInitiated(bytes32 _swapId, address _initiator, SwapParams calldata _params) internal {
+        emit SwapInitiated(
+            _swapId,
+            _initiator,
+            _params.participant,
+            _params.token,
+            _params.assetType,
+            _params.tokenId,
+            _params.amount,
+            _params.hashedSecret,
+            _params.hashAlgorithm,
+            _params.timelocks,
+            _params.safetyDeposit,
+            _params.parts,
+            _params.counterLeg
+        );
+    }
+    
+    /**
+     * @dev Withdraw funds by revealing the secret. Only the participant may withdraw
+     * during the private window; from publicWithdrawal anyone may push the funds to them.
+     * @param _swapId Swap identifier
+     * @param _secret The secret that hashes to hashedSecret
+     */
+    function withdraw(
+        bytes32 _swapId,
+        bytes32 _secret
+    ) external nonReentrant {
+        _withdraw(_swapId, _secret);
+    }
+    
+    function _withdraw(bytes32 _swapId, bytes32 _secret) internal withdrawable(_swapId, _secret) {
+        Swap storage swap = swaps[_swapId];
+        require(
+            _msgSender() == swap.participant || block.timestamp >= swap.timelocks.publicWithdrawal,
+            "Only participant can withdraw"
+        );
+        
+        swap.withdrawn = true;
+        
+        _payOut(swap, swap.participant, _takeProtocolFee(_swapId, swap.token, swap.protocolFeeBps, swap.amount));
+        _releaseBasket(_swapId, swap.participant, true);
+        _collectSafetyDeposit(_swapId, swap, block.timestamp >= swap.timelocks.publicWithdrawal);
+        
+        emit SwapWithdrawn(_swapId, _secret);
+    }
+    
+    /**
+     * @dev Withdraw on behalf of the participant using their EIP-712 signed claim,
+     * so a relayer can pay the gas. The relayer fee is taken from the escrowed amount.
+     * Supports EOA signatures and EIP-1271 smart-contract wallets.
+     * @param _swapId Swap identifier
+     * @param _secret The secret that hashes to hashedSecret
+     * @param _relayer Relayer allowed to submit the claim (address(0) for anyone)
+     * @param _relayerFee Fee paid to the relayer, capped at MAX_RELAYER_FEE_BPS of the amount
+     * @param _deadline Timestamp after which the signed claim is no longer valid
+     * @param _signature Participant's signature over the Withdraw struct
+     */
+    function withdrawWithSignature(
+        bytes32 _swapId,
+        bytes32 _secret,
+        address _relayer,
+        uint256 _relayerFee,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external nonReentrant withdrawable(_swapId, _secret) {
+        Swap storage swap = swaps[_swapId];
+        require(block.timestamp <= _deadline, "Signature expired");
+        require(_relayer == address(0) || _relayer == msg.sender, "Invalid relayer");
+        require(_relayerFee <= (swap.amount * MAX_RELAYER_FEE_BPS) / 10000, "Relayer fee too high");
+        
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(WITHDRAW_TYPEHASH, _swapId, _relayer, _relayerFee, _deadline))
+        );
+        require(
+            SignatureChecker.isValidSignatureNow(swap.participant, digest, _signature),
+            "Invalid signature"
+        );
+        
+        swap.withdrawn = true;
+        
+        _payOut(swap, swap.participant, _takeProtocolFee(_swapId, swap.token, swap.protocolFeeBps, swap.amount) - _relayerFee);
+        _payOut(swap, msg.sender, _relayerFee);
+        _releaseBasket(_swapId, swap.participant, true);
+        _collectSafetyDeposit(_swapId, swap, block.timestamp >= swap.timelocks.publicWithdrawal);
+        
+        emit SwapWithdrawn(_swapId, _secret);
+        emit RelayerFeePaid(_swapId, msg.sender, _relayerFee);
+    }
+    
+    /**
+     * @dev Withdraw one part of a partial-fill swap by revealing one of its secrets.
+     * Each secret releases amount / parts (the last index also takes the rounding
+     * remainder), and the swap completes once every part has been filled.
+     * @param _swapId Swap identifier
+     * @param _secret Secret of the part being filled
+     * @param _index Index of the part's leaf in the Merkle tree
+     * @param _proof Merkle proof of the leaf against hashedSecret
+     */
+    function withdrawPartial(
+        bytes32 _swapId,
+        bytes32 _secret,
+        uint256 _index,
+        bytes32[] calldata _proof
+    ) external nonReentrant partWithdrawable(_swapId, _secret, _index, _proof) {
+        Swap storage swap = swaps[_swapId];
+        require(swap.parts > 1, "Not a partial-fill swap");
+        require(_index < swap.parts, "Invalid part index");
+        require(filledParts[_swapId] & (1 << _index) == 0, "Part already filled");
+        require(
+            _msgSender() == swap.participant || block.timestamp >= swap.timelocks.publicWithdrawal,
+            "Only participant can withdraw"
+        );
+        
+        filledParts[_swapId] |= 1 << _index;
+        
+        uint256 partAmount = swap.amount / swap.parts;
+        if (_index == swap.parts - 1) {
+            partAmount = swap.amount - partAmount * (swap.parts - 1);
+        }
+        swap.filledAmount += partAmount;
+        
+        _payOut(swap, swap.participant, _takeProtocolFee(_swapId, swap.token, swap.protocolFeeBps, partAmount));
+        
+        emit SwapPartiallyWithdrawn(_swapId, _index, _secret, partAmount);
+        
+        if (swap.filledAmount == swap.amount) {
+            swap.withdrawn = true;
+            _collectSafetyDeposit(_swapId, swap, block.timestamp >= swap.timelocks.publicWithdrawal);
+            emit SwapWithdrawn(_swapId, _secret);
+        }
+    }
+    
+    /**
+     * @dev Refund the swap after the cancellation time. Only the initiator may refund
+     * during the private window; from publicCancellation anyone may refund to them.
+     * Partially filled swaps refund the unfilled remainder.
+     * @param _swapId Swap identifier
+     */
+    function refund(bytes32 _swapId) external nonReentrant {
+        _refund(_swapId);
+    }
+    
+    function _refund(bytes32 _swapId) internal refundable(_swapId) {
+        Swap storage swap = swaps[_swapId];
+        swap.refunded = true;
+        
+        _payOut(swap, swap.initiator, swap.amount - swap.filledAmount);
+        _releaseBasket(_swapId, swap.initiator, false);
+        _collectSafetyDeposit(_swapId, swap, block.timestamp >= swap.timelocks.publicCancellation);
+        
+        emit SwapRefunded(_swapId);
+    }
+    
+    /**
+     * @dev Give a swap more time, e.g. for a slow confirmation on the other chain, with the
+     * consent of both parties. Anyone may submit their signatures. Every extension must move
+     * cancellation later, so a signed extension can't be replayed.
+     * @param _swapId Swap identifier
+     * @param _cancellation New cancellation time
+     * @param _publicCancellation New public cancellation time, no earlier than _cancellation
+     * @param _deadline Timestamp after which the signatures are no longer valid
+     * @param _initiatorSignature Initiator's signature over the ExtendTimelock struct
+     * @param _participantSignature Participant's signature over the ExtendTimelock struct
+     */
+    function extendTimelock(
+        bytes32 _swapId,
+        uint256 _cancellation,
+        uint256 _publicCancellation,
+        uint256 _deadline,
+        bytes calldata _initiatorSignature,
+        bytes calldata _participantSignature
+    ) external {
+        Swap storage swap = swaps[_swapId];
+        _requireConsent(
+            swap,
+            keccak256(abi.encode(EXTEND_TIMELOCK_TYPEHASH, _swapId, _cancellation, _publicCancellation, _deadline)),
+            _deadline,
+            _initiatorSignature,
+            _participantSignature
+        );
+        require(_cancellation > swap.timelocks.cancellation, "Cancellation not extended");
+        require(
+            _publicCancellation >= _cancellation && _publicCancellation >= swap.timelocks.publicCancellation,
+            "Invalid timelock order"
+        );
+        
+        swap.timelocks.cancellation = _cancellation;
+        swap.timelocks.publicCancellation = _publicCancellation;
+        
+        emit TimelockExtended(_swapId, _cancellation, _publicCancellation);
+    }
+    
+    /**
+     * @dev Refund a swap at once, before its timelock, with the consent of both parties.
+     * Anyone may submit their signatures. Settles like refund: the unfilled amount and the
+     * safety deposit go back to the initiator, and SwapRefunded is emitted.
+     * @param _swapId Swap identifier
+     * @param _deadline Timestamp after which the signatures are no longer valid
+     * @param _initiatorSignature Initiator's signature over the CancelByConsent struct
+     * @param _participantSignature Participant's signature over the CancelByConsent struct
+     */
+    function cancelByConsent(
+        bytes32 _swapId,
+        uint256 _deadline,
+        bytes calldata _initiatorSignature,
+        bytes calldata _participantSignature
+    ) external nonReentrant {
+        Swap storage swap = swaps[_swapId];
+        _requireConsent(
+            swap,
+            keccak256(abi.encode(CANCEL_TYPEHASH, _swapId, _deadline)),
+            _deadline,
+            _initiatorSignature,
+            _participantSignature
+        );
+        swap.refunded = true;
+        
+        _payOut(swap, swap.initiator, swap.amount - swap.filledAmount);
+        _releaseBasket(_swapId, swap.initiator, false);
+        _collectSafetyDeposit(_swapId, swap, false);
+        
+        emit SwapRefunded(_swapId);
+    }
+    
+    /**
+     * @dev Initiate several swaps. A failing item is skipped (see BatchItemFailed) and its
+     * ETH returned, instead of reverting the batch.
+     * @param _params One initiateSwap argument set per swap; msg.value must cover the ETH
+     * amounts and safety deposits of all of them
+     * @return swapIds Identifier per item, zero where the item failed
+     */
+    function initiateSwaps(SwapParams[] calldata _params)
+        external
+        payable
+        nonReentrant
+        returns (bytes32[] memory swapIds)
+    {
+        uint256 totalValue;
+        for (uint256 i = 0; i < _params.length; i++) {
+            totalValue += _itemValue(_params[i]);
+        }
+        require(msg.value == totalValue, "Incorrect ETH amount");
+        
+        _batchSender = msg.sender;
+        swapIds = new bytes32[](_params.length);
+        uint256 unusedValue;
+        for (uint256 i = 0; i < _params.length; i++) {
+            uint256 value = _itemValue(_params[i]);
+            try this.batchItemInitiate{value: value}(_params[i]) returns (bytes32 swapId) {
+                swapIds[i] = swapId;
+            } catch (bytes memory reason) {
+                unusedValue += value;
+                emit BatchItemFailed(i, bytes32(0), reason);
+            }
+        }
+        _batchSender = address(0);
+        
+        _transferOut(address(0), msg.sender, unusedValue);
+    }
+    
+    /**
+     * @dev Withdraw several swaps; items that can't be withdrawn are skipped
+     * @param _swapIds Swap identifiers
+     * @param _secrets Secret per swap
+     * @return successes Whether each item was withdrawn
+     */
+    function withdrawMany(bytes32[] calldata _swapIds, bytes32[] calldata _secrets)
+        external
+        nonReentrant
+        returns (bool[] memory successes)
+    {
+        require(_swapIds.length == _secrets.length, "Length mismatch");
+        
+        _batchSender = msg.sender;
+        successes = new bool[](_swapIds.length);
+        for (uint256 i = 0; i < _swapIds.length; i++) {
+            try this.batchItemWithdraw(_swapIds[i], _secrets[i]) {
+                successes[i] = true;
+            } catch (bytes memory reason) {
+                emit BatchItemFailed(i, _swapIds[i], reason);
+            }
+        }
+        _batchSender = address(0);
+    }
+    
+    /**
+     * @dev Refund several swaps; items that can't be refunded are skipped
+     * @param _swapIds Swap identifiers
+     * @return successes Whether each item was refunded
+     */
+    function refundMany(bytes32[] calldata _swapIds)
+        external
+        nonReentrant
+        returns (bool[] memory successes)
+    {
+        _batchSender = msg.sender;
+        successes = new bool[](_swapIds.length);
+        for (uint256 i = 0; i < _swapIds.length; i++) {
+            try this.batchItemRefund(_swapIds[i]) {
+                successes[i] = true;
+            } catch (bytes memory reason) {
+                emit BatchItemFailed(i, _swapIds[i], reason);
+            }
+        }
+        _batchSender = address(0);
+    }
+    
+    /**
+     * @dev Batch item entry points. Each item runs as its own self-call so that its
+     * revert only undoes that item; _msgSender() resolves to the batch caller.
+     */
+    function batchItemInitiate(SwapParams calldata _params) external payable onlySelf returns (bytes32 swapId) {
+        swapId = _initiateSwap(_params);
+        _pullAsset(_params);
+    }
+    
+    function batchItemWithdraw(bytes32 _swapId, bytes32 _secret) external onlySelf {
+        _withdraw(_swapId, _secret);
+    }
+    
+    function batchItemRefund(bytes32 _swapId) external onlySelf {
+        _refund(_swapId);
+    }
+    
+    /**
+     * @dev Claim a payout that was credited because sending it failed
+     * @param _token Token contract address (address(0) for ETH)
+     * @param _recipient Where to send it, e.g. a fresh address if the account is blocked by the token
+     */
+    function claimBalance(address _token, address _recipient) external nonReentrant {
+        uint256 amount = balances[msg.sender][_token];
+        require(amount > 0, "Nothing to claim");
+        require(_recipient != address(0), "Invalid recipient");
+        
+        balances[msg.sender][_token] = 0;
+        require(_trySend(_token, _recipient, amount), "Transfer failed");
+        
+        emit BalanceClaimed(msg.sender, _token, _recipient, amount);
+    }
+    
+    /**
+     * @dev Claim an item that was credited because sending it failed
+     * @param _assetType ERC721 or ERC1155
+     * @param _token Item contract address
+     * @param _tokenId Item ID
+     * @param _recipient Where to send it, e.g. an account that accepts the item
+     */
+    function claimItem(SwapAssets.AssetType _assetType, address _token, uint256 _tokenId, address _recipient)
+        external
+        nonReentrant
+    {
+        uint256 amount = itemBalances[msg.sender][_token][_tokenId];
+        require(_assetType != SwapAssets.AssetType.Fungible, "Not an item");
+        require(amount > 0, "Nothing to claim");
+        require(_recipient != address(0), "Invalid recipient");
+        
+        itemBalances[msg.sender][_token][_tokenId] = 0;
+        require(SwapAssets.trySend(_assetType, _token, _tokenId, _recipient, amount), "Transfer failed");
+        
+        emit ItemClaimed(msg.sender, _token, _tokenId, _recipient, amount);
+    }
+    
+    /**
+     * @dev ERC721 receiver hook. Only items the contract pulls for a swap are accepted, so
+     * an item sent here directly can't get stuck.
+     */
+    function onERC721Received(address _operator, address, uint256, bytes calldata)
+        external
+        view
+        returns (bytes4)
+    {
+        require(_operator == address(this), "Only swap deposits");
+        return IERC721Receiver.onERC721Received.selector;
+    }
+    
+    /**
+     * @dev ERC1155 receiver hook; as onERC721Received
+     */
+    function onERC1155Received(address _operator, address, uint256, uint256, bytes calldata)
+        external
+        view
+        returns (bytes4)
+    {
+        require(_operator == address(this), "Only swap deposits");
+        return IERC1155Receiver.onERC1155Received.selector;
+    }
+    
+    /**
+     * @dev Batch transfers are never used for swap deposits
+     */
+    function onERC1155BatchReceived(address, address, uint256[] calldata, uint256[] calldata, bytes calldata)
+        external
+        pure
+        returns (bytes4)
+    {
+        revert("Only swap deposits");
+    }
+    
+    function supportsInterface(bytes4 _interfaceId) external pure returns (bool) {
+        return _interfaceId == type(IERC1155Receiver).interfaceId || _interfaceId == type(IERC165).interfaceId;
+    }
+    
+    /**
+     * @dev Derive a swap ID; mirrored off-chain by ethereum/swapId.js
+     * @param _timelock Cancellation timestamp of the swap
+     * @param _nonce Initiator's nonce at initiation
+     */
+    function computeSwapId(
+        address _initiator,
+        address _participant,
+        address _token,
+        uint256 _amount,
+        bytes32 _hashedSecret,
+        uint256 _timelock,
+        uint256 _nonce
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(_initiator, _participant, _token, _amount, _hashedSecret, _timelock, _nonce));
+    }
+    
+    /**
+     * @dev Hash a secret into a hashlock; mirrored off-chain by ethereum/hashlock.js
+     * @param _algorithm Hash function of the swap
+     * @param _secret The secret
+     */
+    function hashSecret(HashAlgorithm _algorithm, bytes32 _secret) public pure returns (bytes32) {
+        if (_algorithm == HashAlgorithm.Keccak256) {
+            return keccak256(abi.encodePacked(_secret));
+        }
+        bytes32 digest = sha256(abi.encodePacked(_secret));
+        if (_algorithm == HashAlgorithm.Hash160) {
+            return bytes32(ripemd160(abi.encodePacked(digest)));
+        }
+        if (_algorithm == HashAlgorithm.Hash256) {
+            return sha256(abi.encodePacked(digest));
+        }
+        return digest;
+    }
+    
+    /**
+     * @dev Set the default protocol fee; applies to swaps initiated afterwards
+     * @param _feeBps Fee in basis points, at most MAX_PROTOCOL_FEE_BPS
+     */
+    function setProtocolFee(uint256 _feeBps) external onlyOwner {
+        require(_feeBps <= MAX_PROTOCOL_FEE_BPS, "Fee too high");
+        protocolFeeBps = _feeBps;
+        emit ProtocolFeeUpdated(_feeBps);
+    }
+    
+    /**
+     * @dev Override the protocol fee for one token (address(0) for ETH)
+     */
+    function setTokenFee(address _token, uint256 _feeBps) external onlyOwner {
+        require(_feeBps <= MAX_PROTOCOL_FEE_BPS, "Fee too high");
+        tokenFees[_token] = TokenFee({ isSet: true, feeBps: _feeBps });
+        emit TokenFeeUpdated(_token, true, _feeBps);
+    }
+    
+    /**
+     * @dev Remove a token's fee override, falling back to protocolFeeBps
+     */
+    function clearTokenFee(address _token) external onlyOwner {
+        delete tokenFees[_token];
+        emit TokenFeeUpdated(_token, false, 0);
+    }
+    
+    function setFeeRecipient(address _feeRecipient) external onlyOwner {
+        require(_feeRecipient != address(0), "Invalid fee recipient");
+        feeRecipient = _feeRecipient;
+        emit FeeRecipientUpdated(_feeRecipient);
+    }
+    
+    /**
+     * @dev Stop new swaps from being initiated. Withdrawals and refunds stay open so
+     * escrowed funds are never frozen.
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+    
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+    
+    /**
+     * @dev Add an ERC20 to, or remove it from, the allowlist. Removal only affects new
+     * swaps; ones already escrowed settle as usual.
+     */
+    function setTokenAllowed(address _token, bool _allowed) external onlyOwner {
+        require(_token != address(0), "Invalid token");
+        if (_allowed ? _allowedTokens.add(_token) : _allowedTokens.remove(_token)) {
+            emit TokenAllowlistUpdated(_token, _allowed);
+        }
+    }
+    
+    function isTokenAllowed(address _token) external view returns (bool) {
+        return _token == address(0) || _allowedTokens.contains(_token);
+    }
+    
+    /**
+     * @dev All allowlisted ERC20s, in no particular order
+     */
+    function getAllowedTokens() external view returns (address[] memory) {
+        return _allowedTokens.values();
+    }
+    
+    /**
+     * @dev Fee rate a new swap in _token would be charged
+     */
+    function feeBpsFor(address _token) public view returns (uint256) {
+        TokenFee memory tokenFee = tokenFees[_token];
+        return tokenFee.isSet ? tokenFee.feeBps : protocolFeeBps;
+    }
+    
+    /**
+     * @dev Get swap details, returned as the stored record
+     * @param _swapId Swap identifier
+     */
+    function getSwap(bytes32 _swapId) external view returns (Swap memory swap) {
+        swap = swaps[_swapId];
+        require(swap.exists, "Swap does not exist");
+    }
+    
+    /**
+     * @dev Get the basket legs a swap escrows besides its main asset
+     * @param _swapId Swap identifier
+     */
+    function getBasket(bytes32 _swapId) external view returns (BasketLeg[] memory) {
+        return _baskets[_swapId];
+    }
+    
+    /**
+     * @dev Page through the swaps an address initiated, oldest first
+     * @param _initiator Initiator address
+     * @param _offset Index of the first swap to return
+     * @param _limit Maximum number of swaps to return
+     * @return swapIds Swap identifiers
+     * @return total Number of swaps the address initiated
+     */
+    function getSwapsByInitiator(address _initiator, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (bytes32[] memory swapIds, uint256 total)
+    {
+        return _paginate(_swapsByInitiator[_initiator], _offset, _limit);
+    }
+    
+    /**
+     * @dev Page through the swaps an address can withdraw, oldest first. Parameters and
+     * return values as getSwapsByInitiator.
+     */
+    function getSwapsByParticipant(address _participant, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (bytes32[] memory swapIds, uint256 total)
+    {
+        return _paginate(_swapsByParticipant[_participant], _offset, _limit);
+    }
+    
+    /**
+     * @dev Check if swap is withdrawable
+     * @param _swapId Swap identifier
+     * @param _secret Secret to check
+     */
+    function isWithdrawable(bytes32 _swapId, bytes32 _secret) external view returns (bool) {
+        Swap memory swap = swaps[_swapId];
+        return swap.exists && 
+               !swap.withdrawn && 
+               !swap.refunded && 
+               hashSecret(swap.hashAlgorithm, _secret) == swap.hashedSecret && 
+               block.timestamp >= swap.timelocks.withdrawal &&
+               block.timestamp < swap.timelocks.cancellation;
+    }
+    
+    /**
+     * @dev Check if swap is refundable
+     * @param _swapId Swap identifier
+     */
+    function isRefundable(bytes32 _swapId) external view returns (bool) {
+        Swap memory swap = swaps[_swapId];
+        return swap.exists && 
+               !swap.withdrawn && 
+               !swap.refunded && 
+               block.timestamp >= swap.timelocks.cancellation;
+    }
+    
+    /**
+     * @dev Get the current timelock window of a swap
+     * @param _swapId Swap identifier
+     */
+    function getStage(bytes32 _swapId) external view swapExists(_swapId) returns (Stage) {
+        Timelocks memory timelocks = swaps[_swapId].timelocks;
+        if (block.timestamp >= timelocks.publicCancellation) return Stage.PublicCancellation;
+        if (block.timestamp >= timelocks.cancellation) return Stage.PrivateCancellation;
+        if (block.timestamp >= timelocks.publicWithdrawal) return Stage.PublicWithdrawal;
+        if (block.timestamp >= timelocks.withdrawal) return Stage.PrivateWithdrawal;
+        return Stage.FinalityLock;
+    }
+    
+    /**
+     * @dev Check that a swap can be withdrawn with a secret hashing (or proving) to _hashedSecret
+     * @param swap Swap being withdrawn
+     * @param _hashedSecret Hash of the revealed secret, or the Merkle root its proof leads to
+     */
+    function _requireWithdrawable(Swap storage swap, bytes32 _hashedSecret) internal view {
+        require(swap.exists, "Swap does not exist");
+        require(!swap.withdrawn, "Already withdrawn");
+        require(!swap.refunded, "Already refunded");
+        require(_hashedSecret == swap.hashedSecret, "Invalid secret");
+        require(block.timestamp >= swap.timelocks.withdrawal, "Withdrawal not started");
+        require(block.timestamp < swap.timelocks.cancellation, "Timelock expired");
+    }
+    
+    /**
+     * @dev Check that an open swap's initiator and participant both signed a change
+     * @param swap Swap being changed
+     * @param _structHash EIP-712 struct hash of the change
+     * @param _deadline Timestamp after which the signatures are no longer valid
+     */
+    function _requireConsent(
+        Swap storage swap,
+        bytes32 _structHash,
+        uint256 _deadline,
+        bytes calldata _initiatorSignature,
+        bytes calldata _participantSignature
+    ) internal view {
+        require(swap.exists, "Swap does not exist");
+        require(!swap.withdrawn, "Already withdrawn");
+        require(!swap.refunded, "Already refunded");
+        require(block.timestamp <= _deadline, "Signature expired");
+        
+        bytes32 digest = _hashTypedDataV4(_structHash);
+        require(
+            SignatureChecker.isValidSignatureNow(swap.initiator, digest, _initiatorSignature),
+            "Invalid initiator signature"
+        );
+        require(
+            SignatureChecker.isValidSignatureNow(swap.participant, digest, _participantSignature),
+            "Invalid participant signature"
+        );
+    }
+    
+    function _paginate(bytes32[] storage _ids, uint256 _offset, uint256 _limit)
+        internal
+        view
+        returns (bytes32[] memory page, uint256 total)
+    {
+        total = _ids.length;
+        if (_offset >= total) {
+            return (page, total);
+        }
+        uint256 end = _limit > total - _offset ? total : _offset + _limit;
+        page = new bytes32[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = _ids[i];
+        }
+    }
+    
+    /**
+     * @dev Merkle leaf of a partial-fill secret. The index is bounded by MAX_PARTS,
+     * so a leaf preimage can never be mistaken for a pair of inner nodes.
+     * @param _index Part index
+     * @param _secret Part secret
+     */
+    function _partLeaf(uint256 _index, bytes32 _secret) internal pure returns (bytes32) {
+        return keccak256(abi.encodePacked(_index, sha256(abi.encodePacked(_secret))));
+    }
+    
+    /**
+     * @dev Pay the protocol fee on a withdrawn amount to the fee recipient
+     * @param _feeBps Rate the asset was escrowed with
+     * @return net What is left for the participant
+     */
+    function _takeProtocolFee(bytes32 _swapId, address _token, uint256 _feeBps, uint256 _gross)
+        internal
+        returns (uint256 net)
+    {
+        uint256 fee = (_gross * _feeBps) / 10000;
+        if (fee > 0) {
+            _transferOut(_token, feeRecipient, fee);
+            emit ProtocolFeeCollected(_swapId, feeRecipient, _token, fee);
+        }
+        return _gross - fee;
+    }
+    
+    /**
+     * @dev Send every basket leg of a settled swap
+     * @param _to Participant on withdrawal, initiator on refund
+     * @param _withdrawn Whether the swap was withdrawn, so protocol fees apply
+     */
+    function _releaseBasket(bytes32 _swapId, address _to, bool _withdrawn) internal {
+        BasketLeg[] storage basket = _baskets[_swapId];
+        for (uint256 i = 0; i < basket.length; i++) {
+            SwapAssets.Asset storage asset = basket[i].asset;
+            uint256 amount = _withdrawn
+                ? _takeProtocolFee(_swapId, asset.token, basket[i].protocolFeeBps, asset.amount)
+                : asset.amount;
+            _sendAsset(asset.assetType, asset.token, asset.tokenId, _to, amount);
+        }
+    }
+    
+    /**
+     * @dev Pay out the safety deposit: to the caller during the public windows,
+     * otherwise back to the initiator who posted it
+     * @param _swapId Swap identifier
+     * @param swap Swap being settled
+     * @param _isPublic Whether the swap is settled during a public window
+     */
+    function _collectSafetyDeposit(bytes32 _swapId, Swap storage swap, bool _isPublic) internal {
+        if (swap.safetyDeposit == 0) {
+            return;
+        }
+        
+        address collector = _isPublic ? _msgSender() : swap.initiator;
+        swap.depositCollector = collector;
+        _transferOut(address(0), collector, swap.safetyDeposit);
+        
+        emit SafetyDepositCollected(_swapId, collector, swap.safetyDeposit);
+    }
+    
+    /**
+     * @dev The swap's msg.sender is the batch caller while a batch item runs
+     */
+    function _msgSender() internal view override returns (address) {
+        return msg.sender == address(this) ? _batchSender : msg.sender;
+    }
+    
+    /**
+     * @dev ETH an initiation needs: the amount for ETH swaps and ETH basket legs, plus the
+     * safety deposit
+     */
+    function _itemValue(SwapParams calldata _params) internal pure returns (uint256 value) {
+        value = (_params.token == address(0) ? _params.amount : 0) + _params.safetyDeposit;
+        for (uint256 i = 0; i < _params.basket.length; i++) {
+            if (_params.basket[i].token == address(0)) {
+                value += _params.basket[i].amount;
+            }
+        }
+    }
+    
+    /**
+     * @dev Check an asset to escrow: allowlisted token, token ID only for items, one ERC721
+     */
+    function _requireValidAsset(SwapAssets.AssetType _assetType, address _token, uint256 _tokenId, uint256 _amount)
+        internal
+        view
+    {
+        require(_amount > 0, "Amount must be greater than 0");
+        require(_token == address(0) || _allowedTokens.contains(_token), "Token not allowed");
+        require(_assetType == SwapAssets.AssetType.Fungible ? _tokenId == 0 : _token != address(0), "Invalid asset");
+        require(_assetType != SwapAssets.AssetType.ERC721 || _amount == 1, "ERC721 amount must be 1");
+    }
+    
+    /**
+     * @dev Apply an EIP-2612 permit and pull the tokens. A failing permit is ignored, so a
+     * permit front-run from the mempool doesn't block the swap when the allowance is set.
+     */
+    function _permitAndPull(address _token, uint256 _amount, bytes calldata _permit) internal {
+        (uint256 deadline, uint8 v, bytes32 r, bytes32 s) = abi.decode(_permit, (uint256, uint8, bytes32, bytes32));
+        try IERC20Permit(_token).permit(msg.sender, address(this), _amount, deadline, v, r, s) {} catch {}
+        SwapAssets.pull(SwapAssets.AssetType.Fungible, _token, 0, _msgSender(), _amount);
+    }
+    
+    /**
+     * @dev Pull the escrowed assets of a new swap from its initiator; ETH arrives as msg.value
+     */
+    function _pullAsset(SwapParams calldata _params) internal {
+        if (_params.token != address(0)) {
+            SwapAssets.pull(_params.assetType, _params.token, _params.tokenId, _msgSender(), _params.amount);
+        }
+        _pullBasket(_params);
+    }
+    
+    function _pullBasket(SwapParams calldata _params) internal {
+        for (uint256 i = 0; i < _params.basket.length; i++) {
+            SwapAssets.Asset calldata asset = _params.basket[i];
+            if (asset.token != address(0)) {
+                SwapAssets.pull(asset.assetType, asset.token, asset.tokenId, _msgSender(), asset.amount);
+            }
+        }
+    }
+    
+    /**
+     * @dev Send escrowed ETH or ERC20 tokens out of the contract. If the recipient can't
+     * take them (reverting contract wallet, token blocklist), the amount is credited to
+     * balances instead so the swap still settles; see claimBalance.
+     * @param _token Token contract address (address(0) for ETH)
+     * @param _to Recipient
+     * @param _amount Amount to send
+     */
+    function _transferOut(address _token, address _to, uint256 _amount) internal {
+        if (_amount == 0) {
+            return;
+        }
+        
+        if (!_trySend(_token, _to, _amount)) {
+            balances[_to][_token] += _amount;
+            emit BalanceCredited(_to, _token, _amount);
+        }
+    }
+    
+    /**
+     * @dev Send a swap's escrowed asset
+     */
+    function _payOut(Swap storage swap, address _to, uint256 _amount) internal {
+        _sendAsset(swap.assetType, swap.token, swap.tokenId, _to, _amount);
+    }
+    
+    /**
+     * @dev Send an escrowed asset. Like tokens in _transferOut, an item the recipient can't
+     * take (a contract without the receiver hook) is credited to itemBalances instead, so
+     * the swap still settles; see claimItem.
+     */
+    function _sendAsset(SwapAssets.AssetType _assetType, address _token, uint256 _tokenId, address _to, uint256 _amount)
+        internal
+    {
+        if (_assetType == SwapAssets.AssetType.Fungible) {
+            _transferOut(_token, _to, _amount);
+        } else if (_amount > 0 && !SwapAssets.trySend(_assetType, _token, _tokenId, _to, _amount)) {
+            itemBalances[_to][_token][_tokenId] += _amount;
+            emit ItemCredited(_to, _token, _tokenId, _amount);
+        }
+    }
+    
+    /**
+     * @dev Send ETH with all available gas, or call ERC20 transfer, without reverting
+     * @return success Whether the recipient got the funds
+     */
+    function _trySend(address _token, address _to, uint256 _amount) internal returns (bool success) {
+        return SwapAssets.trySend(SwapAssets.AssetType.Fungible, _token, 0, _to, _amount);
+    }
+}
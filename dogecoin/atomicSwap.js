@@ -1,4 +1,5 @@
 const bitcoin = require('bitcoinjs-lib');
+const ecc = require('tiny-secp256k1');
 const crypto = require('crypto');
 
 // Dogecoin network configurations
@@ -27,12 +28,21 @@ const DOGECOIN_NETWORKS = {
   }
 };
 
+// Hashlock opcodes, keyed like ethereum/hashlock.js (Keccak256 has no opcode)
+const HASH_OPCODES = {
+  sha256: bitcoin.opcodes.OP_SHA256,
+  hash160: bitcoin.opcodes.OP_HASH160,
+  hash256: bitcoin.opcodes.OP_HASH256
+};
+
 class DogecoinAtomicSwap {
+  // network is a name (mainnet, testnet) or one of DogecoinAtomicSwap.networks
   constructor(network = 'testnet') {
-    this.network = DOGECOIN_NETWORKS[network];
-    if (!this.network) {
+    this.network = typeof network === 'string' ? DOGECOIN_NETWORKS[network] : network;
+    if (!Object.values(DOGECOIN_NETWORKS).includes(this.network)) {
       throw new Error(`Unsupported network: ${network}`);
     }
+    this.isMainnet = this.network === DOGECOIN_NETWORKS.mainnet;
   }
 
   // Generate a random secret (32 bytes)
@@ -52,15 +62,19 @@ class DogecoinAtomicSwap {
     return hash.toString('hex') === expectedHash;
   }
 
-  // Create HTLC script for Dogecoin (same as Bitcoin)
-  createHTLCScript(hashedSecret, senderPubKey, recipientPubKey, timelock) {
+  // Create HTLC script for Dogecoin (same as Bitcoin); hashAlgorithm is sha256, hash160 or hash256
+  createHTLCScript(hashedSecret, senderPubKey, recipientPubKey, timelock, hashAlgorithm = 'sha256') {
+    const hashOpcode = HASH_OPCODES[hashAlgorithm];
+    if (hashOpcode === undefined) {
+      throw new Error(`Hash algorithm ${hashAlgorithm} can't be verified in Dogecoin script`);
+    }
     const hashedSecretBuffer = Buffer.from(hashedSecret, 'hex');
     const senderPubKeyBuffer = Buffer.from(senderPubKey, 'hex');
     const recipientPubKeyBuffer = Buffer.from(recipientPubKey, 'hex');
     
     return bitcoin.script.compile([
       bitcoin.opcodes.OP_IF,
-      bitcoin.opcodes.OP_SHA256,
+      hashOpcode,
       hashedSecretBuffer,
       bitcoin.opcodes.OP_EQUALVERIFY,
       recipientPubKeyBuffer,
@@ -81,20 +95,20 @@ class DogecoinAtomicSwap {
     const ripemd160Hash = crypto.createHash('ripemd160').update(scriptHash).digest();
     
     // Add version byte for Dogecoin P2SH
-    const versionedHash = Buffer.concat([
+    return this.base58CheckEncode(Buffer.concat([
       Buffer.from([this.network.scriptHash]), 
       ripemd160Hash
-    ]);
-    
-    // Calculate checksum
+    ]));
+  }
+
+  // Base58 encoding with a double-SHA256 checksum, as addresses and WIF keys use
+  base58CheckEncode(payload) {
     const checksum = crypto.createHash('sha256')
-      .update(crypto.createHash('sha256').update(versionedHash).digest())
+      .update(crypto.createHash('sha256').update(payload).digest())
       .digest()
       .slice(0, 4);
     
-    // Combine and encode
-    const fullHash = Buffer.concat([versionedHash, checksum]);
-    return this.base58Encode(fullHash);
+    return this.base58Encode(Buffer.concat([payload, checksum]));
   }
 
   // Base58 encoding for Dogecoin addresses
@@ -124,7 +138,7 @@ class DogecoinAtomicSwap {
 
   // Convert dogeoshis to DOGE
   dogeoshisToDoge(dogeoshis) {
-    return (parseInt(dogeoshis) / 100000000).toFixed(8);
+    return Number((parseInt(dogeoshis) / 100000000).toFixed(8));
   }
 
   // Create funding transaction (placeholder - would need actual UTXO management)
@@ -175,12 +189,18 @@ class DogecoinAtomicSwap {
 
   // Generate key pair for Dogecoin
   createKeyPair() {
-    const keyPair = bitcoin.ECPair.makeRandom({ network: this.network });
+    let privateKey;
+    do {
+      privateKey = crypto.randomBytes(32);
+    } while (!ecc.isPrivate(privateKey));
+    const publicKey = Buffer.from(ecc.pointFromScalar(privateKey, true));
+    
     return {
-      privateKey: keyPair.toWIF(),
-      publicKey: keyPair.publicKey.toString('hex'),
+      // WIF of a compressed key
+      privateKey: this.base58CheckEncode(Buffer.concat([Buffer.from([this.network.wif]), privateKey, Buffer.from([0x01])])),
+      publicKey: publicKey.toString('hex'),
       address: bitcoin.payments.p2pkh({ 
-        pubkey: keyPair.publicKey, 
+        pubkey: publicKey, 
         network: this.network 
       }).address
     };
@@ -201,4 +221,5 @@ class DogecoinAtomicSwap {
   }
 }
 
-module.exports = DogecoinAtomicSwap;
\ No newline at end of file
+module.exports = DogecoinAtomicSwap;
+module.exports.networks = DOGECOIN_NETWORKS;
\ No newline at end of file
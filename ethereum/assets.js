@@ -0,0 +1,135 @@
+const { ethers } = require('ethers');
+
+/**
+ * Asset kinds AtomicSwap can escrow (SwapParams.assetType), and lookup of the ERC721 and
+ * ERC1155 items a wallet holds, so they can be offered without an NFT indexer
+ */
+
+// SwapAssets.AssetType values, in enum order
+const ASSET_TYPES = {
+    fungible: 0,
+    erc721: 1,
+    erc1155: 2
+};
+
+// Asset type names indexed by SwapAssets.AssetType value, e.g. to read readSwap().assetType
+const ASSET_TYPE_NAMES = Object.keys(ASSET_TYPES);
+
+// ERC165 interface IDs of the two item standards
+const ERC721_INTERFACE_ID = '0x80ac58cd';
+const ERC1155_INTERFACE_ID = '0xd9b67a26';
+
+const ITEM_ABI = [
+    'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+    'function ownerOf(uint256 tokenId) view returns (address)',
+    'function balanceOf(address owner, uint256 id) view returns (uint256)',
+    'function getApproved(uint256 tokenId) view returns (address)',
+    'function isApprovedForAll(address owner, address operator) view returns (bool)',
+    'function approve(address to, uint256 tokenId)',
+    'function setApprovalForAll(address operator, bool approved)',
+    'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+    'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+    'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)'
+];
+
+/**
+ * Asset type of a token contract, from its ERC165 interfaces
+ * @param {ethers.Contract} token - Token with ITEM_ABI
+ * @returns {Promise<string>} Key of ASSET_TYPES; fungible when ERC165 isn't supported
+ */
+async function detectAssetType(token) {
+    try {
+        if (await token.supportsInterface(ERC721_INTERFACE_ID)) {
+            return 'erc721';
+        }
+        if (await token.supportsInterface(ERC1155_INTERFACE_ID)) {
+            return 'erc1155';
+        }
+    } catch (error) {
+        // ERC20s don't implement ERC165
+    }
+    return 'fungible';
+}
+
+/**
+ * Items of a collection an account holds now, found from the transfers it received
+ * @param {ethers.Contract} collection - ERC721 or ERC1155 contract with ITEM_ABI and a provider
+ * @param {string} owner - Account to look up
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock] - First block to scan, e.g. the collection's deployment block
+ * @returns {Promise<{assetType: string, items: Array<{tokenId: bigint, amount: bigint}>}>}
+ */
+async function fetchOwnedItems(collection, owner, { fromBlock = 0 } = {}) {
+    const assetType = await detectAssetType(collection);
+    let tokenIds;
+
+    if (assetType === 'erc721') {
+        const logs = await collection.queryFilter(collection.filters.Transfer(null, owner), fromBlock);
+        tokenIds = logs.map(log => log.args.tokenId);
+    } else if (assetType === 'erc1155') {
+        const [single, batch] = await Promise.all([
+            collection.queryFilter(collection.filters.TransferSingle(null, null, owner), fromBlock),
+            collection.queryFilter(collection.filters.TransferBatch(null, null, owner), fromBlock)
+        ]);
+        tokenIds = [...single.map(log => log.args.id), ...batch.flatMap(log => [...log.args.ids])];
+    } else {
+        throw new Error('Not an ERC721 or ERC1155 contract');
+    }
+
+    // Received items may have been sent on since
+    const unique = [...new Set(tokenIds.map(String))].map(id => ethers.getBigInt(id));
+    const items = await Promise.all(unique.map(async (tokenId) => ({
+        tokenId,
+        amount: assetType === 'erc721'
+            ? ((await collection.ownerOf(tokenId)).toLowerCase() === owner.toLowerCase() ? 1n : 0n)
+            : await collection.balanceOf(owner, tokenId)
+    })));
+    return { assetType, items: items.filter(item => item.amount > 0n) };
+}
+
+/**
+ * Let AtomicSwap pull an item: approval of the one token for ERC721, operator approval
+ * for ERC1155, which has no per-token approval
+ * @param {ethers.Contract} collection - ITEM_ABI contract connected to the owner
+ * @param {string} assetType - erc721 or erc1155
+ * @param {bigint|string} tokenId
+ * @param {string} operator - AtomicSwap address
+ * @returns {Promise<ethers.TransactionResponse|null>} Approval transaction, null if already approved
+ */
+async function approveItem(collection, assetType, tokenId, operator) {
+    const owner = await collection.runner.getAddress();
+    if (await collection.isApprovedForAll(owner, operator)) {
+        return null;
+    }
+    if (assetType === 'erc721') {
+        if ((await collection.getApproved(tokenId)).toLowerCase() === operator.toLowerCase()) {
+            return null;
+        }
+        return collection.approve(operator, tokenId);
+    }
+    return collection.setApprovalForAll(operator, true);
+}
+
+/**
+ * ETH to send with initiateSwap: the amount of an ETH swap and of every ETH basket leg,
+ * plus the safety deposit
+ * @param {Object} params - SwapParams, with basket legs as { assetType, token, tokenId, amount }
+ * @returns {bigint}
+ */
+function initiationValue(params) {
+    const legs = [params, ...(params.basket || [])];
+    return legs.reduce(
+        (value, leg) => value + (leg.token === ethers.ZeroAddress ? ethers.getBigInt(leg.amount) : 0n),
+        ethers.getBigInt(params.safetyDeposit || 0)
+    );
+}
+
+module.exports = {
+    ASSET_TYPES,
+    ASSET_TYPE_NAMES,
+    ITEM_ABI,
+    detectAssetType,
+    fetchOwnedItems,
+    approveItem,
+    initiationValue
+};
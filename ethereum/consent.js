@@ -0,0 +1,69 @@
+const { ethers } = require('ethers');
+const { swapCallArgs } = require('./swapRecord');
+
+/**
+ * Signing helpers for AtomicSwap.extendTimelock and AtomicSwap.cancelByConsent
+ * Both parties sign the same change; either of them, or anyone else, then submits it
+ */
+
+// EIP-712 types of the changes, matching EXTEND_TIMELOCK_TYPEHASH and CANCEL_TYPEHASH
+const CONSENT_TYPES = {
+    ExtendTimelock: [
+        { name: 'swapId', type: 'bytes32' },
+        { name: 'cancellation', type: 'uint256' },
+        { name: 'publicCancellation', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ],
+    CancelByConsent: [
+        { name: 'swapId', type: 'bytes32' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+/**
+ * Sign an AtomicSwap change
+ * @param {ethers.Signer} signer - Initiator or participant of the swap
+ * @param {ethers.Contract} contract - AtomicSwap
+ * @param {string} type - ExtendTimelock or CancelByConsent
+ * @param {Object} terms - The struct's fields, e.g. { swapId, deadline } for CancelByConsent
+ * @returns {Promise<string>} Signature for the matching contract argument
+ */
+async function signConsent(signer, contract, type, terms) {
+    if (!CONSENT_TYPES[type]) {
+        throw new Error(`Unknown consent type: ${type}`);
+    }
+    const { chainId } = await signer.provider.getNetwork();
+    return signer.signTypedData(
+        { name: 'AtomicSwap', version: '1', chainId, verifyingContract: await contract.getAddress() },
+        { [type]: CONSENT_TYPES[type] },
+        terms
+    );
+}
+
+/**
+ * Submit a change once both parties signed it
+ * @param {ethers.Contract} contract - AtomicSwap, connected to the account paying the gas
+ * @param {string} type - ExtendTimelock or CancelByConsent
+ * @param {Object} terms - The signed struct's fields
+ * @param {string} initiatorSignature
+ * @param {string} participantSignature
+ * @returns {Promise<ethers.TransactionResponse>}
+ */
+async function submitConsent(contract, type, terms, initiatorSignature, participantSignature) {
+    if (!CONSENT_TYPES[type]) {
+        throw new Error(`Unknown consent type: ${type}`);
+    }
+    const swapArgs = await swapCallArgs(contract, terms.swapId);
+    return type === 'ExtendTimelock'
+        ? contract.extendTimelock(
+            ...swapArgs, terms.cancellation, terms.publicCancellation, terms.deadline,
+            initiatorSignature, participantSignature
+        )
+        : contract.cancelByConsent(...swapArgs, terms.deadline, initiatorSignature, participantSignature);
+}
+
+module.exports = {
+    CONSENT_TYPES,
+    signConsent,
+    submitConsent
+};
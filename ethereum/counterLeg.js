@@ -0,0 +1,55 @@
+const { ethers } = require('ethers');
+
+/**
+ * Encoding of SwapParams.counterLeg, the description of a swap's non-Ethereum leg
+ * AtomicSwap treats it as opaque bytes and only emits it, so anyone reading SwapInitiated
+ * can see what the initiator asks for on the other chain without asking our backend
+ */
+
+// chain and asset are short labels such as "BTC"; destination is an address or script hash
+const COUNTER_LEG_TYPE = 'tuple(bytes32 chain, bytes32 asset, uint256 amount, string destination)';
+
+/**
+ * @param {Object} leg
+ * @param {string} leg.chain - Chain label, e.g. BTC or DOGE
+ * @param {string} [leg.asset] - Asset label, the chain's native coin when omitted
+ * @param {bigint|string|number} leg.amount - Amount in the asset's base units (satoshis)
+ * @param {string} leg.destination - Where the initiator is paid: an address or script hash
+ * @returns {string} 0x-prefixed bytes for SwapParams.counterLeg
+ */
+function encodeCounterLeg({ chain, asset, amount, destination }) {
+    return ethers.AbiCoder.defaultAbiCoder().encode([COUNTER_LEG_TYPE], [{
+        chain: ethers.encodeBytes32String(chain),
+        asset: ethers.encodeBytes32String(asset || chain),
+        amount,
+        destination
+    }]);
+}
+
+/**
+ * @param {string} data - counterLeg bytes from SwapInitiated
+ * @returns {Object|null} { chain, asset, amount, destination }, or null when absent or not in this format
+ */
+function decodeCounterLeg(data) {
+    if (!data || data === '0x') {
+        return null;
+    }
+    try {
+        const [leg] = ethers.AbiCoder.defaultAbiCoder().decode([COUNTER_LEG_TYPE], data);
+        return {
+            chain: ethers.decodeBytes32String(leg.chain),
+            asset: ethers.decodeBytes32String(leg.asset),
+            amount: leg.amount,
+            destination: leg.destination
+        };
+    } catch (error) {
+        // Opaque on-chain, so anything may have been emitted
+        return null;
+    }
+}
+
+module.exports = {
+    COUNTER_LEG_TYPE,
+    encodeCounterLeg,
+    decodeCounterLeg
+};
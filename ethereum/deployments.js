@@ -0,0 +1,128 @@
+const { ethers } = require('ethers');
+const { recoverSwaps, fetchOpenOffers } = require('./discovery');
+const { SWAP_STATUS, isCommittedContract } = require('./swapRecord');
+
+/**
+ * Registry of AtomicSwap versions deployed on one chain
+ * A changed contract is deployed next to the old ones instead of replacing them. Older
+ * versions are paused, which only stops new swaps, so swaps still open on them can be read,
+ * withdrawn and refunded there; new swaps go to the latest version.
+ *
+ * Registry format, one file per chain (deployments/<chainId>.json):
+ * { chainId, versions: [{ version, address, abi, blockNumber, deployedAt }] }, oldest first.
+ * Each version keeps its own ABI, since getSwap's return type changes between versions and
+ * the latest ones have no getSwap; read swaps with readSwap and readStage (./legacy) to get
+ * the same shape from every one, and settle them with swapCallArgs (./swapRecord).
+ */
+
+/**
+ * Empty registry for a chain
+ * @param {bigint|number|string} chainId
+ */
+function createRegistry(chainId) {
+    return { chainId: chainId.toString(), versions: [] };
+}
+
+/**
+ * Append a deployment as the next version
+ * @param {Object} registry
+ * @param {Object} deployment - { address, abi, blockNumber }
+ * @returns {Object} Registry with the new version last
+ */
+function addDeployment(registry, { address, abi, blockNumber }) {
+    const last = registry.versions[registry.versions.length - 1];
+    return {
+        ...registry,
+        versions: [...registry.versions, {
+            version: last ? last.version + 1 : 1,
+            address: ethers.getAddress(address),
+            abi,
+            blockNumber,
+            deployedAt: new Date().toISOString()
+        }]
+    };
+}
+
+/**
+ * Version new swaps are created on
+ */
+function latestDeployment(registry) {
+    return registry.versions[registry.versions.length - 1] || null;
+}
+
+/**
+ * Contract instances of every version, newest first
+ * @param {Object} registry
+ * @param {ethers.ContractRunner} runner - Provider to read, signer to send
+ * @returns {Array<{version: number, address: string, blockNumber: number, contract: ethers.Contract}>}
+ */
+function connectDeployments(registry, runner) {
+    return [...registry.versions].reverse().map(({ version, address, abi, blockNumber }) => ({
+        version,
+        address,
+        blockNumber: blockNumber || 0,
+        contract: new ethers.Contract(address, abi, runner)
+    }));
+}
+
+/**
+ * Version a swap was initiated on, checking the newest first. An ID could only repeat on
+ * another version for the same initiator, nonce and hashlock, and hashlocks aren't reused.
+ * @param {Array<Object>} deployments - From connectDeployments
+ * @param {string} swapId
+ * @returns {Promise<Object|null>} The deployment, or null if no version has the swap
+ */
+async function findSwapDeployment(deployments, swapId) {
+    for (const deployment of deployments) {
+        if (isCommittedContract(deployment.contract)) {
+            const { status } = await deployment.contract.swapStates(swapId);
+            if (Number(status) !== SWAP_STATUS.none) {
+                return deployment;
+            }
+            continue;
+        }
+        try {
+            const swap = await deployment.contract.getSwap(swapId);
+            if (swap.initiator !== ethers.ZeroAddress) {
+                return deployment;
+            }
+        } catch (error) {
+            // getSwap reverts for swaps the version doesn't have
+        }
+    }
+    return null;
+}
+
+/**
+ * recoverSwaps across every version that indexes swaps per account
+ * @returns {Promise<Array<Object>>} recoverSwaps entries, each with its version and address
+ */
+async function recoverSwapsFromDeployments(deployments, account, options) {
+    const perVersion = await Promise.all(
+        deployments
+            .filter(({ contract }) => contract.interface.getFunction('getSwapsByInitiator'))
+            .map(async ({ version, address, contract }) =>
+                (await recoverSwaps(contract, account, options)).map(entry => ({ ...entry, version, address })))
+    );
+    return perVersion.flat();
+}
+
+/**
+ * fetchOpenOffers across every version, each scanned from its deployment block
+ * @returns {Promise<Array<Object>>} Offers, each with its version and address
+ */
+async function fetchOpenOffersFromDeployments(deployments) {
+    const perVersion = await Promise.all(deployments.map(async ({ version, address, blockNumber, contract }) =>
+        (await fetchOpenOffers(contract, { fromBlock: blockNumber })).map(offer => ({ ...offer, version, address }))));
+    return perVersion.flat();
+}
+
+module.exports = {
+    createRegistry,
+    addDeployment,
+    latestDeployment,
+    connectDeployments,
+    findSwapDeployment,
+    recoverSwapsFromDeployments,
+    fetchOpenOffersFromDeployments
+};
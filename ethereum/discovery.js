@@ -0,0 +1,143 @@
+const { ethers } = require('ethers');
+const { decodeCounterLeg } = require('./counterLeg');
+const { isLegacyContract, legacyTimelocks, readSwap } = require('./legacy');
+
+/**
+ * Swap discovery from AtomicSwap's on-chain indexes and events
+ * Lets a user find every swap they are part of, and every open offer, from any node,
+ * without the backend
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Read a whole per-address index, one page per call
+ * @param {ethers.Contract} contract - AtomicSwap
+ * @param {string} method - getSwapsByInitiator or getSwapsByParticipant
+ * @param {string} address - Indexed address
+ * @param {number} [pageSize]
+ * @returns {Promise<Array<string>>} Swap IDs, oldest first
+ */
+async function fetchSwapIds(contract, method, address, pageSize = DEFAULT_PAGE_SIZE) {
+    const swapIds = [];
+    let total;
+    do {
+        const [page, count] = await contract[method](address, swapIds.length, pageSize);
+        total = Number(count);
+        swapIds.push(...page);
+        if (page.length === 0) {
+            break;
+        }
+    } while (swapIds.length < total);
+    return swapIds;
+}
+
+/**
+ * Every swap an account initiated or can withdraw, read with readSwap
+ * @param {ethers.Contract} contract - AtomicSwap
+ * @param {string} account - Address to look up
+ * @param {Object} [options]
+ * @param {boolean} [options.openOnly] - Skip swaps already withdrawn or refunded
+ * @param {number} [options.pageSize]
+ * @returns {Promise<Array<{swapId: string, role: string, swap: Object}>>}
+ */
+async function recoverSwaps(contract, account, { openOnly = false, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const [initiated, participating] = await Promise.all([
+        fetchSwapIds(contract, 'getSwapsByInitiator', account, pageSize),
+        fetchSwapIds(contract, 'getSwapsByParticipant', account, pageSize)
+    ]);
+
+    // A swap to oneself shows up in both indexes
+    const roles = new Map(initiated.map(swapId => [swapId, 'initiator']));
+    for (const swapId of participating) {
+        roles.set(swapId, roles.has(swapId) ? 'both' : 'participant');
+    }
+
+    const recovered = await Promise.all([...roles].map(async ([swapId, role]) => ({
+        swapId,
+        role,
+        swap: await readSwap(contract, swapId)
+    })));
+    return openOnly
+        ? recovered.filter(({ swap }) => !swap.withdrawn && !swap.refunded)
+        : recovered;
+}
+
+/**
+ * Swaps initiated and not yet withdrawn or refunded, read from contract events
+ * @param {ethers.Contract} contract - AtomicSwap, with a provider
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock] - First block to scan, e.g. the deployment block
+ * @returns {Promise<Array<Object>>} SwapInitiated fields, with counterLeg decoded (null if absent)
+ * and the basket legs escrowed alongside the main asset
+ */
+async function fetchOpenOffers(contract, { fromBlock = 0 } = {}) {
+    const [initiated, withdrawn, refunded, baskets] = await Promise.all([
+        contract.queryFilter(contract.filters.SwapInitiated(), fromBlock),
+        contract.queryFilter(contract.filters.SwapWithdrawn(), fromBlock),
+        contract.queryFilter(contract.filters.SwapRefunded(), fromBlock),
+        // Versions deployed before basket swaps don't have the event
+        contract.interface.getEvent('BasketEscrowed')
+            ? contract.queryFilter(contract.filters.BasketEscrowed(), fromBlock)
+            : []
+    ]);
+
+    const settled = new Set([...withdrawn, ...refunded].map(log => log.args.swapId));
+    const basketOf = new Map(baskets.map(({ args }) => [args.swapId, args.assets.map(decodeAsset)]));
+    // The legacy version's event has a single timelock and none of the later fields
+    const legacy = isLegacyContract(contract);
+    return initiated
+        .filter(log => !settled.has(log.args.swapId))
+        .map(({ args, blockNumber }) => {
+            // Committed versions emit the swap's fields as one Swap record
+            const swap = args.swap || args;
+            return {
+                swapId: args.swapId,
+                initiator: args.initiator,
+                participant: args.participant,
+                token: swap.token,
+                assetType: legacy ? 0 : Number(swap.assetType),
+                tokenId: legacy ? 0n : swap.tokenId,
+                amount: swap.amount,
+                hashedSecret: swap.hashedSecret,
+                hashAlgorithm: legacy ? 0 : Number(swap.hashAlgorithm),
+                timelocks: legacy ? legacyTimelocks(swap.timelock) : swap.timelocks,
+                safetyDeposit: legacy ? 0n : swap.safetyDeposit,
+                parts: legacy ? 1n : swap.parts,
+                counterLeg: decodeCounterLeg(args.counterLeg),
+                basket: basketOf.get(args.swapId) || [],
+                blockNumber
+            };
+        });
+}
+
+function decodeAsset(asset) {
+    return {
+        assetType: Number(asset.assetType),
+        token: asset.token,
+        tokenId: asset.tokenId,
+        amount: asset.amount
+    };
+}
+
+/**
+ * Encode a counterparty chain label such as "BTC" for SwapParams.counterpartyChain
+ */
+function encodeCounterpartyChain(label) {
+    return label ? ethers.encodeBytes32String(label) : ethers.ZeroHash;
+}
+
+/**
+ * Decode Swap.counterpartyChain; empty when unset
+ */
+function decodeCounterpartyChain(value) {
+    return value === ethers.ZeroHash ? '' : ethers.decodeBytes32String(value);
+}
+
+module.exports = {
+    fetchSwapIds,
+    recoverSwaps,
+    fetchOpenOffers,
+    encodeCounterpartyChain,
+    decodeCounterpartyChain
+};
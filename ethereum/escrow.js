@@ -0,0 +1,81 @@
+const { ethers } = require('ethers');
+
+/**
+ * Off-chain mirror of EscrowFactory's CREATE2 address derivation
+ * Lets either party compute (and check) a swap's escrow address before it is funded
+ */
+
+// ABI type of Escrow.Immutables; field order must match the Solidity struct
+const IMMUTABLES_TYPE =
+    'tuple(address initiator, address participant, address token, uint256 amount, bytes32 hashedSecret, uint256 safetyDeposit, ' +
+    'tuple(uint256 withdrawal, uint256 publicWithdrawal, uint256 cancellation, uint256 publicCancellation) timelocks)';
+
+/**
+ * Normalize swap parameters into the Escrow.Immutables shape
+ */
+function buildImmutables({ initiator, participant, token, amount, hashedSecret, safetyDeposit, timelocks }) {
+    return {
+        initiator: ethers.getAddress(initiator),
+        participant: ethers.getAddress(participant),
+        token: token ? ethers.getAddress(token) : ethers.ZeroAddress,
+        amount: ethers.getBigInt(amount),
+        hashedSecret: hashedSecret.startsWith('0x') ? hashedSecret : '0x' + hashedSecret,
+        safetyDeposit: ethers.getBigInt(safetyDeposit || 0),
+        timelocks: {
+            withdrawal: ethers.getBigInt(timelocks.withdrawal),
+            publicWithdrawal: ethers.getBigInt(timelocks.publicWithdrawal),
+            cancellation: ethers.getBigInt(timelocks.cancellation),
+            publicCancellation: ethers.getBigInt(timelocks.publicCancellation)
+        }
+    };
+}
+
+/**
+ * CREATE2 salt used by the factory: keccak256(abi.encode(immutables))
+ */
+function hashImmutables(immutables) {
+    return ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode([IMMUTABLES_TYPE], [buildImmutables(immutables)])
+    );
+}
+
+/**
+ * The factory deploys its Escrow implementation from the constructor, as its first contract creation
+ */
+function getImplementationAddress(factoryAddress) {
+    return ethers.getCreateAddress({ from: factoryAddress, nonce: 1 });
+}
+
+/**
+ * EIP-1167 minimal proxy creation code, as emitted by OpenZeppelin Clones
+ */
+function getProxyInitCode(implementationAddress) {
+    return ethers.concat([
+        '0x3d602d80600a3d3981f3363d3d373d3d3d363d73',
+        ethers.getAddress(implementationAddress),
+        '0x5af43d82803e903d91602b57fd5bf3'
+    ]);
+}
+
+/**
+ * Address EscrowFactory.createEscrow will deploy the swap's escrow at
+ * @param {string} factoryAddress - EscrowFactory address
+ * @param {Object} immutables - Swap parameters (see buildImmutables)
+ * @param {string} [implementationAddress] - Defaults to the factory's own implementation
+ */
+function computeEscrowAddress(factoryAddress, immutables, implementationAddress) {
+    const implementation = implementationAddress || getImplementationAddress(factoryAddress);
+    return ethers.getCreate2Address(
+        factoryAddress,
+        hashImmutables(immutables),
+        ethers.keccak256(getProxyInitCode(implementation))
+    );
+}
+
+module.exports = {
+    IMMUTABLES_TYPE,
+    buildImmutables,
+    hashImmutables,
+    getImplementationAddress,
+    computeEscrowAddress
+};
@@ -0,0 +1,73 @@
+const { ethers } = require('ethers');
+
+/**
+ * Off-chain mirror of AtomicSwap.hashSecret
+ * The Ethereum hashlock must be checkable by the counter-chain's script too, so only some
+ * algorithms can be used for swaps against Bitcoin-family chains
+ */
+
+// AtomicSwap.HashAlgorithm values, in enum order
+const HASH_ALGORITHMS = {
+    sha256: 0,
+    keccak256: 1,
+    hash160: 2,
+    hash256: 3
+};
+
+// Algorithm names indexed by AtomicSwap.HashAlgorithm value, e.g. to read readSwap().hashAlgorithm
+const HASH_ALGORITHM_NAMES = Object.keys(HASH_ALGORITHMS);
+
+// Algorithms with a matching opcode (OP_SHA256, OP_HASH160, OP_HASH256) in Bitcoin script
+const SCRIPT_HASH_ALGORITHMS = ['sha256', 'hash160', 'hash256'];
+
+/**
+ * Hash a secret the way AtomicSwap does for the given algorithm
+ * @param {string} secret - 32-byte secret, with or without 0x
+ * @param {string} [algorithm] - Key of HASH_ALGORITHMS, sha256 by default
+ * @returns {string} 0x-prefixed bytes32 hashlock; a HASH160 digest is left-aligned
+ */
+function hashSecret(secret, algorithm = 'sha256') {
+    const secretBytes = ethers.getBytes(secret.startsWith('0x') ? secret : '0x' + secret);
+    switch (algorithm) {
+        case 'sha256':
+            return ethers.sha256(secretBytes);
+        case 'keccak256':
+            return ethers.keccak256(secretBytes);
+        case 'hash160':
+            return ethers.zeroPadBytes(ethers.ripemd160(ethers.sha256(secretBytes)), 32);
+        case 'hash256':
+            return ethers.sha256(ethers.sha256(secretBytes));
+        default:
+            throw new Error(`Unknown hash algorithm: ${algorithm}`);
+    }
+}
+
+/**
+ * Hashlock as it appears in a Bitcoin-family script: the bytes32 value, cut to 20 bytes for HASH160
+ * @param {string} hashedSecret - Ethereum hashlock, with or without 0x
+ * @param {string} algorithm - Key of HASH_ALGORITHMS
+ * @returns {string} Hex without 0x, as the bitcoin and dogecoin modules expect
+ */
+function toScriptHashlock(hashedSecret, algorithm) {
+    assertScriptCompatible(algorithm);
+    const hex = hashedSecret.startsWith('0x') ? hashedSecret.slice(2) : hashedSecret;
+    return algorithm === 'hash160' ? hex.slice(0, 40) : hex;
+}
+
+/**
+ * Throw unless both AtomicSwap and a Bitcoin-family script can verify the algorithm
+ */
+function assertScriptCompatible(algorithm) {
+    if (!SCRIPT_HASH_ALGORITHMS.includes(algorithm)) {
+        throw new Error(`Hash algorithm ${algorithm} can't be verified in Bitcoin script`);
+    }
+}
+
+module.exports = {
+    HASH_ALGORITHMS,
+    HASH_ALGORITHM_NAMES,
+    SCRIPT_HASH_ALGORITHMS,
+    hashSecret,
+    toScriptHashlock,
+    assertScriptCompatible
+};
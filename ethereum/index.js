@@ -0,0 +1,13 @@
+module.exports = {
+    ...require('./assets'),
+    ...require('./consent'),
+    ...require('./counterLeg'),
+    ...require('./deployments'),
+    ...require('./discovery'),
+    ...require('./escrow'),
+    ...require('./hashlock'),
+    ...require('./legacy'),
+    ...require('./permit'),
+    ...require('./swapId'),
+    ...require('./swapRecord')
+};
@@ -0,0 +1,114 @@
+const { ethers } = require('ethers');
+const { isCommittedContract, fetchSwapRecord, readCommittedSwap } = require('./swapRecord');
+
+/**
+ * Reads of the AtomicSwap deployed before versioned deployments, which the backend keeps as
+ * version 0. Its getSwap returns a flat tuple with a single timelock, and it has no stages,
+ * fees, relayed withdrawals or batches; the helpers here give its swaps the current shape.
+ */
+
+// ABI of that contract, which its registry entry doesn't carry
+const LEGACY_ABI = require('./abi/AtomicSwapV0.json');
+
+// Stage values, in AtomicSwap.Stage order
+const STAGE = {
+    finalityLock: 0,
+    privateWithdrawal: 1,
+    publicWithdrawal: 2,
+    privateCancellation: 3,
+    publicCancellation: 4
+};
+
+/**
+ * Whether a contract instance has the legacy ABI
+ * @param {ethers.Contract} contract
+ */
+function isLegacyContract(contract) {
+    return !contract.interface.getFunction('getStage');
+}
+
+/**
+ * Timelock windows equivalent to a legacy timelock: the participant can withdraw until it
+ * and only the initiator can refund from it, so there are no public windows
+ * @param {bigint} timelock
+ */
+function legacyTimelocks(timelock) {
+    return {
+        withdrawal: 0n,
+        publicWithdrawal: timelock,
+        cancellation: timelock,
+        publicCancellation: ethers.MaxUint256
+    };
+}
+
+/**
+ * A swap as getSwap returned it before swaps were stored as commitments, on any version
+ * (see ./swapRecord for the versions without getSwap)
+ * @param {ethers.Contract} contract - AtomicSwap of the version holding the swap
+ * @param {string} swapId
+ * @returns {Promise<Object>} getSwap's fields; rejects for unknown swaps
+ */
+async function readSwap(contract, swapId) {
+    if (isCommittedContract(contract)) {
+        return readCommittedSwap(contract, swapId);
+    }
+
+    const swap = await contract.getSwap(swapId);
+    if (!isLegacyContract(contract)) {
+        return swap;
+    }
+
+    return {
+        initiator: swap.initiator,
+        participant: swap.participant,
+        token: swap.token,
+        assetType: 0n,
+        tokenId: 0n,
+        amount: swap.amount,
+        hashedSecret: swap.hashedSecret,
+        hashAlgorithm: 0n,
+        timelocks: legacyTimelocks(swap.timelock),
+        safetyDeposit: 0n,
+        depositCollector: ethers.ZeroAddress,
+        parts: 1n,
+        filledAmount: 0n,
+        protocolFeeBps: 0n,
+        counterpartyChain: ethers.ZeroHash,
+        withdrawn: swap.withdrawn,
+        refunded: swap.refunded,
+        exists: true
+    };
+}
+
+/**
+ * Current timelock window of a swap, as AtomicSwap.getStage returns it, on any version
+ * @param {ethers.Contract} contract - AtomicSwap of the version holding the swap
+ * @param {string} swapId
+ * @returns {Promise<number>} Stage value
+ */
+async function readStage(contract, swapId) {
+    if (isCommittedContract(contract)) {
+        const { record } = await fetchSwapRecord(contract, swapId);
+        return Number(await contract.getStage(swapId, record));
+    }
+    if (!isLegacyContract(contract)) {
+        return Number(await contract.getStage(swapId));
+    }
+
+    const { timelocks } = await readSwap(contract, swapId);
+    const provider = contract.runner.provider || contract.runner;
+    const now = BigInt((await provider.getBlock('latest')).timestamp);
+    if (now >= timelocks.publicCancellation) return STAGE.publicCancellation;
+    if (now >= timelocks.cancellation) return STAGE.privateCancellation;
+    if (now >= timelocks.publicWithdrawal) return STAGE.publicWithdrawal;
+    if (now >= timelocks.withdrawal) return STAGE.privateWithdrawal;
+    return STAGE.finalityLock;
+}
+
+module.exports = {
+    LEGACY_ABI,
+    isLegacyContract,
+    legacyTimelocks,
+    readSwap,
+    readStage
+};
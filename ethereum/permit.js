@@ -0,0 +1,111 @@
+const { ethers } = require('ethers');
+
+/**
+ * Signing helpers for AtomicSwap.initiateSwapWithPermit / initiateSwapWithPermit2
+ * Both return the `_permit` bytes the contract decodes
+ */
+
+// Canonical Uniswap Permit2 deployment (AtomicSwap.PERMIT2)
+const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+const PERMIT_TOKEN_ABI = [
+    'function name() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function nonces(address owner) view returns (uint256)',
+    'function DOMAIN_SEPARATOR() view returns (bytes32)',
+    'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+/**
+ * Whether a token implements EIP-2612 permit
+ * @param {ethers.Contract} token - Token with PERMIT_TOKEN_ABI
+ * @param {string} owner - Address that would sign the permit
+ */
+async function supportsPermit(token, owner) {
+    try {
+        await token.DOMAIN_SEPARATOR();
+        await token.nonces(owner);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Sign an EIP-2612 permit letting `spender` pull `amount`
+ * @returns {Promise<string>} abi.encode(deadline, v, r, s)
+ */
+async function signPermit(signer, token, spender, amount, deadline) {
+    const owner = await signer.getAddress();
+    const { chainId } = await signer.provider.getNetwork();
+
+    // EIP-5267 exposes the domain; older tokens use their name and version "1"
+    let name, version;
+    try {
+        ({ name, version } = await token.eip712Domain());
+    } catch (error) {
+        name = await token.name();
+        version = '1';
+    }
+
+    const signature = ethers.Signature.from(await signer.signTypedData(
+        { name, version, chainId, verifyingContract: await token.getAddress() },
+        {
+            Permit: [
+                { name: 'owner', type: 'address' },
+                { name: 'spender', type: 'address' },
+                { name: 'value', type: 'uint256' },
+                { name: 'nonce', type: 'uint256' },
+                { name: 'deadline', type: 'uint256' }
+            ]
+        },
+        { owner, spender, value: amount, nonce: await token.nonces(owner), deadline }
+    ));
+
+    return ethers.AbiCoder.defaultAbiCoder().encode(
+        ['uint256', 'uint8', 'bytes32', 'bytes32'],
+        [deadline, signature.v, signature.r, signature.s]
+    );
+}
+
+/**
+ * Sign a Permit2 PermitTransferFrom letting `spender` pull `amount` of `tokenAddress`
+ * @param {bigint|number} [nonce] - Unordered Permit2 nonce, random when omitted
+ * @returns {Promise<string>} abi.encode(nonce, deadline, signature)
+ */
+async function signPermit2(signer, tokenAddress, spender, amount, deadline, nonce) {
+    const { chainId } = await signer.provider.getNetwork();
+    const permitNonce = nonce !== undefined ? nonce : ethers.toBigInt(ethers.randomBytes(16));
+
+    const signature = await signer.signTypedData(
+        { name: 'Permit2', chainId, verifyingContract: PERMIT2_ADDRESS },
+        {
+            PermitTransferFrom: [
+                { name: 'permitted', type: 'TokenPermissions' },
+                { name: 'spender', type: 'address' },
+                { name: 'nonce', type: 'uint256' },
+                { name: 'deadline', type: 'uint256' }
+            ],
+            TokenPermissions: [
+                { name: 'token', type: 'address' },
+                { name: 'amount', type: 'uint256' }
+            ]
+        },
+        { permitted: { token: tokenAddress, amount }, spender, nonce: permitNonce, deadline }
+    );
+
+    return ethers.AbiCoder.defaultAbiCoder().encode(
+        ['uint256', 'uint256', 'bytes'],
+        [permitNonce, deadline, signature]
+    );
+}
+
+module.exports = {
+    PERMIT2_ADDRESS,
+    PERMIT_TOKEN_ABI,
+    supportsPermit,
+    signPermit,
+    signPermit2
+};
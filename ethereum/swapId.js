@@ -0,0 +1,58 @@
+const { ethers } = require('ethers');
+
+/**
+ * Off-chain mirror of AtomicSwap.computeSwapId
+ * Swap IDs are derived on-chain from the swap parameters and the initiator's nonce, so
+ * nobody watching the mempool can take an ID before the real initiation lands
+ */
+
+// ABI types of (initiator, participant, token, amount, hashedSecret, timelock, nonce)
+const SWAP_ID_TYPES = ['address', 'address', 'address', 'uint256', 'bytes32', 'uint256', 'uint256'];
+
+/**
+ * Derive the swap ID the contract assigns to a swap
+ * @param {Object} params
+ * @param {string} params.initiator - Address locking the funds
+ * @param {string} params.participant - Address that can withdraw with the secret
+ * @param {string} [params.token] - ERC20 address, ETH when omitted
+ * @param {bigint|string} params.amount - Amount in wei / token units
+ * @param {string} params.hashedSecret - Hashlock, with or without 0x
+ * @param {number|bigint} params.timelock - Cancellation timestamp
+ * @param {number|bigint} params.nonce - Initiator's nonce at initiation (AtomicSwap.nonces)
+ * @returns {string} 0x-prefixed swap ID
+ */
+function deriveSwapId({ initiator, participant, token, amount, hashedSecret, timelock, nonce }) {
+    return ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(SWAP_ID_TYPES, [
+            initiator,
+            participant,
+            token || ethers.ZeroAddress,
+            amount,
+            hashedSecret.startsWith('0x') ? hashedSecret : '0x' + hashedSecret,
+            timelock,
+            nonce
+        ])
+    );
+}
+
+/**
+ * Read the swap ID from the SwapInitiated event of a mined initiation
+ * @param {ethers.Interface} iface - AtomicSwap interface
+ * @param {ethers.TransactionReceipt} receipt
+ * @returns {string|null}
+ */
+function getInitiatedSwapId(iface, receipt) {
+    for (const log of receipt.logs) {
+        const parsed = iface.parseLog(log);
+        if (parsed && parsed.name === 'SwapInitiated') {
+            return parsed.args.swapId;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    SWAP_ID_TYPES,
+    deriveSwapId,
+    getInitiatedSwapId
+};
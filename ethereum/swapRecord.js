@@ -0,0 +1,168 @@
+const { ethers } = require('ethers');
+
+/**
+ * Swap records of AtomicSwap versions that store only a hash of each swap
+ * Such a version keeps a status and a commitment to the swap's parameters (swapStates),
+ * and takes the parameters back as calldata to settle the swap. The record is rebuilt here
+ * from the SwapInitiated and TimelockExtended events and checked against the commitment.
+ */
+
+// AtomicSwap.SwapStatus values
+const SWAP_STATUS = {
+    none: 0,
+    open: 1,
+    withdrawn: 2,
+    refunded: 3
+};
+
+// ABI type of AtomicSwap.Swap, which the commitment hashes
+const SWAP_RECORD_TYPE = 'tuple(address initiator, address participant, address token, uint8 assetType, ' +
+    'uint256 tokenId, uint256 amount, bytes32 hashedSecret, uint8 hashAlgorithm, ' +
+    'tuple(uint256 withdrawal, uint256 publicWithdrawal, uint256 cancellation, uint256 publicCancellation) timelocks, ' +
+    'uint256 safetyDeposit, uint256 parts, uint256 protocolFeeBps, bytes32 counterpartyChain)';
+
+/**
+ * Whether a contract instance stores swaps as commitments, so settling takes the record
+ * @param {ethers.Contract} contract
+ */
+function isCommittedContract(contract) {
+    return !!contract.interface.getFunction('swapStates');
+}
+
+/**
+ * A Swap record's fields alone, e.g. from SwapInitiated's swap argument or readSwap
+ * @param {Object} swap
+ * @returns {Object} AtomicSwap.Swap
+ */
+function toSwapRecord(swap) {
+    return {
+        initiator: swap.initiator,
+        participant: swap.participant,
+        token: swap.token,
+        assetType: swap.assetType,
+        tokenId: swap.tokenId,
+        amount: swap.amount,
+        hashedSecret: swap.hashedSecret,
+        hashAlgorithm: swap.hashAlgorithm,
+        timelocks: {
+            withdrawal: swap.timelocks.withdrawal,
+            publicWithdrawal: swap.timelocks.publicWithdrawal,
+            cancellation: swap.timelocks.cancellation,
+            publicCancellation: swap.timelocks.publicCancellation
+        },
+        safetyDeposit: swap.safetyDeposit,
+        parts: swap.parts,
+        protocolFeeBps: swap.protocolFeeBps,
+        counterpartyChain: swap.counterpartyChain
+    };
+}
+
+/**
+ * Commitment to a Swap record, as AtomicSwap stores it in SwapState
+ * @param {Object} record
+ * @returns {string} Leading 31 bytes of the record's hash
+ */
+function hashSwapRecord(record) {
+    const encoded = ethers.AbiCoder.defaultAbiCoder().encode([SWAP_RECORD_TYPE], [toSwapRecord(record)]);
+    return ethers.dataSlice(ethers.keccak256(encoded), 0, 31);
+}
+
+/**
+ * Rebuild a swap's record from its events
+ * @param {ethers.Contract} contract - AtomicSwap of a committed version, with a provider
+ * @param {string} swapId
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock] - First block to scan, e.g. the deployment block
+ * @returns {Promise<{record: Object, status: number}>} The record to settle the swap with,
+ * and its SWAP_STATUS
+ */
+async function fetchSwapRecord(contract, swapId, { fromBlock = 0 } = {}) {
+    const [state, initiated, extensions] = await Promise.all([
+        contract.swapStates(swapId),
+        contract.queryFilter(contract.filters.SwapInitiated(swapId), fromBlock),
+        contract.queryFilter(contract.filters.TimelockExtended(swapId), fromBlock)
+    ]);
+    const status = Number(state.status);
+    if (status === SWAP_STATUS.none || initiated.length === 0) {
+        throw new Error('Swap does not exist');
+    }
+
+    // Extensions only move the cancellation windows, in the order they were mined
+    let record = toSwapRecord(initiated[0].args.swap);
+    for (const { args } of extensions) {
+        record = {
+            ...record,
+            timelocks: { ...record.timelocks, cancellation: args.cancellation, publicCancellation: args.publicCancellation }
+        };
+    }
+    if (hashSwapRecord(record) !== state.commitment) {
+        throw new Error('Swap record does not match its commitment');
+    }
+    return { record, status };
+}
+
+/**
+ * Amount a partial-fill swap released, from its filledParts bitmap, as the contract counts it
+ * @param {Object} record
+ * @param {bigint} bitmap
+ */
+function filledAmount(record, bitmap) {
+    const parts = BigInt(record.parts);
+    const share = record.amount / parts;
+    let filled = 0n;
+    for (let index = 0n; bitmap >> index !== 0n; index++) {
+        if ((bitmap >> index) & 1n) {
+            filled += index === parts - 1n ? record.amount - share * (parts - 1n) : share;
+        }
+    }
+    return filled;
+}
+
+/**
+ * A swap of a committed version in the shape getSwap returned on the versions before it:
+ * the record, plus filledAmount, depositCollector and the withdrawn / refunded / exists flags
+ * @param {ethers.Contract} contract - AtomicSwap of a committed version, with a provider
+ * @param {string} swapId
+ * @returns {Promise<Object>}
+ */
+async function readCommittedSwap(contract, swapId) {
+    const { record, status } = await fetchSwapRecord(contract, swapId);
+    const [bitmap, deposits] = await Promise.all([
+        contract.filledParts(swapId),
+        contract.queryFilter(contract.filters.SafetyDepositCollected(swapId))
+    ]);
+    return {
+        ...record,
+        depositCollector: deposits.length > 0 ? deposits[0].args.collector : ethers.ZeroAddress,
+        filledAmount: filledAmount(record, bitmap),
+        withdrawn: status === SWAP_STATUS.withdrawn,
+        refunded: status === SWAP_STATUS.refunded,
+        exists: true
+    };
+}
+
+/**
+ * Leading arguments that identify a swap to withdraw, refund and the other settlement
+ * functions: the swap ID and, on committed versions, its record
+ * @param {ethers.Contract} contract - AtomicSwap of the version holding the swap
+ * @param {string} swapId
+ * @returns {Promise<Array>} [swapId, record] or [swapId]
+ */
+async function swapCallArgs(contract, swapId) {
+    if (!isCommittedContract(contract)) {
+        return [swapId];
+    }
+    const { record } = await fetchSwapRecord(contract, swapId);
+    return [swapId, record];
+}
+
+module.exports = {
+    SWAP_STATUS,
+    SWAP_RECORD_TYPE,
+    isCommittedContract,
+    toSwapRecord,
+    hashSwapRecord,
+    fetchSwapRecord,
+    readCommittedSwap,
+    swapCallArgs
+};
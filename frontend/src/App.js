@@ -166,6 +166,7 @@ function App() {
 
             {currentView === 'browse-swaps' && (
               <SwapBrowser 
+                provider={provider}
                 onAcceptSwap={handleAcceptSwap}
               />
             )}
@@ -1,19 +1,41 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { HASH_ALGORITHM_NAMES, connectDeployments, fetchOpenOffersFromDeployments } from '@crosschain-swap/ethereum';
+import ContractDeployments from '../contracts/deployments.json';
 
-const SwapBrowser = ({ onAcceptSwap }) => {
+// An open on-chain swap in the shape of a backend swap entry, so it can be accepted the same way
+const toListing = (offer) => {
+    const chain = offer.counterLeg.chain.toLowerCase();
+    return {
+        id: offer.swapId,
+        type: `eth-to-${chain}`,
+        ethAmount: offer.amount.toString(),
+        [chain + 'Amount']: offer.counterLeg.amount.toString(),
+        [chain + 'Address']: offer.counterLeg.destination,
+        hashedSecret: offer.hashedSecret,
+        hashAlgorithm: HASH_ALGORITHM_NAMES[offer.hashAlgorithm],
+        timelock: Number(offer.timelocks.cancellation),
+        blockNumber: offer.blockNumber,
+        onChain: true
+    };
+};
+
+const SwapBrowser = ({ provider, onAcceptSwap }) => {
     const [availableSwaps, setAvailableSwaps] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
 
-    useEffect(() => {
-        fetchAvailableSwaps();
-        // Refresh every 10 seconds
-        const interval = setInterval(fetchAvailableSwaps, 10000);
-        return () => clearInterval(interval);
-    }, []);
-
-    const fetchAvailableSwaps = async () => {
+    const fetchAvailableSwaps = useCallback(async () => {
         try {
+            if (provider) {
+                // Offers are read from SwapInitiated events, so they don't depend on our API.
+                // Only swaps that describe their counter leg can be listed. Older contract
+                // versions are included, since offers made there can still be taken.
+                const offers = await fetchOpenOffersFromDeployments(connectDeployments(ContractDeployments, provider));
+                setAvailableSwaps(offers.filter(offer => offer.counterLeg).map(toListing));
+                setError('');
+                return;
+            }
+
             const response = await fetch('http://localhost:3001/api/swaps');
             const result = await response.json();
             
@@ -31,7 +53,14 @@ const SwapBrowser = ({ onAcceptSwap }) => {
         } finally {
             setLoading(false);
         }
-    };
+    }, [provider]);
+
+    useEffect(() => {
+        fetchAvailableSwaps();
+        // Refresh every 10 seconds
+        const interval = setInterval(fetchAvailableSwaps, 10000);
+        return () => clearInterval(interval);
+    }, [fetchAvailableSwaps]);
 
     const handleAcceptSwap = (swap) => {
         if (onAcceptSwap) {
@@ -123,7 +152,11 @@ const SwapBrowser = ({ onAcceptSwap }) => {
                                     </div>
 
                                     <div className="text-sm text-gray-600 space-y-1">
-                                        <p>Created: {formatTime(swap.createdAt)}</p>
+                                        {swap.onChain ? (
+                                            <p>Initiated in block {swap.blockNumber}</p>
+                                        ) : (
+                                            <p>Created: {formatTime(swap.createdAt)}</p>
+                                        )}
                                         <p>Expires: {formatTime(swap.timelock * 1000)}</p>
                                         {swap.type === 'btc-to-eth' && (
                                             <p>BTC Address: <code className="bg-gray-100 px-1 rounded">{swap.btcSwapAddress}</code></p>
@@ -1,5 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
+import {
+  ASSET_TYPES,
+  ITEM_ABI,
+  approveItem,
+  initiationValue,
+  detectAssetType,
+  fetchOwnedItems,
+  deriveSwapId,
+  encodeCounterLeg,
+  encodeCounterpartyChain,
+  HASH_ALGORITHMS,
+  SCRIPT_HASH_ALGORITHMS,
+  getInitiatedSwapId,
+  PERMIT2_ADDRESS,
+  PERMIT_TOKEN_ABI,
+  supportsPermit,
+  signPermit,
+  signPermit2
+} from '@crosschain-swap/ethereum';
 import AtomicSwapContract from '../contracts/AtomicSwap.json';
 
 const SwapInterface = ({ signer, provider, account, onSwapCreated, acceptedSwap = null }) => {
@@ -9,11 +28,20 @@ const SwapInterface = ({ signer, provider, account, onSwapCreated, acceptedSwap
   const [cryptoAddress, setCryptoAddress] = useState('');
   const [ethAddress, setEthAddress] = useState('');
   const [timelock, setTimelock] = useState(24); // hours
+  const [safetyDeposit, setSafetyDeposit] = useState(''); // ETH, optional
+  const [tokenAddress, setTokenAddress] = useState(''); // ERC20 to lock instead of ETH, optional
   const [loading, setLoading] = useState(false);
   const [swapResult, setSwapResult] = useState(null);
   const [useCustomHashedSecret, setUseCustomHashedSecret] = useState(false);
   const [customHashedSecret, setCustomHashedSecret] = useState('');
+  const [hashAlgorithm, setHashAlgorithm] = useState('sha256'); // must be checkable in Bitcoin script
+  const [btcOutputType, setBtcOutputType] = useState('p2wsh'); // HTLC address type of a BTC leg
   const [isAcceptingSwap, setIsAcceptingSwap] = useState(false);
+  const [contractConfig, setContractConfig] = useState(null); // pause state and token allowlist
+  const [assetType, setAssetType] = useState('fungible'); // erc721 / erc1155 when tokenAddress is a collection
+  const [ownedItems, setOwnedItems] = useState(null); // the wallet's items of that collection
+  const [itemTokenId, setItemTokenId] = useState('');
+  const [basketLegs, setBasketLegs] = useState([]); // extra { token, amount } legs released by the same secret
 
   const swapOptions = {
     'eth-to-btc': { label: 'Ethereum → Bitcoin', crypto: 'BTC', unit: 'satoshis' },
@@ -22,6 +50,49 @@ const SwapInterface = ({ signer, provider, account, onSwapCreated, acceptedSwap
     'doge-to-eth': { label: 'Dogecoin → Ethereum', crypto: 'DOGE', unit: 'dogeoshis' }
   };
 
+  useEffect(() => {
+    const loadContractConfig = async () => {
+      try {
+        const response = await fetch('http://localhost:3001/api/contract/config');
+        const result = await response.json();
+        if (result.success) {
+          setContractConfig(result.data);
+        }
+      } catch (error) {
+        console.error('Error loading contract config:', error);
+      }
+    };
+    loadContractConfig();
+  }, []);
+
+  // An ERC721 or ERC1155 collection locks one of the wallet's items instead of an amount
+  useEffect(() => {
+    setOwnedItems(null);
+    setItemTokenId('');
+    if (!tokenAddress || !ethers.isAddress(tokenAddress) || !provider) {
+      setAssetType('fungible');
+      return;
+    }
+
+    let cancelled = false;
+    const collection = new ethers.Contract(tokenAddress, ITEM_ABI, provider);
+    const loadItems = async () => {
+      try {
+        const type = await detectAssetType(collection);
+        if (cancelled) return;
+        setAssetType(type);
+        if (type !== 'fungible' && account) {
+          const { items } = await fetchOwnedItems(collection, account);
+          if (!cancelled) setOwnedItems(items);
+        }
+      } catch (error) {
+        console.error('Error loading items:', error);
+      }
+    };
+    loadItems();
+    return () => { cancelled = true; };
+  }, [tokenAddress, provider, account]);
+
   // Auto-populate fields when accepting a swap
   useEffect(() => {
     if (acceptedSwap) {
@@ -39,6 +110,7 @@ const SwapInterface = ({ signer, provider, account, onSwapCreated, acceptedSwap
       // Set the hashed secret from the original swap
       setUseCustomHashedSecret(true);
       setCustomHashedSecret(acceptedSwap.hashedSecret);
+      setHashAlgorithm(acceptedSwap.hashAlgorithm || 'sha256');
       
       // Set timelock to match original (convert from timestamp to hours remaining)
       const hoursRemaining = Math.max(1, Math.ceil((acceptedSwap.timelock * 1000 - Date.now()) / (1000 * 60 * 60)));
@@ -109,15 +181,30 @@ const SwapInterface = ({ signer, provider, account, onSwapCreated, acceptedSwap
     return `${amount} ${currency}`;
   };
 
+  // Off-chain record ID for swaps whose Ethereum leg the counterparty initiates later
   const generateSwapId = () => {
     return ethers.hexlify(ethers.randomBytes(32));
   };
 
+  // Fusion+-style escrow windows: the participant withdraws privately for the first
+  // three quarters of the lock, then anyone holding the secret can push the funds to
+  // them. After the timelock the initiator can refund, and an hour later anyone can.
+  const buildTimelocks = (timelockTimestamp) => {
+    const now = Math.floor(Date.now() / 1000);
+    return {
+      withdrawal: now,
+      publicWithdrawal: now + Math.floor(((timelockTimestamp - now) * 3) / 4),
+      cancellation: timelockTimestamp,
+      publicCancellation: timelockTimestamp + 3600
+    };
+  };
+
   const generateSecret = async () => {
     try {
       const response = await fetch('http://localhost:3001/api/generate-secret', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ hashAlgorithm })
       });
       const data = await response.json();
       return data.data;
@@ -142,8 +229,9 @@ const SwapInterface = ({ signer, provider, account, onSwapCreated, acceptedSwap
         hashedSecret = secretData.hashedSecret;
       }
       
-      const swapId = generateSwapId();
       const timelockTimestamp = Math.floor(Date.now() / 1000) + (timelock * 3600);
+      const timelocks = buildTimelocks(timelockTimestamp);
+      const depositWei = safetyDeposit ? ethers.parseEther(safetyDeposit) : 0n;
 
       // Initialize contract
       const contract = new ethers.Contract(
@@ -152,18 +240,112 @@ const SwapInterface = ({ signer, provider, account, onSwapCreated, acceptedSwap
         signer
       );
 
-      // Initiate swap on Ethereum
-      const tx = await contract.initiateSwap(
-        swapId,
-        account,
-        ethers.ZeroAddress, // ETH
-        ethers.parseEther(ethAmount),
+      const isItem = assetType !== 'fungible';
+      if (isItem && !itemTokenId) {
+        alert('Please select the item to lock');
+        return;
+      }
+
+      const token = tokenAddress && !isItem ? new ethers.Contract(tokenAddress, PERMIT_TOKEN_ABI, signer) : null;
+      const lockToken = tokenAddress ? ethers.getAddress(tokenAddress) : ethers.ZeroAddress;
+      let lockAmount;
+      if (isItem) {
+        lockAmount = assetType === 'erc721' ? 1n : ethers.getBigInt(ethAmount);
+      } else {
+        lockAmount = token
+          ? ethers.parseUnits(ethAmount, await token.decimals())
+          : ethers.parseEther(ethAmount);
+      }
+
+      // The contract derives the swap ID from the parameters and our nonce
+      const nonce = await contract.nonces(account);
+      const expectedSwapId = deriveSwapId({
+        initiator: account,
+        participant: account,
+        token: lockToken,
+        amount: lockAmount,
         hashedSecret,
-        timelockTimestamp,
-        { value: ethers.parseEther(ethAmount) }
-      );
+        timelock: timelocks.cancellation,
+        nonce
+      });
 
-      await tx.wait();
+      // Extra fungible legs, e.g. USDC alongside ETH for a single BTC payment
+      const basket = await Promise.all(basketLegs.map(async (leg) => {
+        const legToken = leg.token ? ethers.getAddress(leg.token) : ethers.ZeroAddress;
+        const decimals = leg.token ? await new ethers.Contract(legToken, PERMIT_TOKEN_ABI, signer).decimals() : 18n;
+        return {
+          assetType: ASSET_TYPES.fungible,
+          token: legToken,
+          tokenId: 0,
+          amount: ethers.parseUnits(leg.amount, decimals)
+        };
+      }));
+
+      const swapParams = {
+        participant: account,
+        token: lockToken,
+        assetType: ASSET_TYPES[assetType],
+        tokenId: isItem ? itemTokenId : 0,
+        amount: lockAmount,
+        hashedSecret,
+        hashAlgorithm: HASH_ALGORITHMS[hashAlgorithm],
+        timelocks,
+        safetyDeposit: depositWei,
+        parts: 1, // single secret
+        counterpartyChain: encodeCounterpartyChain(cryptoType.toUpperCase()),
+        // Published in SwapInitiated so the offer can be found and checked from chain data alone
+        counterLeg: encodeCounterLeg({
+          chain: cryptoType.toUpperCase(),
+          amount: ethers.getBigInt(cryptoAmount),
+          destination: cryptoAddress
+        }),
+        basket
+      };
+
+      // Basket tokens are pulled in the same transaction, so each needs an allowance
+      for (const leg of basket) {
+        if (leg.token === ethers.ZeroAddress) continue;
+        const legToken = new ethers.Contract(leg.token, PERMIT_TOKEN_ABI, signer);
+        if ((await legToken.allowance(account, AtomicSwapContract.address)) < leg.amount) {
+          await (await legToken.approve(AtomicSwapContract.address, leg.amount)).wait();
+        }
+      }
+      // Deposit plus any ETH legs; the permit and item paths lock no ETH of their own
+      const value = initiationValue(swapParams);
+
+      // Initiate swap on Ethereum. Tokens are pulled with a signed permit, so a token
+      // swap is one signature and one transaction instead of approve + initiate.
+      let tx;
+      if (isItem) {
+        // Items are pulled with safeTransferFrom, which needs an approval first
+        const collection = new ethers.Contract(lockToken, ITEM_ABI, signer);
+        const approval = await approveItem(collection, assetType, itemTokenId, AtomicSwapContract.address);
+        if (approval) {
+          await approval.wait();
+        }
+        tx = await contract.initiateSwap(swapParams, { value });
+      } else if (!token) {
+        tx = await contract.initiateSwap(swapParams, { value });
+      } else {
+        const permitDeadline = Math.floor(Date.now() / 1000) + 1800;
+
+        if (await supportsPermit(token, account)) {
+          const permit = await signPermit(signer, token, AtomicSwapContract.address, lockAmount, permitDeadline);
+          tx = await contract.initiateSwapWithPermit(swapParams, permit, { value });
+        } else {
+          // Permit2 needs a one-time approval per token
+          if ((await token.allowance(account, PERMIT2_ADDRESS)) < lockAmount) {
+            await (await token.approve(PERMIT2_ADDRESS, ethers.MaxUint256)).wait();
+          }
+          const permit = await signPermit2(signer, lockToken, AtomicSwapContract.address, lockAmount, permitDeadline);
+          tx = await contract.initiateSwapWithPermit2(swapParams, permit, { value });
+        }
+      }
+
+      const receipt = await tx.wait();
+
+      // Another initiation from this account may have used the nonce first
+      const swapId = getInitiatedSwapId(contract.interface, receipt) || expectedSwapId;
 
       // Register swap with backend
       const endpoint = cryptoType === 'btc' ? 'eth-to-btc' : 'eth-to-doge';
@@ -172,11 +354,22 @@ const SwapInterface = ({ signer, provider, account, onSwapCreated, acceptedSwap
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           swapId,
-          ethAmount: ethers.parseEther(ethAmount).toString(),
+          ethAmount: lockAmount.toString(),
           [cryptoType + 'Amount']: cryptoAmount,
           [cryptoType + 'Address']: cryptoAddress,
           hashedSecret,
-          timelock: timelockTimestamp
+          hashAlgorithm,
+          timelock: timelockTimestamp,
+          timelocks,
+          safetyDeposit: depositWei.toString(),
+          ethTokenAddress: lockToken,
+          ethAssetType: assetType,
+          ethTokenId: isItem ? itemTokenId : undefined,
+          ethBasket: basket.map(leg => ({ ...leg, amount: leg.amount.toString() })),
+          ethInitiator: account,
+          ethParticipant: account,
+          // Lets the backend re-derive and check the ID, unless another initiation took our nonce
+          nonce: swapId === expectedSwapId ? nonce.toString() : undefined
         })
       });
 
@@ -244,9 +437,11 @@ const SwapInterface = ({ signer, provider, account, onSwapCreated, acceptedSwap
           ethAmount: ethers.parseEther(ethAmount).toString(),
           ethAddress: ethAddress || account,
           hashedSecret,
+          hashAlgorithm,
           timelock: timelockTimestamp,
           [cryptoType + 'SenderPubKey']: '02' + '0'.repeat(64), // Placeholder
-          [cryptoType + 'RecipientPubKey']: '03' + '0'.repeat(64) // Placeholder
+          [cryptoType + 'RecipientPubKey']: '03' + '0'.repeat(64), // Placeholder
+          btcOutputType: cryptoType === 'btc' ? btcOutputType : undefined
         })
       });
 
@@ -314,6 +509,12 @@ const SwapInterface = ({ signer, provider, account, onSwapCreated, acceptedSwap
   };
 
   const currentOption = swapOptions[swapDirection];
+  const creationPaused = Boolean(contractConfig && contractConfig.paused);
+  const isItemSwap = swapDirection.startsWith('eth-to-') && assetType !== 'fungible';
+
+  const updateBasketLeg = (index, changes) => {
+    setBasketLegs(basketLegs.map((leg, i) => (i === index ? { ...leg, ...changes } : leg)));
+  };
 
   return (
     <div className="swap-interface">
@@ -374,15 +575,17 @@ const SwapInterface = ({ signer, provider, account, onSwapCreated, acceptedSwap
       <form onSubmit={handleSubmit} className="swap-form">
         <div className="form-row">
           <div className="form-group">
-            <label>ETH Amount:</label>
+            <label>
+              {isItemSwap ? 'Item' : swapDirection.startsWith('eth-to-') && tokenAddress ? 'Token' : 'ETH'} Amount:
+            </label>
             <input
               type="number"
-              step="0.001"
-              value={ethAmount}
+              step={isItemSwap ? '1' : '0.001'}
+              value={isItemSwap && assetType === 'erc721' ? '1' : ethAmount}
               onChange={(e) => setEthAmount(e.target.value)}
               placeholder="0.1"
               required
-              disabled={isAcceptingSwap}
+              disabled={isAcceptingSwap || (isItemSwap && assetType === 'erc721')}
               className={isAcceptingSwap ? 'disabled' : ''}
             />
           </div>
@@ -416,6 +619,105 @@ const SwapInterface = ({ signer, provider, account, onSwapCreated, acceptedSwap
           </div>
         )}
 
+        {swapDirection.startsWith('eth-to-') && (
+          <div className="form-group">
+            <label>Asset to Lock:</label>
+            {contractConfig ? (
+              <select value={tokenAddress} onChange={(e) => setTokenAddress(e.target.value)}>
+                <option value="">ETH</option>
+                {contractConfig.allowedTokens.map((token) => (
+                  <option key={token.address} value={token.address}>
+                    {token.symbol || token.address}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type="text"
+                value={tokenAddress}
+                onChange={(e) => setTokenAddress(e.target.value.trim())}
+                placeholder="ERC20 address, or leave empty to lock ETH"
+              />
+            )}
+            <small>
+              {isItemSwap
+                ? 'NFT collection: the swap contract is approved for the item before it is locked'
+                : 'Approved by signature: EIP-2612 permit when the token supports it, otherwise Permit2'}
+            </small>
+          </div>
+        )}
+
+        {isItemSwap && (
+          <div className="form-group">
+            <label>{assetType === 'erc721' ? 'NFT' : 'Item'} to Lock:</label>
+            {ownedItems === null ? (
+              <small>Loading your items...</small>
+            ) : ownedItems.length === 0 ? (
+              <small>No items of this collection in your wallet</small>
+            ) : (
+              <select value={itemTokenId} onChange={(e) => setItemTokenId(e.target.value)} required>
+                <option value="">Select an item</option>
+                {ownedItems.map((item) => (
+                  <option key={item.tokenId.toString()} value={item.tokenId.toString()}>
+                    #{item.tokenId.toString()}{assetType === 'erc1155' ? ` (you hold ${item.amount})` : ''}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+        )}
+
+        {swapDirection.startsWith('eth-to-') && contractConfig && (
+          <div className="form-group">
+            <label>Also Lock (optional):</label>
+            {basketLegs.map((leg, index) => (
+              <div key={index} className="form-row">
+                <select value={leg.token} onChange={(e) => updateBasketLeg(index, { token: e.target.value })}>
+                  <option value="">ETH</option>
+                  {contractConfig.allowedTokens
+                    .filter((token) => token.assetType === 'fungible')
+                    .map((token) => (
+                      <option key={token.address} value={token.address}>
+                        {token.symbol || token.address}
+                      </option>
+                    ))}
+                </select>
+                <input
+                  type="number"
+                  step="any"
+                  min="0"
+                  value={leg.amount}
+                  onChange={(e) => updateBasketLeg(index, { amount: e.target.value })}
+                  placeholder="Amount"
+                  required
+                />
+                <button type="button" onClick={() => setBasketLegs(basketLegs.filter((_, i) => i !== index))}>
+                  Remove
+                </button>
+              </div>
+            ))}
+            <button type="button" onClick={() => setBasketLegs([...basketLegs, { token: '', amount: '' }])}>
+              + Add Asset
+            </button>
+            <small>Every asset is released by the same secret, or refunded together</small>
+          </div>
+        )}
+
+        {swapDirection.startsWith('eth-to-') && (
+          <div className="form-group">
+            <label>Safety Deposit (ETH, optional):</label>
+            <input
+              type="number"
+              step="0.001"
+              min="0"
+              value={safetyDeposit}
+              onChange={(e) => setSafetyDeposit(e.target.value)}
+              placeholder="0.01"
+            />
+            <small>Paid to whoever completes or cancels the swap if it stalls into a public window</small>
+          </div>
+        )}
+
         {swapDirection.endsWith('-to-eth') && (
           <div className="form-group">
             <label>Ethereum Address (optional):</label>
@@ -430,6 +732,19 @@ const SwapInterface = ({ signer, provider, account, onSwapCreated, acceptedSwap
           </div>
         )}
 
+        {swapDirection === 'btc-to-eth' && (
+          <div className="form-group">
+            <label>Bitcoin HTLC Address Type:</label>
+            <select value={btcOutputType} onChange={(e) => setBtcOutputType(e.target.value)}>
+              <option value="p2wsh">Native SegWit (P2WSH)</option>
+              <option value="p2sh-p2wsh">Nested SegWit (P2SH-P2WSH)</option>
+              <option value="p2sh">Legacy (P2SH)</option>
+              <option value="p2tr">Taproot (P2TR)</option>
+            </select>
+            <small>Native SegWit has the lowest fees; pick nested SegWit if your wallet can't pay to bc1 addresses. Taproot outputs look like ordinary payments on-chain</small>
+          </div>
+        )}
+
         <div className="form-row">
           <div className="form-group">
             <label>Timelock (hours):</label>
@@ -457,6 +772,20 @@ const SwapInterface = ({ signer, provider, account, onSwapCreated, acceptedSwap
           </div>
         </div>
 
+        <div className="form-group">
+          <label>Hash Function:</label>
+          <select
+            value={hashAlgorithm}
+            onChange={(e) => setHashAlgorithm(e.target.value)}
+            disabled={isAcceptingSwap}
+          >
+            {SCRIPT_HASH_ALGORITHMS.map((algorithm) => (
+              <option key={algorithm} value={algorithm}>{algorithm.toUpperCase()}</option>
+            ))}
+          </select>
+          <small>Must match the counterparty's HTLC; keccak256 can't be checked in Bitcoin script</small>
+        </div>
+
         {useCustomHashedSecret && (
           <div className="form-group">
             <label>Hashed Secret (32 bytes hex):</label>
@@ -471,7 +800,13 @@ const SwapInterface = ({ signer, provider, account, onSwapCreated, acceptedSwap
           </div>
         )}
 
-        <button type="submit" disabled={loading} className="submit-button">
+        {creationPaused && (
+          <div className="warning">
+            ⏸️ Swap creation is paused by the contract owner. Existing swaps can still be withdrawn and refunded.
+          </div>
+        )}
+
+        <button type="submit" disabled={loading || creationPaused} className="submit-button">
           {loading ? 'Creating Swap...' : (isAcceptingSwap ? 'Create Counter-Swap' : 'Create Swap')}
         </button>
       </form>
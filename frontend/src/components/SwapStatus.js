@@ -1,6 +1,19 @@
 import React, { useState } from 'react';
 import { ethers } from 'ethers';
+import {
+  HASH_ALGORITHM_NAMES,
+  hashSecret,
+  connectDeployments,
+  findSwapDeployment,
+  recoverSwapsFromDeployments,
+  readSwap,
+  swapCallArgs,
+  decodeCounterpartyChain,
+  signConsent,
+  submitConsent
+} from '@crosschain-swap/ethereum';
 import AtomicSwapContract from '../contracts/AtomicSwap.json';
+import ContractDeployments from '../contracts/deployments.json';
 
 const SwapStatus = ({ swaps, signer, onRefresh }) => {
   const [selectedSwap, setSelectedSwap] = useState('');
@@ -8,6 +21,18 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
   const [loading, setLoading] = useState(false);
   const [fundingStatus, setFundingStatus] = useState({});
   const [checkingFunding, setCheckingFunding] = useState(false);
+  const [useRelayer, setUseRelayer] = useState(false);
+  const [recoveredSwaps, setRecoveredSwaps] = useState(null); // open swaps read from the chain
+  const [extensionHours, setExtensionHours] = useState(24);
+  const [consentCode, setConsentCode] = useState(''); // terms and signatures passed between the parties
+
+  // A swap stays on the contract version it was initiated on, which may not be the latest
+  const getSwapContract = async (swapId) => {
+    const deployment = await findSwapDeployment(connectDeployments(ContractDeployments, signer), swapId);
+    return deployment
+      ? deployment.contract
+      : new ethers.Contract(AtomicSwapContract.address, AtomicSwapContract.abi, signer);
+  };
 
   const withdrawSwap = async (swapId) => {
     if (!secret) {
@@ -47,22 +72,18 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
   };
 
   const handleEthWithdrawal = async (swapId, secret) => {
-    const contract = new ethers.Contract(
-      AtomicSwapContract.address,
-      AtomicSwapContract.abi,
-      signer
-    );
+    const contract = await getSwapContract(swapId);
 
     // ENHANCED BLOCKCHAIN CHECK WITH BETTER ERROR HANDLING
     let blockchainSwap;
     try {
       console.log('Checking ETH swap on blockchain:', swapId);
-      blockchainSwap = await contract.getSwap(swapId);
+      blockchainSwap = await readSwap(contract, swapId);
       console.log('Blockchain swap details:', {
         withdrawn: blockchainSwap.withdrawn,
         refunded: blockchainSwap.refunded,
         amount: blockchainSwap.amount.toString(),
-        timelock: blockchainSwap.timelock.toString(),
+        cancellation: blockchainSwap.timelocks.cancellation.toString(),
         initiator: blockchainSwap.initiator,
         participant: blockchainSwap.participant
       });
@@ -90,7 +111,7 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
 
       // Check if timelock has expired
       const currentTime = Math.floor(Date.now() / 1000);
-      if (currentTime >= blockchainSwap.timelock) {
+      if (currentTime >= blockchainSwap.timelocks.cancellation) {
         alert('❌ This swap has expired and can no longer be withdrawn. It can only be refunded by the initiator.');
         return;
       }
@@ -105,7 +126,8 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
       console.error('Error checking swap on blockchain:', error);
       
       // More specific error handling
-      if (error.message.includes('call revert exception') || error.message.includes('BAD_DATA')) {
+      if (error.message.includes('call revert exception') || error.message.includes('BAD_DATA') ||
+          error.message.includes('Swap does not exist')) {
         alert('❌ Swap not found on blockchain. The Swap ID may be incorrect or the swap was never created.');
       } else if (error.message.includes('network')) {
         alert('❌ Network connection error. Please check your connection and try again.');
@@ -136,8 +158,7 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
     }
 
     // Verify the secret matches the hashed secret
-    const secretBytes = ethers.getBytes(formattedSecret);
-    const computedHash = ethers.sha256(secretBytes);
+    const computedHash = hashSecret(formattedSecret, HASH_ALGORITHM_NAMES[Number(blockchainSwap.hashAlgorithm)]);
     console.log('Computed hash:', computedHash);
     console.log('Expected hash:', blockchainSwap.hashedSecret);
     
@@ -146,18 +167,27 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
       return;
     }
 
-    // Check if user is the participant (allowed to withdraw)
+    // Check if user is the participant (allowed to withdraw). Once the public
+    // withdrawal window opens anyone can push the funds to the participant.
     const userAddress = await signer.getAddress();
-    if (userAddress.toLowerCase() !== blockchainSwap.participant.toLowerCase()) {
+    const isParticipant = userAddress.toLowerCase() === blockchainSwap.participant.toLowerCase();
+    const isPublicWithdrawal = Math.floor(Date.now() / 1000) >= blockchainSwap.timelocks.publicWithdrawal;
+    if (!isParticipant && (useRelayer || !isPublicWithdrawal)) {
       alert('❌ Only the participant can withdraw this swap!');
       return;
     }
 
+    if (useRelayer) {
+      await handleRelayedWithdrawal(contract, swapId, formattedSecret, blockchainSwap.amount);
+      return;
+    }
+
     console.log('All checks passed. Attempting withdrawal for swap:', swapId);
     
     // Estimate gas first to catch any revert early
+    const swapArgs = await swapCallArgs(contract, swapId);
     try {
-      await contract.withdraw.staticCall(swapId, formattedSecret);
+      await contract.withdraw.staticCall(...swapArgs, formattedSecret);
     } catch (staticError) {
       console.error('Static call failed:', staticError);
       if (staticError.message.includes('Already withdrawn')) {
@@ -177,7 +207,7 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
     }
 
     // Execute the actual withdrawal
-    const tx = await contract.withdraw(swapId, formattedSecret);
+    const tx = await contract.withdraw(...swapArgs, formattedSecret);
     console.log('Withdrawal transaction sent:', tx.hash);
     
     // Wait for confirmation
@@ -190,6 +220,63 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
     onRefresh(); // Refresh the swap list
   };
 
+  // Sign the withdrawal claim and let the backend relayer submit it and pay the gas
+  const handleRelayedWithdrawal = async (contract, swapId, formattedSecret, amount) => {
+    const apiUrl = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+    const infoResponse = await fetch(`${apiUrl}/api/relayer/info`);
+    const info = await infoResponse.json();
+    if (!info.success) {
+      alert('❌ Relayer not available: ' + info.error);
+      return;
+    }
+
+    const relayerFee = (amount * ethers.getBigInt(info.data.feeBps)) / 10000n;
+    const deadline = Math.floor(Date.now() / 1000) + 600; // 10 minutes
+
+    const network = await signer.provider.getNetwork();
+    const domain = {
+      name: 'AtomicSwap',
+      version: '1',
+      chainId: network.chainId,
+      verifyingContract: await contract.getAddress()
+    };
+    const types = {
+      Withdraw: [
+        { name: 'swapId', type: 'bytes32' },
+        { name: 'relayer', type: 'address' },
+        { name: 'relayerFee', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+      ]
+    };
+    const claim = { swapId, relayer: info.data.address, relayerFee, deadline };
+
+    const signature = await signer.signTypedData(domain, types, claim);
+
+    const response = await fetch(`${apiUrl}/api/relayer/withdraw`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        swapId,
+        secret: formattedSecret,
+        relayerFee: relayerFee.toString(),
+        deadline,
+        signature
+      })
+    });
+
+    const result = await response.json();
+
+    if (result.success) {
+      alert(`✅ Swap withdrawn via relayer! Fee: ${formatAmount(relayerFee)} ETH\nTransaction: ${result.data.txHash}`);
+      setSecret(''); // Clear the secret input
+      setSelectedSwap(''); // Clear the selected swap
+      onRefresh(); // Refresh the swap list
+    } else {
+      alert('❌ Relayer error: ' + result.error);
+    }
+  };
+
   const handleNonEthWithdrawal = async (swapId, secret, swapType) => {
     console.log(`Handling ${swapType} withdrawal via backend simulation`);
     
@@ -250,15 +337,11 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
   };
 
   const handleEthRefund = async (swapId) => {
-    const contract = new ethers.Contract(
-      AtomicSwapContract.address,
-      AtomicSwapContract.abi,
-      signer
-    );
+    const contract = await getSwapContract(swapId);
 
     // Check blockchain state first
     try {
-      const blockchainSwap = await contract.getSwap(swapId);
+      const blockchainSwap = await readSwap(contract, swapId);
       
       if (blockchainSwap.withdrawn) {
         alert('❌ This swap has already been withdrawn and cannot be refunded!');
@@ -273,22 +356,24 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
       }
 
       const currentTime = Math.floor(Date.now() / 1000);
-      if (currentTime < blockchainSwap.timelock) {
-        const timeRemaining = blockchainSwap.timelock - currentTime;
+      if (currentTime < blockchainSwap.timelocks.cancellation) {
+        const timeRemaining = Number(blockchainSwap.timelocks.cancellation) - currentTime;
         const hoursRemaining = Math.ceil(timeRemaining / 3600);
         alert(`❌ Cannot refund yet. Timelock expires in approximately ${hoursRemaining} hours.`);
         return;
       }
 
+      // Anyone can refund to the initiator once public cancellation opens
       const userAddress = await signer.getAddress();
-      if (userAddress.toLowerCase() !== blockchainSwap.initiator.toLowerCase()) {
-        alert('❌ Only the initiator can refund this swap!');
+      if (userAddress.toLowerCase() !== blockchainSwap.initiator.toLowerCase() &&
+          currentTime < blockchainSwap.timelocks.publicCancellation) {
+        alert('❌ Only the initiator can refund this swap until public cancellation opens!');
         return;
       }
 
     } catch (error) {
       console.error('Error checking swap for refund:', error);
-      if (error.message.includes('BAD_DATA')) {
+      if (error.message.includes('BAD_DATA') || error.message.includes('Swap does not exist')) {
         alert('❌ Swap not found on blockchain. Cannot refund.');
       } else {
         alert('❌ Could not verify swap status for refund.');
@@ -296,7 +381,7 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
       return;
     }
 
-    const tx = await contract.refund(swapId);
+    const tx = await contract.refund(...await swapCallArgs(contract, swapId));
     await tx.wait();
 
     alert('✅ Swap refunded successfully!');
@@ -326,6 +411,102 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
     }
   };
 
+  // The account's side of a swap for consent signatures, or null if it is neither party
+  const getConsentRole = async (blockchainSwap) => {
+    const userAddress = (await signer.getAddress()).toLowerCase();
+    if (userAddress === blockchainSwap.initiator.toLowerCase()) return 'initiator';
+    if (userAddress === blockchainSwap.participant.toLowerCase()) return 'participant';
+    return null;
+  };
+
+  // Sign a timelock extension or early cancellation and produce the code to send to the other party
+  const startConsent = async (swapId, type) => {
+    try {
+      setLoading(true);
+      const contract = await getSwapContract(swapId);
+      const blockchainSwap = await readSwap(contract, swapId);
+      const role = await getConsentRole(blockchainSwap);
+      if (!role) {
+        alert('❌ Only the initiator or participant can sign for this swap!');
+        return;
+      }
+
+      // Give the other party a day to countersign
+      const deadline = Math.floor(Date.now() / 1000) + 24 * 3600;
+      let terms = { swapId, deadline };
+      if (type === 'ExtendTimelock') {
+        const extension = ethers.getBigInt(Math.round(Number(extensionHours) * 3600));
+        terms = {
+          swapId,
+          cancellation: (blockchainSwap.timelocks.cancellation + extension).toString(),
+          publicCancellation: (blockchainSwap.timelocks.publicCancellation + extension).toString(),
+          deadline
+        };
+      }
+
+      const signature = await signConsent(signer, contract, type, terms);
+      setSelectedSwap(swapId);
+      setConsentCode(JSON.stringify({ type, terms, signatures: { [role]: signature } }));
+      alert('✍️ Signed! Send the consent code to the other party so they can countersign and submit it.');
+    } catch (error) {
+      console.error('Error signing consent:', error);
+      alert('❌ Error signing: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Add our signature to the other party's consent code and submit it once both have signed
+  const countersignConsent = async (swapId) => {
+    let request;
+    try {
+      request = JSON.parse(consentCode);
+    } catch {
+      alert('❌ Invalid consent code');
+      return;
+    }
+    if (request.terms?.swapId !== swapId) {
+      alert('❌ This consent code is for a different swap');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const contract = await getSwapContract(swapId);
+      const blockchainSwap = await readSwap(contract, swapId);
+      const role = await getConsentRole(blockchainSwap);
+
+      const summary = request.type === 'ExtendTimelock'
+        ? `Extend the refund time to ${formatTimestamp(Number(request.terms.cancellation))}?`
+        : 'Cancel the swap and refund the initiator now?';
+      if (!window.confirm(summary)) {
+        return;
+      }
+
+      const signatures = { ...request.signatures };
+      if (role && !signatures[role]) {
+        signatures[role] = await signConsent(signer, contract, request.type, request.terms);
+      }
+      if (!signatures.initiator || !signatures.participant) {
+        setConsentCode(JSON.stringify({ ...request, signatures }));
+        alert('⏳ Still waiting for the other party to sign. Send them the consent code.');
+        return;
+      }
+
+      const tx = await submitConsent(contract, request.type, request.terms, signatures.initiator, signatures.participant);
+      await tx.wait();
+
+      alert(request.type === 'ExtendTimelock' ? '✅ Timelock extended!' : '✅ Swap cancelled and refunded!');
+      setConsentCode('');
+      onRefresh();
+    } catch (error) {
+      console.error('Error submitting consent:', error);
+      alert('❌ Error submitting: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const fundEthSwap = async (swapId, ethAmount) => {
     try {
       setLoading(true);
@@ -347,14 +528,10 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
       }
       
       // Real ETH funding via blockchain
-      const contract = new ethers.Contract(
-        AtomicSwapContract.address,
-        AtomicSwapContract.abi,
-        signer
-      );
+      const contract = await getSwapContract(swapId);
 
       // Check if swap exists and is not already funded
-      const swapDetails = await contract.getSwap(swapId);
+      const swapDetails = await readSwap(contract, swapId);
       if (swapDetails.amount.toString() !== '0') {
         alert('❌ This swap is already funded!');
         return;
@@ -365,7 +542,7 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
       
       // Send ETH to fund the swap
       const tx = await signer.sendTransaction({
-        to: AtomicSwapContract.address,
+        to: await contract.getAddress(),
         value: amountInWei,
         data: contract.interface.encodeFunctionData('fundSwap', [swapId])
       });
@@ -464,6 +641,20 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
     }
   };
 
+  // Look up the account's open swaps in every contract version's indexes, independently of the backend
+  const recoverFromChain = async () => {
+    try {
+      setLoading(true);
+      const deployments = connectDeployments(ContractDeployments, signer);
+      setRecoveredSwaps(await recoverSwapsFromDeployments(deployments, await signer.getAddress(), { openOnly: true }));
+    } catch (error) {
+      console.error('Error recovering swaps:', error);
+      alert('❌ Could not read swaps from the contract: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const getFundingStatusDisplay = (swapId) => {
     const status = fundingStatus[swapId];
     if (!status) return null;
@@ -491,6 +682,46 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
   return (
     <div className="swap-status">
       <h2>📊 Swap Status Monitor</h2>
+
+      {signer && (
+        <div className="recovered-swaps">
+          <button onClick={recoverFromChain} disabled={loading} className="action-button">
+            🔍 Find My Open Swaps On-Chain
+          </button>
+          {recoveredSwaps && (recoveredSwaps.length === 0 ? (
+            <p>No open swaps for this account on-chain.</p>
+          ) : (
+            <div className="swaps-grid">
+              {recoveredSwaps.map(({ swapId, role, swap }) => (
+                <div key={swapId} className="swap-card">
+                  <div className="detail-row">
+                    <span className="label">Swap ID:</span>
+                    <span className="value">{swapId}</span>
+                  </div>
+                  <div className="detail-row">
+                    <span className="label">Your Role:</span>
+                    <span className="value">{role}</span>
+                  </div>
+                  <div className="detail-row">
+                    <span className="label">Amount:</span>
+                    <span className="value">{formatAmount(swap.amount)}</span>
+                  </div>
+                  <div className="detail-row">
+                    <span className="label">Counterparty Chain:</span>
+                    <span className="value">{decodeCounterpartyChain(swap.counterpartyChain) || 'Unknown'}</span>
+                  </div>
+                  <div className="detail-row">
+                    <span className="label">Cancellation:</span>
+                    <span className="value">
+                      {new Date(Number(swap.timelocks.cancellation) * 1000).toLocaleString()}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
       
       {swaps.length === 0 ? (
         <div className="no-swaps">
@@ -522,6 +753,15 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
                   <span className="value">{formatAmount(swap.ethAmount)} ETH</span>
                 </div>
                 
+                {swap.protocolFeeBps > 0 && (
+                  <div className="detail-row">
+                    <span className="label">Participant Receives:</span>
+                    <span className="value">
+                      {formatAmount(swap.netEthAmount)} ETH ({swap.protocolFeeBps / 100}% protocol fee)
+                    </span>
+                  </div>
+                )}
+                
                 {swap.btcAmount && (
                   <div className="detail-row">
                     <span className="label">BTC Amount:</span>
@@ -608,6 +848,16 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
                       >
                         {loading ? 'Processing...' : '💎 Withdraw'}
                       </button>
+                      {swap.type?.startsWith('eth-to-') && (
+                        <label className="checkbox-label">
+                          <input
+                            type="checkbox"
+                            checked={useRelayer}
+                            onChange={(e) => setUseRelayer(e.target.checked)}
+                          />
+                          Gasless (relayer pays gas for a small fee)
+                        </label>
+                      )}
                     </div>
                     
                     <button 
@@ -617,6 +867,51 @@ const SwapStatus = ({ swaps, signer, onRefresh }) => {
                     >
                       🔄 Refund
                     </button>
+                    
+                    {swap.type?.startsWith('eth-to-') && (
+                      <div className="consent-section">
+                        <h4>🤝 Change by Mutual Consent</h4>
+                        <input
+                          type="number"
+                          min="1"
+                          value={extensionHours}
+                          onChange={(e) => setExtensionHours(e.target.value)}
+                          className="hours-input"
+                        />
+                        <button
+                          onClick={() => startConsent(swap.id, 'ExtendTimelock')}
+                          disabled={loading || !signer}
+                          className="action-button"
+                        >
+                          ⏳ Sign {extensionHours}h Extension
+                        </button>
+                        <button
+                          onClick={() => startConsent(swap.id, 'CancelByConsent')}
+                          disabled={loading || !signer}
+                          className="action-button"
+                        >
+                          ✋ Sign Early Cancel
+                        </button>
+                        <textarea
+                          placeholder="Consent code to send to, or received from, the other party"
+                          value={selectedSwap === swap.id ? consentCode : ''}
+                          onChange={(e) => {
+                            setConsentCode(e.target.value);
+                            setSelectedSwap(swap.id);
+                          }}
+                          className="consent-code"
+                          rows={3}
+                          style={{ minWidth: '500px', fontFamily: 'monospace' }}
+                        />
+                        <button
+                          onClick={() => countersignConsent(swap.id)}
+                          disabled={loading || !signer || !consentCode || selectedSwap !== swap.id}
+                          className="action-button"
+                        >
+                          ✍️ Countersign & Submit
+                        </button>
+                      </div>
+                    )}
                   </>
                 )}
               </div>
@@ -6,6 +6,8 @@ module.exports = {
   solidity: {
     version: "0.8.19",
     settings: {
+      // AtomicSwap only fits the 24KB code size limit when compiled through the IR pipeline
+      viaIR: true,
       optimizer: {
         enabled: true,
         runs: 200
@@ -0,0 +1,53 @@
+const { ethers } = require('hardhat');
+const { deriveSwapId } = require('../ethereum/swapId');
+const { readSwap } = require('../ethereum/legacy');
+
+/**
+ * Derive the ID AtomicSwap assigns to a swap and look it up on-chain
+ *
+ * INITIATOR=0x.. PARTICIPANT=0x.. AMOUNT=1.0 HASHED_SECRET=0x.. TIMELOCK=<unix> [NONCE=n] [TOKEN=0x..] \
+ *     npx hardhat run scripts/compute-swap-id.js --network localhost
+ *
+ * Without NONCE, the initiator's next nonce is read from the contract.
+ */
+async function computeSwapId() {
+    const contractAddress = process.env.ATOMIC_SWAP_CONTRACT_ADDRESS || '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+    const { INITIATOR, PARTICIPANT, AMOUNT, HASHED_SECRET, TIMELOCK, NONCE, TOKEN } = process.env;
+
+    if (!INITIATOR || !PARTICIPANT || !AMOUNT || !HASHED_SECRET || !TIMELOCK) {
+        console.log('❌ Set INITIATOR, PARTICIPANT, AMOUNT (ETH), HASHED_SECRET and TIMELOCK');
+        return;
+    }
+
+    const contract = await ethers.getContractAt('AtomicSwap', contractAddress);
+
+    const nonce = NONCE !== undefined ? BigInt(NONCE) : await contract.nonces(INITIATOR);
+    const swapId = deriveSwapId({
+        initiator: INITIATOR,
+        participant: PARTICIPANT,
+        token: TOKEN,
+        amount: ethers.parseEther(AMOUNT),
+        hashedSecret: HASHED_SECRET,
+        timelock: TIMELOCK,
+        nonce
+    });
+
+    console.log('🔑 Swap ID:', swapId);
+    console.log('   Nonce:', nonce.toString(), NONCE !== undefined ? '' : '(next for initiator)');
+
+    try {
+        const swap = await readSwap(contract, swapId);
+        console.log('✅ Swap exists on-chain');
+        console.log('- Withdrawn:', swap.withdrawn);
+        console.log('- Refunded:', swap.refunded);
+    } catch (error) {
+        console.log('ℹ️  No swap with this ID on-chain yet');
+    }
+}
+
+computeSwapId()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
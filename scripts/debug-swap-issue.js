@@ -1,11 +1,12 @@
 const { ethers } = require('hardhat');
+const { readSwap } = require('../ethereum/legacy');
 
 async function debugSwapIssue() {
     console.log('🔧 DEBUGGING SWAP ISSUE');
     console.log('========================');
     
     const swapId = '0x3f25fdf0a6eb0f455c9b2ed12f181afe8cfa909856723c492278c46637b20e41';
-    const contractAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+    const contractAddress = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
     
     try {
         // Check if we're connected to the right network
@@ -27,14 +28,13 @@ async function debugSwapIssue() {
         }
         
         // Try to connect to contract
-        const AtomicSwap = await ethers.getContractFactory('AtomicSwap');
-        const contract = AtomicSwap.attach(contractAddress);
+        const contract = await ethers.getContractAt('AtomicSwap', contractAddress);
         
         console.log('📋 Contract connected successfully');
         
         // Check if swap exists
         try {
-            const swap = await contract.getSwap(swapId);
+            const swap = await readSwap(contract, swapId);
             console.log('✅ Swap found!');
             console.log('- Withdrawn:', swap.withdrawn);
             console.log('- Refunded:', swap.refunded);
@@ -42,6 +42,7 @@ async function debugSwapIssue() {
         } catch (error) {
             console.log('❌ Swap not found in contract');
             console.log('Error:', error.message);
+            console.log('💡 Swap IDs are derived on-chain; check the expected ID with scripts/compute-swap-id.js');
             
             // Check for any swaps by looking at events
             console.log('');
@@ -55,7 +56,7 @@ async function debugSwapIssue() {
                 events.forEach((event, index) => {
                     console.log(`${index + 1}. Swap ID: ${event.args.swapId}`);
                     console.log(`   Initiator: ${event.args.initiator}`);
-                    console.log(`   Amount: ${ethers.formatEther(event.args.amount)} ETH`);
+                    console.log(`   Amount: ${ethers.formatEther(event.args.swap.amount)} ETH`);
                     console.log(`   Block: ${event.blockNumber}`);
                     console.log('');
                 });
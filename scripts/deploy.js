@@ -1,4 +1,55 @@
 const { ethers } = require("hardhat");
+const fs = require('fs');
+const path = require('path');
+const { createRegistry, addDeployment, latestDeployment } = require('../ethereum/deployments');
+
+// Stops new swaps on a superseded version; swaps already open there can still settle
+const PAUSABLE_ABI = [
+    'function owner() view returns (address)',
+    'function paused() view returns (bool)',
+    'function pause()'
+];
+
+/**
+ * Add the new AtomicSwap to the chain's version registry and pause the version it replaces
+ * @returns {Object} The updated registry
+ */
+async function registerDeployment(deployer, atomicSwap, chainId) {
+    const registryPath = path.join(__dirname, '..', 'deployments', `${chainId}.json`);
+    let registry = fs.existsSync(registryPath)
+        ? JSON.parse(fs.readFileSync(registryPath, 'utf8'))
+        : createRegistry(chainId);
+
+    // A restarted local node has lost the earlier versions
+    const live = [];
+    for (const version of registry.versions) {
+        if ((await ethers.provider.getCode(version.address)) !== '0x') {
+            live.push(version);
+        }
+    }
+    registry = { ...registry, versions: live };
+
+    const previous = latestDeployment(registry);
+    registry = addDeployment(registry, {
+        address: await atomicSwap.getAddress(),
+        abi: atomicSwap.interface.format(),
+        blockNumber: (await atomicSwap.deploymentTransaction().wait()).blockNumber
+    });
+    fs.mkdirSync(path.dirname(registryPath), { recursive: true });
+    fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2));
+    console.log(`Registered AtomicSwap version ${latestDeployment(registry).version} in ${registryPath}`);
+
+    if (previous) {
+        const superseded = new ethers.Contract(previous.address, PAUSABLE_ABI, deployer);
+        if ((await superseded.owner()) === deployer.address && !(await superseded.paused())) {
+            await (await superseded.pause()).wait();
+            console.log(`Paused new swaps on version ${previous.version} at ${previous.address}`);
+        } else {
+            console.log(`Version ${previous.version} at ${previous.address} was not paused by this deployer`);
+        }
+    }
+    return registry;
+}
 
 async function main() {
     console.log("Deploying AtomicSwap contract...");
@@ -8,8 +59,16 @@ async function main() {
     console.log("Deploying contracts with the account:", deployer.address);
     console.log("Account balance:", (await deployer.provider.getBalance(deployer.address)).toString());
 
-    // Deploy the AtomicSwap contract
-    const AtomicSwap = await ethers.getContractFactory("AtomicSwap");
+    // Deploy the asset transfer library AtomicSwap links against, then the contract itself
+    const SwapAssets = await ethers.getContractFactory("SwapAssets");
+    const swapAssets = await SwapAssets.deploy();
+    await swapAssets.waitForDeployment();
+    const swapAssetsAddress = await swapAssets.getAddress();
+    console.log("SwapAssets library deployed to:", swapAssetsAddress);
+
+    const AtomicSwap = await ethers.getContractFactory("AtomicSwap", {
+        libraries: { SwapAssets: swapAssetsAddress }
+    });
     const atomicSwap = await AtomicSwap.deploy();
 
     await atomicSwap.waitForDeployment();
@@ -17,8 +76,10 @@ async function main() {
 
     console.log("AtomicSwap contract deployed to:", contractAddress);
 
+    const network = await ethers.provider.getNetwork();
+    const registry = await registerDeployment(deployer, atomicSwap, network.chainId);
+
     // Save the contract address and ABI for frontend use
-    const fs = require('fs');
     const contractInfo = {
         address: contractAddress,
         abi: AtomicSwap.interface.format('json')
@@ -31,8 +92,21 @@ async function main() {
 
     console.log("Contract info saved to frontend/src/contracts/AtomicSwap.json");
 
+    // Every version, so the frontend can still settle swaps opened on older ones
+    fs.writeFileSync(
+        './frontend/src/contracts/deployments.json',
+        JSON.stringify(registry, null, 2)
+    );
+
+    // Deploy the per-swap escrow factory
+    const EscrowFactory = await ethers.getContractFactory("EscrowFactory");
+    const escrowFactory = await EscrowFactory.deploy();
+    await escrowFactory.waitForDeployment();
+
+    console.log("EscrowFactory deployed to:", await escrowFactory.getAddress());
+    console.log("Set ESCROW_FACTORY_ADDRESS in .env to include escrow addresses in swap responses");
+
     // Only verify on real networks (not localhost/hardhat)
-    const network = await ethers.provider.getNetwork();
     const isLocalNetwork = network.name === 'localhost' || network.name === 'hardhat' || network.chainId === 31337n;
     
     if (process.env.ETHERSCAN_API_KEY && process.env.ETHERSCAN_API_KEY !== 'your-etherscan-api-key' && !isLocalNetwork) {
@@ -40,9 +114,14 @@ async function main() {
         await atomicSwap.deploymentTransaction().wait(6);
         
         try {
+            await hre.run("verify:verify", {
+                address: swapAssetsAddress,
+                constructorArguments: [],
+            });
             await hre.run("verify:verify", {
                 address: contractAddress,
                 constructorArguments: [],
+                libraries: { SwapAssets: swapAssetsAddress },
             });
             console.log("Contract verified on Etherscan");
         } catch (error) {
@@ -1,4 +1,5 @@
 const { ethers } = require('hardhat');
+const { readSwap } = require('../ethereum/legacy');
 
 async function verifySwapCompletion() {
     // Your swap details
@@ -13,18 +14,19 @@ async function verifySwapCompletion() {
     
     try {
         // Connect to the contract
-        const AtomicSwap = await ethers.getContractFactory('AtomicSwap');
-        const contract = AtomicSwap.attach('0x5FbDB2315678afecb367f032d93F642f64180aa3'); // Default Hardhat address
+        const contract = await ethers.getContractAt('AtomicSwap', '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512'); // Default Hardhat address
         
         // Get swap details
-        const swap = await contract.getSwap(swapId);
+        const swap = await readSwap(contract, swapId);
         
         console.log('📋 SWAP STATUS:');
         console.log('- Withdrawn:', swap.withdrawn ? '✅ YES' : '❌ NO');
         console.log('- Refunded:', swap.refunded ? '⚠️ YES' : '✅ NO');
         console.log('- Amount:', ethers.formatEther(swap.amount), 'ETH');
         console.log('- Participant:', swap.participant);
-        console.log('- Timelock:', new Date(Number(swap.timelock) * 1000).toLocaleString());
+        console.log('- Public withdrawal from:', new Date(Number(swap.timelocks.publicWithdrawal) * 1000).toLocaleString());
+        console.log('- Timelock:', new Date(Number(swap.timelocks.cancellation) * 1000).toLocaleString());
+        console.log('- Public cancellation from:', new Date(Number(swap.timelocks.publicCancellation) * 1000).toLocaleString());
         console.log('');
         
         if (swap.withdrawn) {
@@ -1,19 +1,67 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const BitcoinAtomicSwap = require("../bitcoin/atomicSwap");
+const { deriveSwapId } = require("../ethereum/swapId");
+const { PERMIT2_ADDRESS, PERMIT_TOKEN_ABI, supportsPermit, signPermit, signPermit2 } = require("../ethereum/permit");
+const { HASH_ALGORITHMS, hashSecret } = require("../ethereum/hashlock");
+const { recoverSwaps, fetchOpenOffers, encodeCounterpartyChain, decodeCounterpartyChain } = require("../ethereum/discovery");
+const { encodeCounterLeg, decodeCounterLeg } = require("../ethereum/counterLeg");
+const { signConsent, submitConsent } = require("../ethereum/consent");
+const { ASSET_TYPES, ITEM_ABI, fetchOwnedItems, initiationValue } = require("../ethereum/assets");
+const {
+    createRegistry,
+    addDeployment,
+    latestDeployment,
+    connectDeployments,
+    findSwapDeployment,
+    recoverSwapsFromDeployments,
+    fetchOpenOffersFromDeployments
+} = require("../ethereum/deployments");
+const { LEGACY_ABI, readSwap, readStage } = require("../ethereum/legacy");
+const { SWAP_STATUS, fetchSwapRecord, hashSwapRecord, swapCallArgs } = require("../ethereum/swapRecord");
+
+// Withdrawal opens immediately, public withdrawal 30 minutes before the timelock,
+// public cancellation 1 hour after it
+const buildTimelocks = (cancellation) => ({
+    withdrawal: 0,
+    publicWithdrawal: cancellation - 1800,
+    cancellation,
+    publicCancellation: cancellation + 3600
+});
+
+// AtomicSwap, or a frozen earlier version of it, linked against a fresh SwapAssets library
+const deployAtomicSwap = async (name = "AtomicSwap") => {
+    const swapAssets = await (await ethers.getContractFactory("SwapAssets")).deploy();
+    const AtomicSwap = await ethers.getContractFactory(name, {
+        libraries: { SwapAssets: await swapAssets.getAddress() }
+    });
+    const atomicSwap = await AtomicSwap.deploy();
+    await atomicSwap.waitForDeployment();
+    return atomicSwap;
+};
+
+// ID the contract will assign to the initiator's next ETH swap
+const nextSwapId = async (atomicSwap, initiator, participant, amount, hashedSecret, timelocks) => deriveSwapId({
+    initiator: initiator.address,
+    participant,
+    token: ethers.ZeroAddress,
+    amount,
+    hashedSecret,
+    timelock: timelocks.cancellation,
+    nonce: await atomicSwap.nonces(initiator.address)
+});
 
 describe("AtomicSwap", function () {
     let atomicSwap;
     let owner, initiator, participant;
     let secret, hashedSecret;
-    let timelock;
+    let timelock, timelocks;
 
     beforeEach(async function () {
         [owner, initiator, participant] = await ethers.getSigners();
 
-        const AtomicSwap = await ethers.getContractFactory("AtomicSwap");
-        atomicSwap = await AtomicSwap.deploy();
-        await atomicSwap.waitForDeployment();
+        atomicSwap = await deployAtomicSwap();
 
         // Generate secret and hash
         secret = ethers.randomBytes(32);
@@ -21,90 +69,112 @@ describe("AtomicSwap", function () {
         
         // Set timelock to 1 hour from now
         timelock = (await time.latest()) + 3600;
+        timelocks = buildTimelocks(timelock);
+    });
+
+    // initiateSwap parameters of an ETH swap to participant with a single sha256 secret
+    const swapParams = (overrides) => ({
+        participant: participant.address,
+        token: ethers.ZeroAddress,
+        assetType: ASSET_TYPES.fungible,
+        tokenId: 0,
+        hashedSecret,
+        hashAlgorithm: HASH_ALGORITHMS.sha256,
+        timelocks,
+        safetyDeposit: 0,
+        parts: 1,
+        counterpartyChain: ethers.ZeroHash,
+        counterLeg: "0x",
+        basket: [],
+        ...overrides
     });
 
+    // Record a swap is settled with, rebuilt from its events
+    const record = async (swapId) => (await fetchSwapRecord(atomicSwap, swapId)).record;
+
+    // SwapInitiated's record of a swapParams swap by initiator, in Swap field order
+    const initiatedSwap = (amount) => [
+        initiator.address, participant.address, ethers.ZeroAddress, ASSET_TYPES.fungible, 0, amount,
+        hashedSecret, HASH_ALGORITHMS.sha256, Object.values(timelocks), 0, 1, 0, ethers.ZeroHash
+    ];
+
     describe("Swap Initiation", function () {
         it("Should initiate ETH swap successfully", async function () {
-            const swapId = ethers.randomBytes(32);
             const amount = ethers.parseEther("1");
+            const swapId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks);
 
             await expect(
                 atomicSwap.connect(initiator).initiateSwap(
-                    swapId,
-                    participant.address,
-                    ethers.ZeroAddress, // ETH
-                    amount,
-                    hashedSecret,
-                    timelock,
-                    { value: amount }
+                    swapParams({ amount }), { value: amount }
                 )
             ).to.emit(atomicSwap, "SwapInitiated")
-             .withArgs(swapId, initiator.address, participant.address, ethers.ZeroAddress, amount, hashedSecret, timelock);
+             .withArgs(swapId, initiator.address, participant.address, initiatedSwap(amount), "0x");
 
-            const swap = await atomicSwap.getSwap(swapId);
+            const swap = await readSwap(atomicSwap, swapId);
             expect(swap.initiator).to.equal(initiator.address);
             expect(swap.participant).to.equal(participant.address);
             expect(swap.amount).to.equal(amount);
+
+            // Only the status and a commitment to the record are stored
+            const state = await atomicSwap.swapStates(swapId);
+            expect(state.status).to.equal(SWAP_STATUS.open);
+            expect(state.commitment).to.equal(hashSwapRecord(await record(swapId)));
         });
 
         it("Should fail with invalid parameters", async function () {
-            const swapId = ethers.randomBytes(32);
             const amount = ethers.parseEther("1");
 
             // Invalid participant
             await expect(
                 atomicSwap.connect(initiator).initiateSwap(
-                    swapId,
-                    ethers.ZeroAddress,
-                    ethers.ZeroAddress,
-                    amount,
-                    hashedSecret,
-                    timelock,
-                    { value: amount }
+                    swapParams({ participant: ethers.ZeroAddress, amount }), { value: amount }
                 )
             ).to.be.revertedWith("Invalid participant");
 
             // Invalid timelock
             await expect(
                 atomicSwap.connect(initiator).initiateSwap(
-                    swapId,
-                    participant.address,
-                    ethers.ZeroAddress,
-                    amount,
-                    hashedSecret,
-                    await time.latest() - 1000, // Past timelock
+                    swapParams({ amount, timelocks: buildTimelocks(await time.latest() - 1000) }),
                     { value: amount }
                 )
             ).to.be.revertedWith("Timelock must be in the future");
         });
 
-        it("Should fail if swap already exists", async function () {
-            const swapId = ethers.randomBytes(32);
+        it("Should derive the swap ID from the parameters and the initiator's nonce", async function () {
             const amount = ethers.parseEther("1");
+            const args = [swapParams({ amount }), { value: amount }];
 
-            // First initiation
-            await atomicSwap.connect(initiator).initiateSwap(
-                swapId,
-                participant.address,
-                ethers.ZeroAddress,
-                amount,
-                hashedSecret,
-                timelock,
-                { value: amount }
+            const returned = await atomicSwap.connect(initiator).initiateSwap.staticCall(...args);
+            expect(returned).to.equal(
+                await atomicSwap.computeSwapId(
+                    initiator.address, participant.address, ethers.ZeroAddress, amount, hashedSecret, timelock, 0
+                )
+            );
+            expect(returned).to.equal(
+                await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks)
+            );
+
+            // Identical swaps get distinct IDs as the nonce advances
+            await atomicSwap.connect(initiator).initiateSwap(...args);
+            expect(await atomicSwap.nonces(initiator.address)).to.equal(1);
+            expect(await atomicSwap.connect(initiator).initiateSwap.staticCall(...args)).to.not.equal(returned);
+        });
+
+        it("Should not let another account claim a pending swap's ID", async function () {
+            const amount = ethers.parseEther("1");
+            const swapId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks);
+
+            // Same parameters from a front-runner land under a different ID
+            await atomicSwap.connect(owner).initiateSwap(
+                swapParams({ amount }), { value: amount }
             );
+            expect((await atomicSwap.swapStates(swapId)).status).to.equal(SWAP_STATUS.none);
 
-            // Second initiation with same swapId should fail
             await expect(
                 atomicSwap.connect(initiator).initiateSwap(
-                    swapId,
-                    participant.address,
-                    ethers.ZeroAddress,
-                    amount,
-                    hashedSecret,
-                    timelock,
-                    { value: amount }
+                    swapParams({ amount }), { value: amount }
                 )
-            ).to.be.revertedWith("Swap already exists");
+            ).to.emit(atomicSwap, "SwapInitiated").withArgs(swapId, initiator.address, participant.address, initiatedSwap(amount), "0x");
         });
     });
 
@@ -112,17 +182,11 @@ describe("AtomicSwap", function () {
         let swapId, amount;
 
         beforeEach(async function () {
-            swapId = ethers.randomBytes(32);
             amount = ethers.parseEther("1");
 
+            swapId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks);
             await atomicSwap.connect(initiator).initiateSwap(
-                swapId,
-                participant.address,
-                ethers.ZeroAddress,
-                amount,
-                hashedSecret,
-                timelock,
-                { value: amount }
+                swapParams({ amount }), { value: amount }
             );
         });
 
@@ -130,14 +194,14 @@ describe("AtomicSwap", function () {
             const initialBalance = await ethers.provider.getBalance(participant.address);
 
             await expect(
-                atomicSwap.connect(participant).withdraw(swapId, secret)
+                atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret)
             ).to.emit(atomicSwap, "SwapWithdrawn")
              .withArgs(swapId, secret);
 
             const finalBalance = await ethers.provider.getBalance(participant.address);
             expect(finalBalance).to.be.gt(initialBalance);
 
-            const swap = await atomicSwap.getSwap(swapId);
+            const swap = await readSwap(atomicSwap, swapId);
             expect(swap.withdrawn).to.be.true;
         });
 
@@ -145,13 +209,21 @@ describe("AtomicSwap", function () {
             const wrongSecret = ethers.randomBytes(32);
 
             await expect(
-                atomicSwap.connect(participant).withdraw(swapId, wrongSecret)
+                atomicSwap.connect(participant).withdraw(swapId, await record(swapId), wrongSecret)
             ).to.be.revertedWith("Invalid secret");
         });
 
+        it("Should fail withdrawal with a record the swap wasn't committed to", async function () {
+            const forged = { ...(await record(swapId)), amount: amount * 2n };
+
+            await expect(
+                atomicSwap.connect(participant).withdraw(swapId, forged, secret)
+            ).to.be.revertedWith("Swap record mismatch");
+        });
+
         it("Should fail withdrawal by non-participant", async function () {
             await expect(
-                atomicSwap.connect(initiator).withdraw(swapId, secret)
+                atomicSwap.connect(initiator).withdraw(swapId, await record(swapId), secret)
             ).to.be.revertedWith("Only participant can withdraw");
         });
 
@@ -160,36 +232,147 @@ describe("AtomicSwap", function () {
             await time.increaseTo(timelock + 1);
 
             await expect(
-                atomicSwap.connect(participant).withdraw(swapId, secret)
+                atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret)
             ).to.be.revertedWith("Timelock expired");
         });
 
         it("Should fail double withdrawal", async function () {
             // First withdrawal
-            await atomicSwap.connect(participant).withdraw(swapId, secret);
+            await atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret);
 
             // Second withdrawal should fail
             await expect(
-                atomicSwap.connect(participant).withdraw(swapId, secret)
+                atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret)
             ).to.be.revertedWith("Already withdrawn");
         });
     });
 
+    describe("Relayed Withdrawal", function () {
+        let swapId, amount, relayer, domain, types, deadline;
+
+        const signClaim = (signer, claim) => signer.signTypedData(domain, types, claim);
+
+        beforeEach(async function () {
+            [, , , relayer] = await ethers.getSigners();
+            amount = ethers.parseEther("1");
+            deadline = (await time.latest()) + 600;
+
+            domain = {
+                name: "AtomicSwap",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: await atomicSwap.getAddress()
+            };
+            types = {
+                Withdraw: [
+                    { name: "swapId", type: "bytes32" },
+                    { name: "relayer", type: "address" },
+                    { name: "relayerFee", type: "uint256" },
+                    { name: "deadline", type: "uint256" }
+                ]
+            };
+
+            swapId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks);
+            await atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ amount }), { value: amount }
+            );
+        });
+
+        it("Should let a relayer withdraw with the participant's signature", async function () {
+            const relayerFee = ethers.parseEther("0.01");
+            const claim = { swapId, relayer: relayer.address, relayerFee, deadline };
+            const signature = await signClaim(participant, claim);
+
+            const tx = atomicSwap.connect(relayer).withdrawWithSignature(
+                swapId, await record(swapId), secret, relayer.address, relayerFee, deadline, signature
+            );
+
+            await expect(tx).to.emit(atomicSwap, "RelayerFeePaid")
+                .withArgs(swapId, relayer.address, relayerFee);
+            await expect(tx).to.changeEtherBalance(participant, amount - relayerFee);
+
+            const swap = await readSwap(atomicSwap, swapId);
+            expect(swap.withdrawn).to.be.true;
+        });
+
+        it("Should fail with a signature from someone other than the participant", async function () {
+            const claim = { swapId, relayer: ethers.ZeroAddress, relayerFee: 0n, deadline };
+            const signature = await signClaim(initiator, claim);
+
+            await expect(
+                atomicSwap.connect(relayer).withdrawWithSignature(
+                    swapId, await record(swapId), secret, ethers.ZeroAddress, 0n, deadline, signature
+                )
+            ).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should fail when the fee exceeds the cap", async function () {
+            const relayerFee = ethers.parseEther("0.06");
+            const claim = { swapId, relayer: ethers.ZeroAddress, relayerFee, deadline };
+            const signature = await signClaim(participant, claim);
+
+            await expect(
+                atomicSwap.connect(relayer).withdrawWithSignature(
+                    swapId, await record(swapId), secret, ethers.ZeroAddress, relayerFee, deadline, signature
+                )
+            ).to.be.revertedWith("Relayer fee too high");
+        });
+
+        it("Should fail when submitted by a different relayer", async function () {
+            const claim = { swapId, relayer: relayer.address, relayerFee: 0n, deadline };
+            const signature = await signClaim(participant, claim);
+
+            await expect(
+                atomicSwap.connect(initiator).withdrawWithSignature(
+                    swapId, await record(swapId), secret, relayer.address, 0n, deadline, signature
+                )
+            ).to.be.revertedWith("Invalid relayer");
+        });
+
+        it("Should fail after the signature deadline", async function () {
+            const claim = { swapId, relayer: ethers.ZeroAddress, relayerFee: 0n, deadline };
+            const signature = await signClaim(participant, claim);
+
+            await time.increaseTo(deadline + 1);
+
+            await expect(
+                atomicSwap.connect(relayer).withdrawWithSignature(
+                    swapId, await record(swapId), secret, ethers.ZeroAddress, 0n, deadline, signature
+                )
+            ).to.be.revertedWith("Signature expired");
+        });
+
+        it("Should accept EIP-1271 signatures from contract wallets", async function () {
+            const Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+            const wallet = await Wallet.deploy(participant.address);
+            const walletSwapId = await nextSwapId(
+                atomicSwap, initiator, await wallet.getAddress(), amount, hashedSecret, timelocks
+            );
+
+            await atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ participant: await wallet.getAddress(), amount }), { value: amount }
+            );
+
+            const claim = { swapId: walletSwapId, relayer: ethers.ZeroAddress, relayerFee: 0n, deadline };
+            const signature = await signClaim(participant, claim);
+
+            await expect(
+                atomicSwap.connect(relayer).withdrawWithSignature(
+                    walletSwapId, await record(walletSwapId), secret, ethers.ZeroAddress, 0n, deadline, signature
+                )
+            ).to.changeEtherBalance(wallet, amount);
+        });
+    });
+
     describe("Swap Refund", function () {
         let swapId, amount;
 
         beforeEach(async function () {
-            swapId = ethers.randomBytes(32);
             amount = ethers.parseEther("1");
 
+            swapId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks);
             await atomicSwap.connect(initiator).initiateSwap(
-                swapId,
-                participant.address,
-                ethers.ZeroAddress,
-                amount,
-                hashedSecret,
-                timelock,
-                { value: amount }
+                swapParams({ amount }), { value: amount }
             );
         });
 
@@ -200,20 +383,20 @@ describe("AtomicSwap", function () {
             const initialBalance = await ethers.provider.getBalance(initiator.address);
 
             await expect(
-                atomicSwap.connect(initiator).refund(swapId)
+                atomicSwap.connect(initiator).refund(swapId, await record(swapId))
             ).to.emit(atomicSwap, "SwapRefunded")
              .withArgs(swapId);
 
             const finalBalance = await ethers.provider.getBalance(initiator.address);
             expect(finalBalance).to.be.gt(initialBalance);
 
-            const swap = await atomicSwap.getSwap(swapId);
+            const swap = await readSwap(atomicSwap, swapId);
             expect(swap.refunded).to.be.true;
         });
 
         it("Should fail refund before timelock expires", async function () {
             await expect(
-                atomicSwap.connect(initiator).refund(swapId)
+                atomicSwap.connect(initiator).refund(swapId, await record(swapId))
             ).to.be.revertedWith("Timelock not expired");
         });
 
@@ -222,20 +405,20 @@ describe("AtomicSwap", function () {
             await time.increaseTo(timelock + 1);
 
             await expect(
-                atomicSwap.connect(participant).refund(swapId)
+                atomicSwap.connect(participant).refund(swapId, await record(swapId))
             ).to.be.revertedWith("Only initiator can refund");
         });
 
         it("Should fail refund after withdrawal", async function () {
             // First withdraw
-            await atomicSwap.connect(participant).withdraw(swapId, secret);
+            await atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret);
 
             // Fast forward time past timelock
             await time.increaseTo(timelock + 1);
 
             // Refund should fail
             await expect(
-                atomicSwap.connect(initiator).refund(swapId)
+                atomicSwap.connect(initiator).refund(swapId, await record(swapId))
             ).to.be.revertedWith("Already withdrawn");
         });
 
@@ -244,66 +427,1406 @@ describe("AtomicSwap", function () {
             await time.increaseTo(timelock + 1);
 
             // First refund
-            await atomicSwap.connect(initiator).refund(swapId);
+            await atomicSwap.connect(initiator).refund(swapId, await record(swapId));
 
             // Second refund should fail
             await expect(
-                atomicSwap.connect(initiator).refund(swapId)
+                atomicSwap.connect(initiator).refund(swapId, await record(swapId))
             ).to.be.revertedWith("Already refunded");
         });
     });
 
-    describe("View Functions", function () {
-        let swapId, amount;
+    describe("Mutual Consent", function () {
+        let swapId, amount, keeper, deadline;
 
         beforeEach(async function () {
-            swapId = ethers.randomBytes(32);
+            [, , , keeper] = await ethers.getSigners();
             amount = ethers.parseEther("1");
+            deadline = (await time.latest()) + 600;
 
+            swapId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks);
             await atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ amount, safetyDeposit: ethers.parseEther("0.1") }),
+                { value: amount + ethers.parseEther("0.1") }
+            );
+        });
+
+        const signBoth = async (type, terms) => [
+            await signConsent(initiator, atomicSwap, type, terms),
+            await signConsent(participant, atomicSwap, type, terms)
+        ];
+
+        it("Should extend the timelock when both parties sign", async function () {
+            const terms = {
                 swapId,
-                participant.address,
-                ethers.ZeroAddress,
-                amount,
-                hashedSecret,
-                timelock,
+                cancellation: timelock + 7200,
+                publicCancellation: timelock + 10800,
+                deadline
+            };
+            const [initiatorSignature, participantSignature] = await signBoth("ExtendTimelock", terms);
+            const original = await record(swapId);
+
+            await expect(
+                submitConsent(atomicSwap.connect(keeper), "ExtendTimelock", terms, initiatorSignature, participantSignature)
+            ).to.emit(atomicSwap, "TimelockExtended")
+             .withArgs(swapId, terms.cancellation, terms.publicCancellation);
+
+            // The swap is now committed to the extended timelocks
+            await expect(atomicSwap.connect(participant).withdraw(swapId, original, secret))
+                .to.be.revertedWith("Swap record mismatch");
+            expect((await record(swapId)).timelocks.cancellation).to.equal(terms.cancellation);
+
+            // Withdrawal stays open past the original timelock
+            await time.increaseTo(timelock + 1);
+            await expect(atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret))
+                .to.emit(atomicSwap, "SwapWithdrawn");
+        });
+
+        it("Should not replay an extension", async function () {
+            const terms = {
+                swapId,
+                cancellation: timelock + 7200,
+                publicCancellation: timelock + 10800,
+                deadline
+            };
+            const [initiatorSignature, participantSignature] = await signBoth("ExtendTimelock", terms);
+            await submitConsent(atomicSwap, "ExtendTimelock", terms, initiatorSignature, participantSignature);
+
+            await expect(
+                submitConsent(atomicSwap, "ExtendTimelock", terms, initiatorSignature, participantSignature)
+            ).to.be.revertedWith("Cancellation not extended");
+        });
+
+        it("Should not extend with a single party's consent", async function () {
+            const terms = {
+                swapId,
+                cancellation: timelock + 7200,
+                publicCancellation: timelock + 10800,
+                deadline
+            };
+            const initiatorSignature = await signConsent(initiator, atomicSwap, "ExtendTimelock", terms);
+
+            await expect(
+                submitConsent(atomicSwap, "ExtendTimelock", terms, initiatorSignature, initiatorSignature)
+            ).to.be.revertedWith("Invalid participant signature");
+        });
+
+        it("Should reject an extension that breaks the timelock order", async function () {
+            const terms = {
+                swapId,
+                cancellation: timelock + 7200,
+                publicCancellation: timelock + 3600,
+                deadline
+            };
+            const [initiatorSignature, participantSignature] = await signBoth("ExtendTimelock", terms);
+
+            await expect(
+                submitConsent(atomicSwap, "ExtendTimelock", terms, initiatorSignature, participantSignature)
+            ).to.be.revertedWith("Invalid timelock order");
+        });
+
+        it("Should refund the initiator at once when both parties consent", async function () {
+            const terms = { swapId, deadline };
+            const [initiatorSignature, participantSignature] = await signBoth("CancelByConsent", terms);
+
+            const tx = submitConsent(
+                atomicSwap.connect(keeper), "CancelByConsent", terms, initiatorSignature, participantSignature
+            );
+
+            await expect(tx).to.emit(atomicSwap, "SwapRefunded").withArgs(swapId);
+            await expect(tx).to.changeEtherBalance(initiator, amount + ethers.parseEther("0.1"));
+
+            const swap = await readSwap(atomicSwap, swapId);
+            expect(swap.refunded).to.be.true;
+        });
+
+        it("Should not cancel with a signature over other terms", async function () {
+            const [initiatorSignature] = await signBoth("CancelByConsent", { swapId, deadline });
+            const participantSignature = await signConsent(
+                participant, atomicSwap, "CancelByConsent", { swapId, deadline: deadline + 1 }
+            );
+
+            await expect(
+                submitConsent(atomicSwap, "CancelByConsent", { swapId, deadline }, initiatorSignature, participantSignature)
+            ).to.be.revertedWith("Invalid participant signature");
+        });
+
+        it("Should not cancel after the signature deadline", async function () {
+            const terms = { swapId, deadline };
+            const [initiatorSignature, participantSignature] = await signBoth("CancelByConsent", terms);
+
+            await time.increaseTo(deadline + 1);
+
+            await expect(
+                submitConsent(atomicSwap, "CancelByConsent", terms, initiatorSignature, participantSignature)
+            ).to.be.revertedWith("Signature expired");
+        });
+
+        it("Should not cancel a withdrawn swap", async function () {
+            const terms = { swapId, deadline };
+            const [initiatorSignature, participantSignature] = await signBoth("CancelByConsent", terms);
+
+            await atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret);
+
+            await expect(
+                submitConsent(atomicSwap, "CancelByConsent", terms, initiatorSignature, participantSignature)
+            ).to.be.revertedWith("Already withdrawn");
+        });
+    });
+
+    describe("Timelock Windows", function () {
+        let swapId, amount, keeper;
+
+        beforeEach(async function () {
+            [, , , keeper] = await ethers.getSigners();
+            amount = ethers.parseEther("1");
+
+            swapId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks);
+            await atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ amount }), { value: amount }
+            );
+        });
+
+        it("Should reject timelocks out of order", async function () {
+            await expect(
+                atomicSwap.connect(initiator).initiateSwap(
+                    swapParams({ amount, timelocks: { ...timelocks, publicWithdrawal: timelock + 1 } }),
+                    { value: amount }
+                )
+            ).to.be.revertedWith("Invalid timelock order");
+        });
+
+        it("Should block withdrawal before the withdrawal window opens", async function () {
+            const lockedSwapId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks);
+            await atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ amount, timelocks: { ...timelocks, withdrawal: timelocks.publicWithdrawal - 600 } }),
+                { value: amount }
+            );
+
+            expect(await atomicSwap.getStage(lockedSwapId, await record(lockedSwapId))).to.equal(0); // FinalityLock
+            await expect(
+                atomicSwap.connect(participant).withdraw(lockedSwapId, await record(lockedSwapId), secret)
+            ).to.be.revertedWith("Withdrawal not started");
+        });
+
+        it("Should let anyone push funds to the participant during public withdrawal", async function () {
+            await time.increaseTo(timelocks.publicWithdrawal);
+            expect(await atomicSwap.getStage(swapId, await record(swapId))).to.equal(2); // PublicWithdrawal
+
+            await expect(
+                atomicSwap.connect(keeper).withdraw(swapId, await record(swapId), secret)
+            ).to.changeEtherBalance(participant, amount);
+        });
+
+        it("Should only let the initiator refund during private cancellation", async function () {
+            await time.increaseTo(timelock);
+            expect(await atomicSwap.getStage(swapId, await record(swapId))).to.equal(3); // PrivateCancellation
+
+            await expect(
+                atomicSwap.connect(keeper).refund(swapId, await record(swapId))
+            ).to.be.revertedWith("Only initiator can refund");
+        });
+
+        it("Should let anyone refund to the initiator during public cancellation", async function () {
+            await time.increaseTo(timelocks.publicCancellation);
+            expect(await atomicSwap.getStage(swapId, await record(swapId))).to.equal(4); // PublicCancellation
+
+            await expect(
+                atomicSwap.connect(keeper).refund(swapId, await record(swapId))
+            ).to.changeEtherBalance(initiator, amount);
+        });
+    });
+
+    describe("Safety Deposit", function () {
+        let swapId, amount, deposit, keeper;
+
+        beforeEach(async function () {
+            [, , , keeper] = await ethers.getSigners();
+            amount = ethers.parseEther("1");
+            deposit = ethers.parseEther("0.05");
+
+            swapId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks);
+            await atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ amount, safetyDeposit: deposit }), { value: amount + deposit }
+            );
+        });
+
+        it("Should require the deposit on top of the swap value", async function () {
+            await expect(
+                atomicSwap.connect(initiator).initiateSwap(
+                    swapParams({ amount, safetyDeposit: deposit }), { value: amount }
+                )
+            ).to.be.revertedWith("Incorrect ETH amount");
+        });
+
+        it("Should return the deposit to the initiator on a private withdrawal", async function () {
+            await expect(
+                atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret)
+            ).to.emit(atomicSwap, "SafetyDepositCollected")
+             .withArgs(swapId, initiator.address, deposit);
+
+            const swap = await readSwap(atomicSwap, swapId);
+            expect(swap.safetyDeposit).to.equal(deposit);
+            expect(swap.depositCollector).to.equal(initiator.address);
+        });
+
+        it("Should pay the deposit to whoever withdraws during public withdrawal", async function () {
+            await time.increaseTo(timelocks.publicWithdrawal);
+
+            const tx = atomicSwap.connect(keeper).withdraw(swapId, await record(swapId), secret);
+            await expect(tx).to.emit(atomicSwap, "SafetyDepositCollected")
+                .withArgs(swapId, keeper.address, deposit);
+            await expect(tx).to.changeEtherBalance(participant, amount);
+
+            const swap = await readSwap(atomicSwap, swapId);
+            expect(swap.depositCollector).to.equal(keeper.address);
+        });
+
+        it("Should pay the deposit to whoever refunds during public cancellation", async function () {
+            await time.increaseTo(timelocks.publicCancellation);
+
+            const tx = atomicSwap.connect(keeper).refund(swapId, await record(swapId));
+            await expect(tx).to.emit(atomicSwap, "SafetyDepositCollected")
+                .withArgs(swapId, keeper.address, deposit);
+            await expect(tx).to.changeEtherBalance(initiator, amount);
+        });
+    });
+
+    describe("Partial Fills", function () {
+        const parts = 4;
+        let swapId, amount, secretSet;
+
+        const hex = (value) => "0x" + value;
+
+        beforeEach(async function () {
+            amount = ethers.parseEther("1");
+            secretSet = new BitcoinAtomicSwap().generateSecretSet(parts);
+
+            swapId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hex(secretSet.merkleRoot), timelocks);
+            await atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ amount, hashedSecret: hex(secretSet.merkleRoot), parts }), { value: amount }
+            );
+        });
+
+        const withdrawPart = async (index) => atomicSwap.connect(participant).withdrawPartial(
+            swapId,
+            await record(swapId),
+            hex(secretSet.secrets[index]),
+            index,
+            secretSet.proofs[index].map(hex)
+        );
+
+        it("Should release an equal share per revealed secret", async function () {
+            await expect(withdrawPart(2))
+                .to.emit(atomicSwap, "SwapPartiallyWithdrawn")
+                .withArgs(swapId, 2, hex(secretSet.secrets[2]), amount / 4n);
+
+            const swap = await readSwap(atomicSwap, swapId);
+            expect(swap.filledAmount).to.equal(amount / 4n);
+            expect(swap.withdrawn).to.be.false;
+        });
+
+        it("Should complete the swap once every part is filled", async function () {
+            for (let index = 0; index < parts - 1; index++) {
+                await withdrawPart(index);
+            }
+
+            await expect(withdrawPart(parts - 1)).to.emit(atomicSwap, "SwapWithdrawn");
+
+            const swap = await readSwap(atomicSwap, swapId);
+            expect(swap.filledAmount).to.equal(amount);
+            expect(swap.withdrawn).to.be.true;
+        });
+
+        it("Should fail to fill the same part twice", async function () {
+            await withdrawPart(1);
+
+            await expect(withdrawPart(1)).to.be.revertedWith("Part already filled");
+        });
+
+        it("Should fail with a secret proven at the wrong index", async function () {
+            await expect(
+                atomicSwap.connect(participant).withdrawPartial(
+                    swapId,
+                    await record(swapId),
+                    hex(secretSet.secrets[0]),
+                    1,
+                    secretSet.proofs[1].map(hex)
+                )
+            ).to.be.revertedWith("Invalid secret");
+        });
+
+        it("Should not answer isWithdrawable for a partial-fill swap", async function () {
+            await expect(
+                atomicSwap.isWithdrawable(swapId, await record(swapId), hex(secretSet.secrets[0]))
+            ).to.be.revertedWith("Partial-fill swap");
+        });
+
+        it("Should refund only the unfilled remainder", async function () {
+            await withdrawPart(0);
+            await time.increaseTo(timelock + 1);
+
+            await expect(
+                atomicSwap.connect(initiator).refund(swapId, await record(swapId))
+            ).to.changeEtherBalance(initiator, amount - amount / 4n);
+        });
+    });
+
+    describe("Hash Algorithms", function () {
+        let amount;
+
+        const initiateWith = async (hashlock, algorithm, parts = 1) => {
+            const swapId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashlock, timelocks);
+            await atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ amount, hashedSecret: hashlock, hashAlgorithm: algorithm, parts }),
                 { value: amount }
             );
+            return swapId;
+        };
+
+        beforeEach(async function () {
+            amount = ethers.parseEther("1");
+        });
+
+        it("Should withdraw with the secret under each algorithm", async function () {
+            for (const [name, algorithm] of Object.entries(HASH_ALGORITHMS)) {
+                const hashlock = hashSecret(ethers.hexlify(secret), name);
+                expect(await atomicSwap.hashSecret(algorithm, secret)).to.equal(hashlock);
+
+                const swapId = await initiateWith(hashlock, algorithm);
+                expect((await readSwap(atomicSwap, swapId)).hashAlgorithm).to.equal(algorithm);
+                expect(await atomicSwap.isWithdrawable(swapId, await record(swapId), secret)).to.be.true;
+                await expect(atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret))
+                    .to.emit(atomicSwap, "SwapWithdrawn");
+            }
+        });
+
+        it("Should verify the secret with the swap's own algorithm", async function () {
+            // sha256 hashlock stored as HASH160
+            const swapId = await initiateWith(hashedSecret, HASH_ALGORITHMS.hash160);
+
+            await expect(
+                atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret)
+            ).to.be.revertedWith("Invalid secret");
+        });
+
+        it("Should match the hashlocks of the Bitcoin script", async function () {
+            const bitcoinSwap = new BitcoinAtomicSwap();
+            const secretBuffer = Buffer.from(secret);
+
+            for (const name of ["sha256", "hash160", "hash256"]) {
+                const onChain = await atomicSwap.hashSecret(HASH_ALGORITHMS[name], secret);
+                const scriptHashlock = bitcoinSwap.hashSecret(secretBuffer, name).toString("hex");
+                expect(onChain.slice(2, 2 + scriptHashlock.length)).to.equal(scriptHashlock);
+            }
+        });
+
+        it("Should require Sha256 for partial fills", async function () {
+            await expect(
+                initiateWith(hashedSecret, HASH_ALGORITHMS.keccak256, 4)
+            ).to.be.revertedWith("Parts require Sha256");
+        });
+
+        it("Should reject Keccak256 against a Bitcoin-family counterparty chain", async function () {
+            const hashlock = hashSecret(ethers.hexlify(secret), "keccak256");
+            for (const chain of ["BTC", "DOGE"]) {
+                await expect(
+                    atomicSwap.connect(initiator).initiateSwap(
+                        swapParams({
+                            amount,
+                            hashedSecret: hashlock,
+                            hashAlgorithm: HASH_ALGORITHMS.keccak256,
+                            counterpartyChain: encodeCounterpartyChain(chain)
+                        }),
+                        { value: amount }
+                    )
+                ).to.be.revertedWith("Keccak256 can't lock a Bitcoin-family leg");
+            }
+
+            await expect(
+                atomicSwap.connect(initiator).initiateSwap(
+                    swapParams({
+                        amount,
+                        hashedSecret: hashlock,
+                        hashAlgorithm: HASH_ALGORITHMS.keccak256,
+                        counterpartyChain: encodeCounterpartyChain("ETH")
+                    }),
+                    { value: amount }
+                )
+            ).to.emit(atomicSwap, "SwapInitiated");
+        });
+    });
+
+    describe("Permit Initiation", function () {
+        let amount, deadline;
+
+        beforeEach(async function () {
+            amount = ethers.parseEther("100");
+            deadline = (await time.latest()) + 600;
+        });
+
+        it("Should initiate with an EIP-2612 permit instead of an approval", async function () {
+            const Token = await ethers.getContractFactory("MockPermitERC20");
+            const token = await Token.deploy();
+            await atomicSwap.connect(owner).setTokenAllowed(await token.getAddress(), true);
+            await token.mint(initiator.address, amount);
+
+            const permitToken = new ethers.Contract(await token.getAddress(), PERMIT_TOKEN_ABI, initiator);
+            expect(await supportsPermit(permitToken, initiator.address)).to.be.true;
+            const permit = await signPermit(initiator, permitToken, await atomicSwap.getAddress(), amount, deadline);
+
+            await expect(
+                atomicSwap.connect(initiator).initiateSwapWithPermit(
+                    swapParams({ token: await token.getAddress(), amount }), permit
+                )
+            ).to.emit(atomicSwap, "SwapInitiated");
+            expect(await token.balanceOf(await atomicSwap.getAddress())).to.equal(amount);
+        });
+
+        it("Should still initiate when the permit was front-run", async function () {
+            const Token = await ethers.getContractFactory("MockPermitERC20");
+            const token = await Token.deploy();
+            await atomicSwap.connect(owner).setTokenAllowed(await token.getAddress(), true);
+            await token.mint(initiator.address, amount);
+
+            const permitToken = new ethers.Contract(await token.getAddress(), PERMIT_TOKEN_ABI, initiator);
+            const permit = await signPermit(initiator, permitToken, await atomicSwap.getAddress(), amount, deadline);
+            const [, v, r, sig] = ethers.AbiCoder.defaultAbiCoder().decode(["uint256", "uint8", "bytes32", "bytes32"], permit);
+            await token.permit(initiator.address, await atomicSwap.getAddress(), amount, deadline, v, r, sig);
+
+            await expect(
+                atomicSwap.connect(initiator).initiateSwapWithPermit(
+                    swapParams({ token: await token.getAddress(), amount }), permit
+                )
+            ).to.emit(atomicSwap, "SwapInitiated");
+        });
+
+        it("Should initiate through Permit2 for tokens without permit", async function () {
+            const Permit2 = await ethers.getContractFactory("MockPermit2");
+            const permit2 = await Permit2.deploy();
+            await ethers.provider.send("hardhat_setCode", [
+                PERMIT2_ADDRESS, await ethers.provider.getCode(await permit2.getAddress())
+            ]);
+
+            const Token = await ethers.getContractFactory("MockBlocklistERC20");
+            const token = await Token.deploy();
+            await atomicSwap.connect(owner).setTokenAllowed(await token.getAddress(), true);
+            await token.mint(initiator.address, amount);
+            await token.connect(initiator).approve(PERMIT2_ADDRESS, ethers.MaxUint256);
+
+            const plainToken = new ethers.Contract(await token.getAddress(), PERMIT_TOKEN_ABI, initiator);
+            expect(await supportsPermit(plainToken, initiator.address)).to.be.false;
+            const permit = await signPermit2(
+                initiator, await token.getAddress(), await atomicSwap.getAddress(), amount, deadline
+            );
+
+            await expect(
+                atomicSwap.connect(initiator).initiateSwapWithPermit2(
+                    swapParams({ token: await token.getAddress(), amount }), permit
+                )
+            ).to.emit(atomicSwap, "SwapInitiated");
+            expect(await token.balanceOf(await atomicSwap.getAddress())).to.equal(amount);
+
+            // Permit2 nonces are single-use
+            await token.mint(initiator.address, amount);
+            await expect(
+                atomicSwap.connect(initiator).initiateSwapWithPermit2(
+                    swapParams({ token: await token.getAddress(), amount }), permit
+                )
+            ).to.be.revertedWith("Invalid nonce");
+        });
+
+        it("Should reject permit initiation for ETH swaps", async function () {
+            await expect(
+                atomicSwap.connect(initiator).initiateSwapWithPermit(
+                    swapParams({ amount }), "0x", { value: amount }
+                )
+            ).to.be.revertedWith("Permit requires an ERC20");
+        });
+    });
+
+    describe("Non-standard Tokens", function () {
+        let amount;
+
+        const deployToken = async (name) => {
+            const Token = await ethers.getContractFactory(name);
+            const token = await Token.deploy();
+            await atomicSwap.connect(owner).setTokenAllowed(await token.getAddress(), true);
+            await token.mint(initiator.address, amount * 2n);
+            await token.connect(initiator).approve(await atomicSwap.getAddress(), amount * 2n);
+            return token;
+        };
+
+        const initiateWith = async (token) => atomicSwap.connect(initiator).initiateSwap(
+            swapParams({ token: await token.getAddress(), amount })
+        );
+
+        beforeEach(async function () {
+            amount = ethers.parseEther("100");
+        });
+
+        it("Should reject fee-on-transfer tokens", async function () {
+            const token = await deployToken("MockFeeOnTransferERC20");
+
+            await expect(initiateWith(token)).to.be.revertedWith("Received amount mismatch");
+        });
+
+        it("Should settle tokens that return nothing from transfers", async function () {
+            const token = await deployToken("MockNoReturnERC20");
+            const swapId = deriveSwapId({
+                initiator: initiator.address,
+                participant: participant.address,
+                token: await token.getAddress(),
+                amount,
+                hashedSecret,
+                timelock,
+                nonce: 0
+            });
+
+            await initiateWith(token);
+            expect(await token.balanceOf(await atomicSwap.getAddress())).to.equal(amount);
+
+            await expect(atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret))
+                .to.not.emit(atomicSwap, "BalanceCredited");
+            expect(await token.balanceOf(participant.address)).to.equal(amount);
+        });
+
+        it("Should reject rebasing tokens that deliver less than the amount", async function () {
+            const token = await deployToken("MockRebasingERC20");
+
+            // At a neutral index shares map one-to-one and the swap goes through
+            await expect(initiateWith(token)).to.emit(atomicSwap, "SwapInitiated");
+
+            // After a rebase, transfers round down to whole shares
+            await token.rebase(ethers.parseEther("3"));
+            await expect(initiateWith(token)).to.be.revertedWith("Received amount mismatch");
+        });
+    });
+
+    describe("Item Swaps", function () {
+        let nft, multiToken, nftAddress, multiTokenAddress;
+
+        const itemSwapId = async (token, amount) => deriveSwapId({
+            initiator: initiator.address,
+            participant: participant.address,
+            token,
+            amount,
+            hashedSecret,
+            timelock,
+            nonce: await atomicSwap.nonces(initiator.address)
+        });
+
+        beforeEach(async function () {
+            nft = await (await ethers.getContractFactory("MockERC721")).deploy();
+            multiToken = await (await ethers.getContractFactory("MockERC1155")).deploy();
+            nftAddress = await nft.getAddress();
+            multiTokenAddress = await multiToken.getAddress();
+
+            for (const collection of [nft, multiToken]) {
+                await atomicSwap.connect(owner).setTokenAllowed(await collection.getAddress(), true);
+                await collection.connect(initiator).setApprovalForAll(await atomicSwap.getAddress(), true);
+            }
+            await nft.mint(initiator.address, 7);
+            await multiToken.mint(initiator.address, 3, 10);
+        });
+
+        it("Should escrow an ERC721 and release it to the participant", async function () {
+            const swapId = await itemSwapId(nftAddress, 1n);
+
+            await expect(atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ token: nftAddress, assetType: ASSET_TYPES.erc721, tokenId: 7, amount: 1 })
+            )).to.emit(atomicSwap, "SwapInitiated").withArgs(
+                swapId, initiator.address, participant.address, [
+                    initiator.address, participant.address, nftAddress, ASSET_TYPES.erc721, 7, 1,
+                    hashedSecret, HASH_ALGORITHMS.sha256, Object.values(timelocks), 0, 1, 0, ethers.ZeroHash
+                ], "0x"
+            );
+            expect(await nft.ownerOf(7)).to.equal(await atomicSwap.getAddress());
+
+            await atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret);
+            expect(await nft.ownerOf(7)).to.equal(participant.address);
+
+            const swap = await readSwap(atomicSwap, swapId);
+            expect(swap.assetType).to.equal(ASSET_TYPES.erc721);
+            expect(swap.tokenId).to.equal(7);
+        });
+
+        it("Should refund an ERC721 to the initiator after the timelock", async function () {
+            const swapId = await itemSwapId(nftAddress, 1n);
+            await atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ token: nftAddress, assetType: ASSET_TYPES.erc721, tokenId: 7, amount: 1 })
+            );
+
+            await time.increaseTo(timelock + 1);
+            await atomicSwap.connect(initiator).refund(swapId, await record(swapId));
+
+            expect(await nft.ownerOf(7)).to.equal(initiator.address);
+        });
+
+        it("Should escrow ERC1155 items without a protocol fee", async function () {
+            await atomicSwap.connect(owner).setProtocolFee(100);
+            const swapId = await itemSwapId(multiTokenAddress, 4n);
+
+            await atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ token: multiTokenAddress, assetType: ASSET_TYPES.erc1155, tokenId: 3, amount: 4 })
+            );
+            expect(await multiToken.balanceOf(await atomicSwap.getAddress(), 3)).to.equal(4);
+
+            await expect(atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret))
+                .to.not.emit(atomicSwap, "ProtocolFeeCollected");
+            expect(await multiToken.balanceOf(participant.address, 3)).to.equal(4);
+            expect(await multiToken.balanceOf(initiator.address, 3)).to.equal(6);
+        });
+
+        it("Should reject invalid item parameters", async function () {
+            await expect(atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ token: nftAddress, assetType: ASSET_TYPES.erc721, tokenId: 7, amount: 2 })
+            )).to.be.revertedWith("ERC721 amount must be 1");
+
+            await expect(atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ assetType: ASSET_TYPES.erc1155, tokenId: 3, amount: 1 }), { value: 1 }
+            )).to.be.revertedWith("Invalid asset");
+
+            await expect(atomicSwap.connect(initiator).initiateSwapWithPermit(
+                swapParams({ token: nftAddress, assetType: ASSET_TYPES.erc721, tokenId: 7, amount: 1 }), "0x"
+            )).to.be.revertedWith("Permit requires an ERC20");
+        });
+
+        it("Should refuse items sent outside a swap", async function () {
+            await expect(
+                nft.connect(initiator)["safeTransferFrom(address,address,uint256)"](
+                    initiator.address, await atomicSwap.getAddress(), 7
+                )
+            ).to.be.revertedWith("Only swap deposits");
+            await expect(
+                multiToken.connect(initiator).safeTransferFrom(
+                    initiator.address, await atomicSwap.getAddress(), 3, 1, "0x"
+                )
+            ).to.be.revertedWith("Only swap deposits");
+        });
+
+        it("Should list the items a wallet holds", async function () {
+            await nft.mint(initiator.address, 8);
+            await nft.connect(initiator).transferFrom(initiator.address, participant.address, 8);
+
+            const nftItems = await fetchOwnedItems(new ethers.Contract(nftAddress, ITEM_ABI, ethers.provider), initiator.address);
+            expect(nftItems.assetType).to.equal("erc721");
+            expect(nftItems.items).to.deep.equal([{ tokenId: 7n, amount: 1n }]);
+
+            const multiItems = await fetchOwnedItems(
+                new ethers.Contract(multiTokenAddress, ITEM_ABI, ethers.provider), initiator.address
+            );
+            expect(multiItems.assetType).to.equal("erc1155");
+            expect(multiItems.items).to.deep.equal([{ tokenId: 3n, amount: 10n }]);
+        });
+    });
+
+    describe("Basket Swaps", function () {
+        let amount, usdc, usdcAddress, usdcAmount, feeRecipient;
+
+        // One BTC payment buys 1 ETH plus 2000 USDC, released by the same secret
+        const basketParams = (overrides) => swapParams({
+            amount,
+            basket: [{ assetType: ASSET_TYPES.fungible, token: usdcAddress, tokenId: 0, amount: usdcAmount }],
+            ...overrides
+        });
+
+        const initiateBasket = async (params) => {
+            const swapId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks);
+            await atomicSwap.connect(initiator).initiateSwap(params, { value: initiationValue(params) });
+            return swapId;
+        };
+
+        beforeEach(async function () {
+            [, , , feeRecipient] = await ethers.getSigners();
+            amount = ethers.parseEther("1");
+            usdcAmount = 2000n * 10n ** 6n;
+
+            usdc = await (await ethers.getContractFactory("MockPermitERC20")).deploy();
+            usdcAddress = await usdc.getAddress();
+            await atomicSwap.connect(owner).setTokenAllowed(usdcAddress, true);
+            await usdc.mint(initiator.address, usdcAmount);
+            await usdc.connect(initiator).approve(await atomicSwap.getAddress(), usdcAmount);
+        });
+
+        it("Should escrow every leg and release them together, each with its own fee", async function () {
+            await atomicSwap.connect(owner).setFeeRecipient(feeRecipient.address);
+            await atomicSwap.connect(owner).setProtocolFee(50);
+            await atomicSwap.connect(owner).setTokenFee(usdcAddress, 10);
+
+            const params = basketParams();
+            const swapId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks);
+            await expect(atomicSwap.connect(initiator).initiateSwap(params, { value: amount }))
+                .to.emit(atomicSwap, "BasketEscrowed")
+                .withArgs(swapId, [[ASSET_TYPES.fungible, usdcAddress, 0, usdcAmount]]);
+            expect(await usdc.balanceOf(await atomicSwap.getAddress())).to.equal(usdcAmount);
+
+            const basket = await atomicSwap.getBasket(swapId);
+            expect(basket).to.have.length(1);
+            expect(basket[0].protocolFeeBps).to.equal(10);
+
+            const ethFee = (amount * 50n) / 10000n;
+            const usdcFee = (usdcAmount * 10n) / 10000n;
+            const tx = atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret);
+            await expect(tx).to.changeEtherBalances([participant, feeRecipient], [amount - ethFee, ethFee]);
+            await expect(tx).to.changeTokenBalances(usdc, [participant, feeRecipient], [usdcAmount - usdcFee, usdcFee]);
+        });
+
+        it("Should refund every leg to the initiator", async function () {
+            const extraEth = ethers.parseEther("0.5");
+            const params = basketParams({
+                basket: [
+                    { assetType: ASSET_TYPES.fungible, token: usdcAddress, tokenId: 0, amount: usdcAmount },
+                    { assetType: ASSET_TYPES.fungible, token: ethers.ZeroAddress, tokenId: 0, amount: extraEth }
+                ]
+            });
+            expect(initiationValue(params)).to.equal(amount + extraEth);
+            const swapId = await initiateBasket(params);
+
+            await time.increaseTo(timelock + 1);
+            const tx = atomicSwap.connect(initiator).refund(swapId, await record(swapId));
+            await expect(tx).to.changeEtherBalance(initiator, amount + extraEth);
+            await expect(tx).to.changeTokenBalance(usdc, initiator, usdcAmount);
+        });
+
+        it("Should require the ETH of ETH legs with the initiation", async function () {
+            const params = basketParams({
+                basket: [{ assetType: ASSET_TYPES.fungible, token: ethers.ZeroAddress, tokenId: 0, amount }]
+            });
+            await expect(atomicSwap.connect(initiator).initiateSwap(params, { value: amount }))
+                .to.be.revertedWith("Incorrect ETH amount");
+        });
+
+        it("Should reject oversized, partial and invalid baskets", async function () {
+            const leg = { assetType: ASSET_TYPES.fungible, token: ethers.ZeroAddress, tokenId: 0, amount: 1 };
+            const maxSize = Number(await atomicSwap.MAX_BASKET_SIZE());
+
+            let params = basketParams({ basket: Array(maxSize + 1).fill(leg) });
+            await expect(atomicSwap.connect(initiator).initiateSwap(params, { value: initiationValue(params) }))
+                .to.be.revertedWith("Basket too large");
+
+            params = basketParams({ parts: 2 });
+            await expect(atomicSwap.connect(initiator).initiateSwap(params, { value: amount }))
+                .to.be.revertedWith("Basket swaps can't be partial");
+
+            params = basketParams({ basket: [{ ...leg, token: participant.address }] });
+            await expect(atomicSwap.connect(initiator).initiateSwap(params, { value: amount }))
+                .to.be.revertedWith("Token not allowed");
+        });
+
+        it("Should list the basket of open offers", async function () {
+            await initiateBasket(basketParams());
+
+            const [offer] = await fetchOpenOffers(atomicSwap);
+            expect(offer.basket).to.deep.equal([
+                { assetType: ASSET_TYPES.fungible, token: usdcAddress, tokenId: 0n, amount: usdcAmount }
+            ]);
+        });
+    });
+
+    describe("Pull Payments", function () {
+        let amount, wallet, keeper;
+
+        const initiateTo = async (recipient) => {
+            const swapId = await nextSwapId(atomicSwap, initiator, recipient, amount, hashedSecret, timelocks);
+            await atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ participant: recipient, amount }), { value: amount }
+            );
+            return swapId;
+        };
+
+        beforeEach(async function () {
+            [, , , keeper] = await ethers.getSigners();
+            amount = ethers.parseEther("1");
+
+            const Wallet = await ethers.getContractFactory("MockContractWallet");
+            wallet = await Wallet.deploy();
+        });
+
+        it("Should pay contract wallets that need more than 2300 gas", async function () {
+            const swapId = await initiateTo(await wallet.getAddress());
+            await time.increaseTo(timelocks.publicWithdrawal);
+
+            await atomicSwap.connect(keeper).withdraw(swapId, await record(swapId), secret);
+            expect(await wallet.received()).to.equal(amount);
+        });
+
+        it("Should credit a claimable balance when the recipient rejects ETH", async function () {
+            const swapId = await initiateTo(await wallet.getAddress());
+            await wallet.setAccepting(false);
+            await time.increaseTo(timelocks.publicWithdrawal);
+
+            await expect(atomicSwap.connect(keeper).withdraw(swapId, await record(swapId), secret))
+                .to.emit(atomicSwap, "BalanceCredited")
+                .withArgs(await wallet.getAddress(), ethers.ZeroAddress, amount);
+            expect((await readSwap(atomicSwap, swapId)).withdrawn).to.be.true;
+            expect(await atomicSwap.balances(await wallet.getAddress(), ethers.ZeroAddress)).to.equal(amount);
+
+            await wallet.setAccepting(true);
+            const claim = atomicSwap.interface.encodeFunctionData(
+                "claimBalance", [ethers.ZeroAddress, await wallet.getAddress()]
+            );
+            await wallet.execute(await atomicSwap.getAddress(), claim);
+
+            expect(await wallet.received()).to.equal(amount);
+            expect(await atomicSwap.balances(await wallet.getAddress(), ethers.ZeroAddress)).to.equal(0);
+        });
+
+        it("Should credit tokens a blocklisted recipient can't receive", async function () {
+            const Token = await ethers.getContractFactory("MockBlocklistERC20");
+            const token = await Token.deploy();
+            await atomicSwap.connect(owner).setTokenAllowed(await token.getAddress(), true);
+            await token.mint(initiator.address, amount);
+            await token.connect(initiator).approve(await atomicSwap.getAddress(), amount);
+
+            const swapId = deriveSwapId({
+                initiator: initiator.address,
+                participant: participant.address,
+                token: await token.getAddress(),
+                amount,
+                hashedSecret,
+                timelock,
+                nonce: 0
+            });
+            await atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ token: await token.getAddress(), amount })
+            );
+            await token.setBlocked(participant.address, true);
+
+            await expect(atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret))
+                .to.emit(atomicSwap, "BalanceCredited")
+                .withArgs(participant.address, await token.getAddress(), amount);
+
+            // Claim to an address the token doesn't block
+            await expect(atomicSwap.connect(participant).claimBalance(await token.getAddress(), keeper.address))
+                .to.emit(atomicSwap, "BalanceClaimed")
+                .withArgs(participant.address, await token.getAddress(), keeper.address, amount);
+            expect(await token.balanceOf(keeper.address)).to.equal(amount);
+        });
+
+        it("Should credit items a recipient without the receiver hook rejects", async function () {
+            const nft = await (await ethers.getContractFactory("MockERC721")).deploy();
+            const multiToken = await (await ethers.getContractFactory("MockERC1155")).deploy();
+            const walletAddress = await wallet.getAddress();
+            for (const collection of [nft, multiToken]) {
+                await atomicSwap.connect(owner).setTokenAllowed(await collection.getAddress(), true);
+                await collection.connect(initiator).setApprovalForAll(await atomicSwap.getAddress(), true);
+            }
+            await nft.mint(initiator.address, 7);
+            await multiToken.mint(initiator.address, 3, 10);
+
+            const items = [
+                { token: await nft.getAddress(), assetType: ASSET_TYPES.erc721, tokenId: 7, amount: 1n },
+                { token: await multiToken.getAddress(), assetType: ASSET_TYPES.erc1155, tokenId: 3, amount: 4n }
+            ];
+            const swapIds = [];
+            for (const item of items) {
+                swapIds.push(deriveSwapId({
+                    initiator: initiator.address,
+                    participant: walletAddress,
+                    token: item.token,
+                    amount: item.amount,
+                    hashedSecret,
+                    timelock,
+                    nonce: await atomicSwap.nonces(initiator.address)
+                }));
+                await atomicSwap.connect(initiator).initiateSwap(swapParams({ participant: walletAddress, ...item }));
+            }
+            await time.increaseTo(timelocks.publicWithdrawal);
+
+            for (const [i, { token, assetType, tokenId, amount: itemAmount }] of items.entries()) {
+                await expect(atomicSwap.connect(keeper).withdraw(swapIds[i], await record(swapIds[i]), secret))
+                    .to.emit(atomicSwap, "ItemCredited")
+                    .withArgs(walletAddress, token, tokenId, itemAmount);
+                expect((await readSwap(atomicSwap, swapIds[i])).withdrawn).to.be.true;
+                expect(await atomicSwap.itemBalances(walletAddress, token, tokenId)).to.equal(itemAmount);
+
+                // The wallet has the item sent on to an account that accepts it
+                const claim = atomicSwap.interface.encodeFunctionData(
+                    "claimItem", [assetType, token, tokenId, keeper.address]
+                );
+                await expect(wallet.execute(await atomicSwap.getAddress(), claim))
+                    .to.emit(atomicSwap, "ItemClaimed")
+                    .withArgs(walletAddress, token, tokenId, keeper.address, itemAmount);
+                expect(await atomicSwap.itemBalances(walletAddress, token, tokenId)).to.equal(0);
+            }
+
+            expect(await nft.ownerOf(7)).to.equal(keeper.address);
+            expect(await multiToken.balanceOf(keeper.address, 3)).to.equal(4);
+        });
+
+        it("Should fail to claim an empty balance", async function () {
+            await expect(
+                atomicSwap.connect(participant).claimBalance(ethers.ZeroAddress, participant.address)
+            ).to.be.revertedWith("Nothing to claim");
+        });
+    });
+
+    describe("Protocol Fees", function () {
+        let amount, feeRecipient;
+
+        const initiate = async () => {
+            const swapId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks);
+            await atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ amount }), { value: amount }
+            );
+            return swapId;
+        };
+
+        beforeEach(async function () {
+            [, , , feeRecipient] = await ethers.getSigners();
+            amount = ethers.parseEther("1");
+            await atomicSwap.connect(owner).setFeeRecipient(feeRecipient.address);
+            await atomicSwap.connect(owner).setProtocolFee(50); // 0.5%
+        });
+
+        it("Should take the fee from the participant's payout on withdrawal", async function () {
+            const swapId = await initiate();
+            const fee = (amount * 50n) / 10000n;
+            expect((await readSwap(atomicSwap, swapId)).protocolFeeBps).to.equal(50);
+
+            const tx = atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret);
+            await expect(tx).to.emit(atomicSwap, "ProtocolFeeCollected")
+                .withArgs(swapId, feeRecipient.address, ethers.ZeroAddress, fee);
+            await expect(tx).to.changeEtherBalances([participant, feeRecipient], [amount - fee, fee]);
+        });
+
+        it("Should never charge a fee on refund", async function () {
+            const swapId = await initiate();
+            await time.increaseTo(timelock + 1);
+
+            const tx = atomicSwap.connect(initiator).refund(swapId, await record(swapId));
+            await expect(tx).to.not.emit(atomicSwap, "ProtocolFeeCollected");
+            await expect(tx).to.changeEtherBalance(initiator, amount);
+        });
+
+        it("Should keep the rate a swap was initiated with", async function () {
+            const swapId = await initiate();
+            await atomicSwap.connect(owner).setProtocolFee(100);
+
+            await expect(atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret))
+                .to.changeEtherBalance(feeRecipient, (amount * 50n) / 10000n);
+        });
+
+        it("Should apply per-token overrides", async function () {
+            await expect(atomicSwap.connect(owner).setTokenFee(ethers.ZeroAddress, 0))
+                .to.emit(atomicSwap, "TokenFeeUpdated").withArgs(ethers.ZeroAddress, true, 0);
+            expect(await atomicSwap.feeBpsFor(ethers.ZeroAddress)).to.equal(0);
+
+            const swapId = await initiate();
+            await expect(atomicSwap.connect(participant).withdraw(swapId, await record(swapId), secret))
+                .to.not.emit(atomicSwap, "ProtocolFeeCollected");
+
+            await atomicSwap.connect(owner).clearTokenFee(ethers.ZeroAddress);
+            expect(await atomicSwap.feeBpsFor(ethers.ZeroAddress)).to.equal(50);
+        });
+
+        it("Should enforce the maximum fee and owner-only configuration", async function () {
+            await expect(atomicSwap.connect(owner).setProtocolFee(101)).to.be.revertedWith("Fee too high");
+            await expect(atomicSwap.connect(owner).setTokenFee(ethers.ZeroAddress, 101)).to.be.revertedWith("Fee too high");
+            await expect(atomicSwap.connect(initiator).setProtocolFee(10))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+            await expect(atomicSwap.connect(initiator).setFeeRecipient(initiator.address))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+        });
+    });
+
+    describe("Pause and Token Allowlist", function () {
+        let amount;
+
+        const initiate = () => atomicSwap.connect(initiator).initiateSwap(
+            swapParams({ amount }), { value: amount }
+        );
+
+        beforeEach(async function () {
+            amount = ethers.parseEther("1");
+        });
+
+        it("Should block initiation while paused", async function () {
+            await atomicSwap.connect(owner).pause();
+            await expect(initiate()).to.be.revertedWith("Pausable: paused");
+
+            await atomicSwap.connect(owner).unpause();
+            await expect(initiate()).to.emit(atomicSwap, "SwapInitiated");
+        });
+
+        it("Should keep withdraw and refund available while paused", async function () {
+            const withdrawId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks);
+            await initiate();
+            const refundId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks);
+            await initiate();
+            await atomicSwap.connect(owner).pause();
+
+            await expect(atomicSwap.connect(participant).withdraw(withdrawId, await record(withdrawId), secret))
+                .to.emit(atomicSwap, "SwapWithdrawn");
+            await time.increaseTo(timelock + 1);
+            await expect(atomicSwap.connect(initiator).refund(refundId, await record(refundId)))
+                .to.emit(atomicSwap, "SwapRefunded");
+        });
+
+        it("Should only let the owner pause", async function () {
+            await expect(atomicSwap.connect(initiator).pause())
+                .to.be.revertedWith("Ownable: caller is not the owner");
+        });
+
+        it("Should only escrow allowlisted tokens", async function () {
+            const Token = await ethers.getContractFactory("MockRebasingERC20");
+            const token = await Token.deploy();
+            const tokenAddress = await token.getAddress();
+            await token.mint(initiator.address, amount);
+            await token.connect(initiator).approve(await atomicSwap.getAddress(), amount);
+
+            expect(await atomicSwap.isTokenAllowed(ethers.ZeroAddress)).to.be.true;
+            expect(await atomicSwap.isTokenAllowed(tokenAddress)).to.be.false;
+            await expect(
+                atomicSwap.connect(initiator).initiateSwap(swapParams({ token: tokenAddress, amount }))
+            ).to.be.revertedWith("Token not allowed");
+
+            await expect(atomicSwap.connect(owner).setTokenAllowed(tokenAddress, true))
+                .to.emit(atomicSwap, "TokenAllowlistUpdated").withArgs(tokenAddress, true);
+            expect(await atomicSwap.getAllowedTokens()).to.deep.equal([tokenAddress]);
+            await expect(
+                atomicSwap.connect(initiator).initiateSwap(swapParams({ token: tokenAddress, amount }))
+            ).to.emit(atomicSwap, "SwapInitiated");
+
+            await atomicSwap.connect(owner).setTokenAllowed(tokenAddress, false);
+            expect(await atomicSwap.getAllowedTokens()).to.deep.equal([]);
+            await expect(atomicSwap.connect(initiator).setTokenAllowed(tokenAddress, true))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+        });
+    });
+
+    describe("Batch Operations", function () {
+        let amount;
+
+        const errorData = (reason) => atomicSwap.interface.encodeErrorResult("Error", [reason]);
+
+        const batchParams = (overrides = {}) => swapParams({ amount, ...overrides });
+
+        const initiateBatch = async (params) => {
+            const total = params.reduce((sum, p) => sum + p.amount + ethers.getBigInt(p.safetyDeposit), 0n);
+            const swapIds = await atomicSwap.connect(initiator).initiateSwaps.staticCall(params, { value: total });
+            await atomicSwap.connect(initiator).initiateSwaps(params, { value: total });
+            return [...swapIds];
+        };
+
+        const records = (swapIds) => Promise.all(swapIds.map(record));
+
+        beforeEach(async function () {
+            amount = ethers.parseEther("1");
+        });
+
+        it("Should initiate several swaps and skip the ones that fail", async function () {
+            const params = [
+                batchParams(),
+                batchParams({ timelocks: buildTimelocks(await time.latest() - 1000) }),
+                batchParams({ safetyDeposit: ethers.parseEther("0.1") })
+            ];
+            const total = amount * 3n + ethers.parseEther("0.1");
+
+            const swapIds = await atomicSwap.connect(initiator).initiateSwaps.staticCall(params, { value: total });
+            expect(swapIds[1]).to.equal(ethers.ZeroHash);
+
+            const tx = atomicSwap.connect(initiator).initiateSwaps(params, { value: total });
+            await expect(tx).to.emit(atomicSwap, "BatchItemFailed")
+                .withArgs(1, ethers.ZeroHash, errorData("Timelock must be in the future"));
+            // The failed item's ETH goes back to the initiator
+            await expect(tx).to.changeEtherBalance(initiator, -(amount * 2n + ethers.parseEther("0.1")));
+
+            expect((await readSwap(atomicSwap, swapIds[0])).initiator).to.equal(initiator.address);
+            expect((await readSwap(atomicSwap, swapIds[2])).safetyDeposit).to.equal(ethers.parseEther("0.1"));
+            expect(await atomicSwap.nonces(initiator.address)).to.equal(2);
+        });
+
+        it("Should require the batch's total ETH", async function () {
+            await expect(
+                atomicSwap.connect(initiator).initiateSwaps([batchParams(), batchParams()], { value: amount })
+            ).to.be.revertedWith("Incorrect ETH amount");
+        });
+
+        it("Should withdraw several swaps and report the failures", async function () {
+            const swapIds = await initiateBatch([batchParams(), batchParams()]);
+            const wrongSecret = ethers.randomBytes(32);
+
+            const successes = await atomicSwap.connect(participant).withdrawMany.staticCall(
+                swapIds, await records(swapIds), [secret, wrongSecret]
+            );
+            expect(successes).to.deep.equal([true, false]);
+
+            const tx = atomicSwap.connect(participant).withdrawMany(swapIds, await records(swapIds), [secret, wrongSecret]);
+            await expect(tx).to.emit(atomicSwap, "BatchItemFailed")
+                .withArgs(1, swapIds[1], errorData("Invalid secret"));
+            await expect(tx).to.changeEtherBalance(participant, amount);
+        });
+
+        it("Should apply the participant check to the batch caller", async function () {
+            const swapIds = await initiateBatch([batchParams()]);
+
+            await atomicSwap.connect(initiator).withdrawMany(swapIds, await records(swapIds), [secret]);
+            expect((await readSwap(atomicSwap, swapIds[0])).withdrawn).to.be.false;
+        });
+
+        it("Should refund several swaps, skipping settled ones", async function () {
+            const swapIds = await initiateBatch([batchParams(), batchParams()]);
+            await atomicSwap.connect(participant).withdraw(swapIds[0], await record(swapIds[0]), secret);
+            await time.increaseTo(timelock + 1);
+
+            const tx = atomicSwap.connect(initiator).refundMany(swapIds, await records(swapIds));
+            await expect(tx).to.emit(atomicSwap, "BatchItemFailed")
+                .withArgs(0, swapIds[0], errorData("Already withdrawn"));
+            await expect(tx).to.changeEtherBalance(initiator, amount);
+            expect((await readSwap(atomicSwap, swapIds[1])).refunded).to.be.true;
+        });
+
+        it("Should not expose batch items outside a batch", async function () {
+            const [swapId] = await initiateBatch([batchParams()]);
+
+            await expect(
+                atomicSwap.connect(initiator).batchItemRefund(swapId, await record(swapId))
+            ).to.be.revertedWith("Only callable in a batch");
+        });
+    });
+
+    describe("Swap Discovery", function () {
+        let amount, swapIds;
+
+        beforeEach(async function () {
+            amount = ethers.parseEther("1");
+            swapIds = [];
+            for (let i = 0; i < 3; i++) {
+                swapIds.push(await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks));
+                await atomicSwap.connect(initiator).initiateSwap(
+                    swapParams({ amount, counterpartyChain: encodeCounterpartyChain("BTC") }), { value: amount }
+                );
+            }
+        });
+
+        it("Should index swaps by initiator and participant", async function () {
+            const [byInitiator, initiated] = await atomicSwap.getSwapsByInitiator(initiator.address, 0, 10);
+            const [byParticipant, participating] = await atomicSwap.getSwapsByParticipant(participant.address, 0, 10);
+
+            expect(initiated).to.equal(3);
+            expect(participating).to.equal(3);
+            expect([...byInitiator]).to.deep.equal(swapIds);
+            expect([...byParticipant]).to.deep.equal(swapIds);
+
+            const [none, total] = await atomicSwap.getSwapsByParticipant(initiator.address, 0, 10);
+            expect(none).to.be.empty;
+            expect(total).to.equal(0);
+        });
+
+        it("Should paginate the indexes", async function () {
+            const [firstPage] = await atomicSwap.getSwapsByParticipant(participant.address, 0, 2);
+            const [lastPage, total] = await atomicSwap.getSwapsByParticipant(participant.address, 2, 2);
+            const [pastEnd] = await atomicSwap.getSwapsByParticipant(participant.address, 5, 2);
+
+            expect([...firstPage]).to.deep.equal(swapIds.slice(0, 2));
+            expect([...lastPage]).to.deep.equal(swapIds.slice(2));
+            expect(total).to.equal(3);
+            expect(pastEnd).to.be.empty;
+
+            const [all] = await atomicSwap.getSwapsByInitiator(initiator.address, 1, ethers.MaxUint256);
+            expect([...all]).to.deep.equal(swapIds.slice(1));
+        });
+
+        it("Should store the counterparty chain", async function () {
+            const swap = await readSwap(atomicSwap, swapIds[0]);
+            expect(decodeCounterpartyChain(swap.counterpartyChain)).to.equal("BTC");
+        });
+
+        it("Should recover an account's open swaps through the indexes", async function () {
+            await atomicSwap.connect(participant).withdraw(swapIds[1], await record(swapIds[1]), secret);
+
+            const recovered = await recoverSwaps(atomicSwap, participant.address, { openOnly: true, pageSize: 1 });
+            expect(recovered.map(({ swapId }) => swapId)).to.deep.equal([swapIds[0], swapIds[2]]);
+            expect(recovered.every(({ role }) => role === "participant")).to.be.true;
+        });
+
+        it("Should emit the counter-leg descriptor for offer discovery", async function () {
+            const counterLeg = encodeCounterLeg({ chain: "BTC", amount: 100000n, destination: "tb1qexampledestination" });
+            const offerId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks);
+
+            await expect(
+                atomicSwap.connect(initiator).initiateSwap(swapParams({ amount, counterLeg }), { value: amount })
+            ).to.emit(atomicSwap, "SwapInitiated").withArgs(
+                offerId, initiator.address, participant.address, initiatedSwap(amount), counterLeg
+            );
+            await atomicSwap.connect(participant).withdraw(swapIds[0], await record(swapIds[0]), secret);
+
+            const offers = await fetchOpenOffers(atomicSwap);
+            expect(offers.map(({ swapId }) => swapId)).to.deep.equal([swapIds[1], swapIds[2], offerId]);
+
+            const offer = offers.find(({ swapId }) => swapId === offerId);
+            expect(offer.amount).to.equal(amount);
+            expect(offer.counterLeg).to.deep.equal({
+                chain: "BTC", asset: "BTC", amount: 100000n, destination: "tb1qexampledestination"
+            });
+            expect(offers[0].counterLeg).to.be.null;
+            expect(decodeCounterLeg("0x1234")).to.be.null;
+        });
+    });
+
+    describe("Contract Versions", function () {
+        let amount, stored, upgraded, deployments, oldSwapId, newSwapId, newSecret;
+
+        beforeEach(async function () {
+            amount = ethers.parseEther("1");
+            const counterLeg = encodeCounterLeg({ chain: "BTC", amount: 100000n, destination: "tb1qexampledestination" });
+
+            // The version from before swaps were stored as commitments holds an open swap
+            stored = await deployAtomicSwap("MockStoredAtomicSwap");
+            oldSwapId = await nextSwapId(stored, initiator, participant.address, amount, hashedSecret, timelocks);
+            await stored.connect(initiator).initiateSwap(swapParams({ amount, counterLeg }), { value: amount });
+
+            // A new version is deployed next to the old one, which stops taking new swaps
+            upgraded = await deployAtomicSwap();
+            await stored.connect(owner).pause();
+
+            let registry = createRegistry(1337);
+            for (const contract of [stored, upgraded]) {
+                registry = addDeployment(registry, {
+                    address: await contract.getAddress(),
+                    abi: contract.interface.format(),
+                    blockNumber: (await contract.deploymentTransaction().wait()).blockNumber
+                });
+            }
+            expect(latestDeployment(registry).version).to.equal(2);
+            deployments = connectDeployments(registry, ethers.provider);
+
+            // Every swap has its own hashlock, which keeps IDs distinct across versions
+            newSecret = ethers.randomBytes(32);
+            const newHashedSecret = ethers.sha256(newSecret);
+            newSwapId = await nextSwapId(upgraded, initiator, participant.address, amount, newHashedSecret, timelocks);
+            await upgraded.connect(initiator).initiateSwap(
+                swapParams({ amount, counterLeg, hashedSecret: newHashedSecret }), { value: amount }
+            );
+        });
+
+        it("Should find the version each swap was initiated on", async function () {
+            expect((await findSwapDeployment(deployments, oldSwapId)).version).to.equal(1);
+            expect((await findSwapDeployment(deployments, newSwapId)).version).to.equal(2);
+            expect(await findSwapDeployment(deployments, ethers.ZeroHash)).to.be.null;
+        });
+
+        it("Should keep swaps on the superseded version completable", async function () {
+            await expect(
+                stored.connect(initiator).initiateSwap(swapParams({ amount }), { value: amount })
+            ).to.be.revertedWith("Pausable: paused");
+
+            // Each version takes the arguments it identifies swaps by
+            for (const [swapId, swapSecret] of [[oldSwapId, secret], [newSwapId, newSecret]]) {
+                const { contract } = await findSwapDeployment(deployments, swapId);
+                await expect(contract.connect(participant).withdraw(...await swapCallArgs(contract, swapId), swapSecret))
+                    .to.changeEtherBalance(participant, amount);
+            }
+        });
+
+        it("Should read swaps and offers from every version", async function () {
+            const recovered = await recoverSwapsFromDeployments(deployments, participant.address);
+            expect(recovered.map(({ swapId, version }) => [swapId, version])).to.deep.equal([
+                [newSwapId, 2], [oldSwapId, 1]
+            ]);
+            expect(recovered.map(({ swap }) => swap.amount)).to.deep.equal([amount, amount]);
+
+            const offers = await fetchOpenOffersFromDeployments(deployments);
+            expect(offers.map(({ swapId, address }) => [swapId, address])).to.deep.equal([
+                [newSwapId, await upgraded.getAddress()], [oldSwapId, await stored.getAddress()]
+            ]);
+            expect(offers.map(({ counterLeg }) => counterLeg.chain)).to.deep.equal(["BTC", "BTC"]);
+        });
+
+        it("Should read swaps on a version with the legacy ABI", async function () {
+            const legacy = await (await ethers.getContractFactory("MockLegacyAtomicSwap")).deploy();
+            const legacySwapId = ethers.hexlify(ethers.randomBytes(32));
+            await legacy.connect(initiator).initiateSwap(
+                legacySwapId, participant.address, ethers.ZeroAddress, amount, hashedSecret, timelock, { value: amount }
+            );
+
+            // Registered as the backend does for a contract from before the registry
+            const registry = createRegistry(1337);
+            registry.versions.unshift({ version: 0, address: await legacy.getAddress(), abi: LEGACY_ABI, blockNumber: 0 });
+            const mixed = [...deployments, ...connectDeployments(registry, ethers.provider)];
+
+            const { version, contract } = await findSwapDeployment(mixed, legacySwapId);
+            expect(version).to.equal(0);
+
+            const swap = await readSwap(contract, legacySwapId);
+            expect(swap.participant).to.equal(participant.address);
+            expect(swap.amount).to.equal(amount);
+            expect(swap.timelocks.cancellation).to.equal(timelock);
+            expect(swap.protocolFeeBps).to.equal(0n);
+            expect(await readStage(contract, legacySwapId)).to.equal(1);
+
+            // Later versions read the same way
+            for (const swapId of [oldSwapId, newSwapId]) {
+                const current = await readSwap((await findSwapDeployment(mixed, swapId)).contract, swapId);
+                expect(current.timelocks.cancellation).to.equal(timelocks.cancellation);
+                expect(current.withdrawn).to.be.false;
+            }
+            expect(await readStage(stored, oldSwapId)).to.equal(Number(await stored.getStage(oldSwapId)));
+            expect(await readStage(upgraded, newSwapId)).to.equal(
+                Number(await upgraded.getStage(newSwapId, (await fetchSwapRecord(upgraded, newSwapId)).record))
+            );
+
+            await time.increaseTo(timelock);
+            expect(await readStage(contract, legacySwapId)).to.equal(3);
+
+            const offers = await fetchOpenOffersFromDeployments(mixed);
+            const legacyOffer = offers.find(({ swapId }) => swapId === legacySwapId);
+            expect(legacyOffer.version).to.equal(0);
+            expect(legacyOffer.timelocks.cancellation).to.equal(timelock);
+            expect(legacyOffer.parts).to.equal(1n);
+        });
+    });
+
+    describe("View Functions", function () {
+        let swapId, amount;
+
+        beforeEach(async function () {
+            amount = ethers.parseEther("1");
+
+            swapId = await nextSwapId(atomicSwap, initiator, participant.address, amount, hashedSecret, timelocks);
+            await atomicSwap.connect(initiator).initiateSwap(
+                swapParams({ amount }), { value: amount }
+            );
         });
 
         it("Should check if swap is withdrawable", async function () {
-            expect(await atomicSwap.isWithdrawable(swapId, secret)).to.be.true;
-            expect(await atomicSwap.isWithdrawable(swapId, ethers.randomBytes(32))).to.be.false;
+            expect(await atomicSwap.isWithdrawable(swapId, await record(swapId), secret)).to.be.true;
+            expect(await atomicSwap.isWithdrawable(swapId, await record(swapId), ethers.randomBytes(32))).to.be.false;
 
             // After timelock expires
             await time.increaseTo(timelock + 1);
-            expect(await atomicSwap.isWithdrawable(swapId, secret)).to.be.false;
+            expect(await atomicSwap.isWithdrawable(swapId, await record(swapId), secret)).to.be.false;
         });
 
         it("Should check if swap is refundable", async function () {
-            expect(await atomicSwap.isRefundable(swapId)).to.be.false;
+            expect(await atomicSwap.isRefundable(swapId, await record(swapId))).to.be.false;
 
             // After timelock expires
             await time.increaseTo(timelock + 1);
-            expect(await atomicSwap.isRefundable(swapId)).to.be.true;
+            expect(await atomicSwap.isRefundable(swapId, await record(swapId))).to.be.true;
         });
 
         it("Should get swap details", async function () {
-            const swap = await atomicSwap.getSwap(swapId);
+            const swap = await readSwap(atomicSwap, swapId);
             expect(swap.initiator).to.equal(initiator.address);
             expect(swap.participant).to.equal(participant.address);
             expect(swap.token).to.equal(ethers.ZeroAddress);
             expect(swap.amount).to.equal(amount);
             expect(swap.hashedSecret).to.equal(hashedSecret);
-            expect(swap.timelock).to.equal(timelock);
+            expect(swap.timelocks.cancellation).to.equal(timelock);
+            expect(swap.timelocks.publicWithdrawal).to.equal(timelocks.publicWithdrawal);
+            expect(swap.timelocks.publicCancellation).to.equal(timelocks.publicCancellation);
             expect(swap.withdrawn).to.be.false;
             expect(swap.refunded).to.be.false;
         });
 
         it("Should fail to get non-existent swap", async function () {
             const nonExistentSwapId = ethers.randomBytes(32);
+            expect((await atomicSwap.swapStates(nonExistentSwapId)).status).to.equal(SWAP_STATUS.none);
             await expect(
-                atomicSwap.getSwap(nonExistentSwapId)
+                atomicSwap.getStage(nonExistentSwapId, await record(swapId))
             ).to.be.revertedWith("Swap does not exist");
         });
     });
@@ -1,7 +1,11 @@
 const BitcoinAtomicSwap = require('../bitcoin/atomicSwap');
+const { estimateVsize, estimateFee, dustLimit, getFeeRate, escalateFeeRate } = require('../bitcoin/fees');
 const bitcoin = require('bitcoinjs-lib');
 const { expect } = require('chai');
 const crypto = require('crypto');
+const { ethers } = require('ethers');
+const ecc = require('tiny-secp256k1');
+const { tapleafHash, rootHashFromPath, tweakKey } = require('bitcoinjs-lib/src/payments/bip341');
 
 describe('BitcoinAtomicSwap', function () {
     let bitcoinSwap;
@@ -55,6 +59,33 @@ describe('BitcoinAtomicSwap', function () {
         });
     });
 
+    describe('Partial Fill Secrets', function () {
+        it('Should generate a secret set with a proof for every part', function () {
+            const { secrets, hashedSecrets, merkleRoot, proofs } = bitcoinSwap.generateSecretSet(5);
+            
+            expect(secrets).to.have.lengthOf(5);
+            expect(hashedSecrets).to.have.lengthOf(5);
+            expect(proofs).to.have.lengthOf(5);
+            expect(merkleRoot).to.have.lengthOf(64);
+            
+            secrets.forEach((partSecret, index) => {
+                expect(bitcoinSwap.verifySecret(partSecret, hashedSecrets[index])).to.be.true;
+                expect(bitcoinSwap.verifyPartSecret(partSecret, index, proofs[index], merkleRoot)).to.be.true;
+            });
+        });
+
+        it('Should reject a secret proven at the wrong index', function () {
+            const { secrets, merkleRoot, proofs } = bitcoinSwap.generateSecretSet(4);
+            
+            expect(bitcoinSwap.verifyPartSecret(secrets[0], 1, proofs[1], merkleRoot)).to.be.false;
+        });
+
+        it('Should reject invalid part counts', function () {
+            expect(() => bitcoinSwap.generateSecretSet(1)).to.throw();
+            expect(() => bitcoinSwap.generateSecretSet(257)).to.throw();
+        });
+    });
+
     describe('Atomic Swap Script', function () {
         it('Should create valid atomic swap script', function () {
             const timelock = Math.floor(Date.now() / 1000) + 3600; // 1 hour from now
@@ -85,6 +116,601 @@ describe('BitcoinAtomicSwap', function () {
             expect(address).to.be.a('string');
             expect(address).to.match(/^(2|tb1)/); // Testnet address pattern
         });
+
+        it('Should check the hashlock with the opcode of the chosen algorithm', function () {
+            const timelock = Math.floor(Date.now() / 1000) + 3600;
+            const secretBuffer = Buffer.from(secret, 'hex');
+
+            for (const [algorithm, opcode] of [
+                ['sha256', bitcoin.opcodes.OP_SHA256],
+                ['hash160', bitcoin.opcodes.OP_HASH160],
+                ['hash256', bitcoin.opcodes.OP_HASH256]
+            ]) {
+                const hashlock = bitcoinSwap.hashSecret(secretBuffer, algorithm).toString('hex');
+                const script = bitcoinSwap.createAtomicSwapScript(
+                    hashlock,
+                    timelock,
+                    recipientKeyPair.publicKey.toString('hex'),
+                    senderKeyPair.publicKey.toString('hex'),
+                    algorithm
+                );
+                const chunks = bitcoin.script.decompile(script);
+
+                expect(chunks[1]).to.equal(opcode);
+                expect(chunks[2].toString('hex')).to.equal(hashlock);
+                expect(bitcoinSwap.verifySecret(secret, hashlock, algorithm)).to.be.true;
+            }
+        });
+
+        it('Should reject hash algorithms Bitcoin script cannot verify', function () {
+            expect(() => bitcoinSwap.createAtomicSwapScript(
+                hashedSecret,
+                Math.floor(Date.now() / 1000) + 3600,
+                recipientKeyPair.publicKey.toString('hex'),
+                senderKeyPair.publicKey.toString('hex'),
+                'keccak256'
+            )).to.throw("can't be verified in Bitcoin script");
+
+            // A 32-byte hashlock can't be a HASH160 digest
+            expect(() => bitcoinSwap.createAtomicSwapScript(
+                hashedSecret,
+                Math.floor(Date.now() / 1000) + 3600,
+                recipientKeyPair.publicKey.toString('hex'),
+                senderKeyPair.publicKey.toString('hex'),
+                'hash160'
+            )).to.throw('Invalid hash160 hashed secret length');
+        });
+    });
+
+    describe('SegWit HTLC Outputs', function () {
+        let recipientPrivKey, senderPrivKey, script, timelock, destination;
+
+        beforeEach(function () {
+            recipientPrivKey = crypto.randomBytes(32);
+            senderPrivKey = crypto.randomBytes(32);
+            timelock = Math.floor(Date.now() / 1000) + 3600;
+            script = bitcoinSwap.createAtomicSwapScript(
+                hashedSecret,
+                timelock,
+                bitcoinSwap.createSigner(recipientPrivKey).publicKey.toString('hex'),
+                bitcoinSwap.createSigner(senderPrivKey).publicKey.toString('hex')
+            );
+            destination = bitcoinSwap.createSwapAddress(script, 'p2wsh');
+        });
+
+        // Public key that produced a DER signature over a sighash
+        const recoverSigner = (hash, derSignature) => {
+            const { signature } = bitcoin.script.signature.decode(derSignature);
+            const sig = { r: '0x' + signature.slice(0, 32).toString('hex'), s: '0x' + signature.slice(32).toString('hex') };
+            return [27, 28].map(v => ethers.SigningKey.computePublicKey(
+                ethers.SigningKey.recoverPublicKey(hash, { ...sig, v }), true
+            ).slice(2));
+        };
+
+        it('Should create P2WSH and P2SH-P2WSH addresses', function () {
+            const p2wsh = bitcoin.payments.p2wsh({ redeem: { output: script }, network: bitcoin.networks.testnet });
+
+            expect(bitcoinSwap.createSwapAddress(script, 'p2wsh')).to.equal(p2wsh.address).and.match(/^tb1q/);
+            expect(bitcoinSwap.createSwapAddress(script, 'p2sh-p2wsh')).to.equal(
+                bitcoin.payments.p2sh({ redeem: p2wsh, network: bitcoin.networks.testnet }).address
+            ).and.match(/^2/);
+            expect(bitcoinSwap.createSwapAddress(script)).to.equal(p2wsh.address);
+            expect(bitcoinSwap.createSwapAddress(script, 'p2sh')).to.equal(bitcoinSwap.createP2SHAddress(script));
+            expect(() => bitcoinSwap.createSwapAddress(script, 'p2tr')).to.throw('Unknown output type');
+        });
+
+        it('Should claim a P2WSH output with the witness [sig, secret, 1, script]', function () {
+            const tx = bitcoinSwap.createWithdrawalTransaction(
+                'ab'.repeat(32), 0, script, secret, destination, 100000, recipientPrivKey, { outputType: 'p2wsh' }
+            );
+            const [signature, revealed, branch, witnessScript] = tx.ins[0].witness;
+
+            expect(tx.ins[0].witness).to.have.lengthOf(4);
+            expect(tx.ins[0].script).to.have.lengthOf(0);
+            expect(revealed.toString('hex')).to.equal(secret);
+            expect(branch.toString('hex')).to.equal('01');
+            expect(witnessScript.equals(script)).to.be.true;
+
+            const sighash = tx.hashForWitnessV0(0, script, 100000, bitcoin.Transaction.SIGHASH_ALL);
+            expect(recoverSigner(sighash, signature)).to.include(
+                bitcoinSwap.createSigner(recipientPrivKey).publicKey.toString('hex')
+            );
+            expect(bitcoinSwap.extractSecretFromTx(tx.toHex())).to.equal(secret);
+        });
+
+        it('Should refund a P2WSH output after the timelock', function () {
+            const tx = bitcoinSwap.createRefundTransaction(
+                'ab'.repeat(32), 0, script, destination, 100000, senderPrivKey, timelock, { outputType: 'p2wsh' }
+            );
+
+            expect(tx.locktime).to.equal(timelock);
+            expect(tx.ins[0].sequence).to.equal(BitcoinAtomicSwap.RBF_SEQUENCE);
+            expect(tx.ins[0].witness).to.have.lengthOf(3);
+            expect(tx.ins[0].witness[1]).to.have.lengthOf(0); // OP_FALSE selects the timelock branch
+            expect(() => bitcoinSwap.extractSecretFromTx(tx.toHex())).to.throw('Secret not found');
+        });
+
+        it('Should claim a P2SH-P2WSH output with the witness program in the scriptSig', function () {
+            const tx = bitcoinSwap.createWithdrawalTransaction(
+                'ab'.repeat(32), 0, script, secret, destination, 100000, recipientPrivKey, { outputType: 'p2sh-p2wsh' }
+            );
+            const p2wsh = bitcoin.payments.p2wsh({ redeem: { output: script }, network: bitcoin.networks.testnet });
+
+            expect(bitcoin.script.decompile(tx.ins[0].script)[0].equals(p2wsh.output)).to.be.true;
+            expect(tx.ins[0].witness).to.have.lengthOf(4);
+            expect(bitcoinSwap.extractSecretFromTx(tx.toHex())).to.equal(secret);
+        });
+
+        it('Should spend a P2WSH output when no output type is given', function () {
+            const claim = bitcoinSwap.createWithdrawalTransaction(
+                'ab'.repeat(32), 0, script, secret, destination, 100000, recipientPrivKey
+            );
+            const refund = bitcoinSwap.createRefundTransaction(
+                'ab'.repeat(32), 0, script, destination, 100000, senderPrivKey, timelock
+            );
+
+            for (const tx of [claim, refund]) {
+                expect(tx.ins[0].script).to.have.lengthOf(0);
+                expect(tx.ins[0].witness[tx.ins[0].witness.length - 1].equals(script)).to.be.true;
+            }
+        });
+
+        it('Should need the funding transaction to spend a legacy P2SH output', function () {
+            expect(() => bitcoinSwap.createWithdrawalTransaction(
+                'ab'.repeat(32), 0, script, secret, destination, 100000, recipientPrivKey, { outputType: 'p2sh' }
+            )).to.throw('fundingTxHex is required');
+
+            const funding = new bitcoin.Transaction();
+            funding.addInput(Buffer.alloc(32), 0);
+            funding.addOutput(bitcoinSwap.createSwapPayment(script, 'p2sh').output, 100000);
+            const tx = bitcoinSwap.createWithdrawalTransaction(
+                funding.getId(), 0, script, secret, destination, 100000, recipientPrivKey,
+                { outputType: 'p2sh', fundingTxHex: funding.toHex() }
+            );
+
+            expect(tx.ins[0].witness).to.have.lengthOf(0);
+            expect(bitcoinSwap.extractSecretFromTx(tx.toHex())).to.equal(secret);
+        });
+    });
+
+    describe('Taproot HTLC Outputs', function () {
+        let recipientPrivKey, senderPrivKey, leaves, timelock, destination;
+
+        beforeEach(function () {
+            recipientPrivKey = crypto.randomBytes(32);
+            senderPrivKey = crypto.randomBytes(32);
+            timelock = Math.floor(Date.now() / 1000) + 3600;
+            leaves = bitcoinSwap.createTaprootSwapScripts(
+                hashedSecret,
+                timelock,
+                bitcoinSwap.createSigner(recipientPrivKey).publicKey.toString('hex'),
+                bitcoinSwap.createSigner(senderPrivKey).publicKey.toString('hex')
+            );
+            destination = bitcoinSwap.createTaprootSwapAddress(leaves);
+        });
+
+        // BIP341 wallet test vectors, as in bitcoinjs-lib's p2tr fixtures
+        it('Should match the BIP341 test vectors', function () {
+            const keyOnly = bitcoin.payments.p2tr({
+                internalPubkey: Buffer.from('d6889cb081036e0faefa3a35157ad71086b123b2b144b649798b494c300a961d', 'hex')
+            });
+            expect(keyOnly.pubkey.toString('hex')).to.equal('53a1f6e454df1aa2776a2814a721372d6258050de330b3c6d10ee8f4e0dda343');
+            expect(keyOnly.address).to.equal('bc1p2wsldez5mud2yam29q22wgfh9439spgduvct83k3pm50fcxa5dps59h4z5');
+
+            const singleLeaf = bitcoin.payments.p2tr({
+                internalPubkey: Buffer.from('187791b6f712a8ea41c8ecdd0ee77fab3e85263b37e1ec18a3651926b3a6cf27', 'hex'),
+                scriptTree: { output: Buffer.from('20d85a959b0290bf19bb89ed43c916be835475d013da4b362117393e25a48229b8ac', 'hex') }
+            });
+            expect(singleLeaf.pubkey.toString('hex')).to.equal('147c9c57132f6e7ecddba9800bb0c4449251c92a1e60371ee77557b6620f3ea3');
+            expect(singleLeaf.address).to.equal('bc1pz37fc4cn9ah8anwm4xqqhvxygjf9rjf2resrw8h8w4tmvcs0863sa2e586');
+        });
+
+        it('Should give each leaf a control block that proves it against the output key', function () {
+            for (const leaf of [leaves.claim, leaves.refund]) {
+                const payment = bitcoinSwap.createTaprootSwapPayment(leaves, undefined, leaf);
+                const controlBlock = payment.witness[payment.witness.length - 1];
+                const root = rootHashFromPath(controlBlock, tapleafHash({ output: leaf }));
+
+                expect(tweakKey(BitcoinAtomicSwap.NUMS_INTERNAL_KEY, root).x.equals(payment.pubkey)).to.be.true;
+            }
+        });
+
+        it('Should use the BIP341 NUMS point as the default internal key', function () {
+            const generator = Buffer.from(ecc.pointFromScalar(Buffer.from('01'.padStart(64, '0'), 'hex'), false));
+
+            expect(BitcoinAtomicSwap.NUMS_INTERNAL_KEY.toString('hex')).to.equal(
+                crypto.createHash('sha256').update(generator).digest('hex')
+            );
+            expect(destination).to.equal(bitcoin.payments.p2tr({
+                internalPubkey: BitcoinAtomicSwap.NUMS_INTERNAL_KEY,
+                scriptTree: [{ output: leaves.claim }, { output: leaves.refund }],
+                network: bitcoin.networks.testnet
+            }).address).and.match(/^tb1p/);
+        });
+
+        it('Should commit to a MuSig internal key for a key-path close', function () {
+            const aggregateKey = bitcoinSwap.toXOnly(bitcoinSwap.createSchnorrSigner(crypto.randomBytes(32)).publicKey);
+            const payment = bitcoinSwap.createTaprootSwapPayment(leaves, aggregateKey);
+
+            expect(payment.internalPubkey.equals(aggregateKey)).to.be.true;
+            expect(payment.address).to.not.equal(destination);
+        });
+
+        it('Should build the claim and refund leaves with x-only keys', function () {
+            const claim = bitcoin.script.decompile(leaves.claim);
+            const refund = bitcoin.script.decompile(leaves.refund);
+
+            expect(claim[0]).to.equal(bitcoin.opcodes.OP_SHA256);
+            expect(claim[1].toString('hex')).to.equal(hashedSecret);
+            expect(claim[3]).to.have.lengthOf(32);
+            expect(bitcoin.script.number.decode(refund[0])).to.equal(timelock);
+            expect(refund[1]).to.equal(bitcoin.opcodes.OP_CHECKLOCKTIMEVERIFY);
+            expect(refund[3]).to.have.lengthOf(32);
+            expect(() => bitcoinSwap.toXOnly('02abcd')).to.throw('Invalid public key length');
+        });
+
+        it('Should claim through the claim leaf with the witness [sig, secret, leaf, controlBlock]', function () {
+            const tx = bitcoinSwap.createTaprootWithdrawalTransaction(
+                'ab'.repeat(32), 0, leaves, secret, destination, 100000, recipientPrivKey
+            );
+            const [signature, revealed, leaf, controlBlock] = tx.ins[0].witness;
+            const prevout = bitcoinSwap.createTaprootSwapPayment(leaves).output;
+
+            expect(tx.ins[0].witness).to.have.lengthOf(4);
+            expect(tx.ins[0].script).to.have.lengthOf(0);
+            expect(revealed.toString('hex')).to.equal(secret);
+            expect(leaf.equals(leaves.claim)).to.be.true;
+            // Leaf version with the parity bit, internal key, and the refund leaf's hash as the only sibling
+            expect(controlBlock).to.have.lengthOf(65);
+            expect(controlBlock.subarray(1, 33).equals(BitcoinAtomicSwap.NUMS_INTERNAL_KEY)).to.be.true;
+
+            const sighash = tx.hashForWitnessV1(
+                0, [prevout], [100000], bitcoin.Transaction.SIGHASH_DEFAULT,
+                tapleafHash({ output: leaves.claim })
+            );
+            const recipientKey = bitcoinSwap.toXOnly(bitcoinSwap.createSchnorrSigner(recipientPrivKey).publicKey);
+            expect(ecc.verifySchnorr(sighash, recipientKey, signature)).to.be.true;
+            expect(bitcoinSwap.extractSecretFromTx(tx.toHex())).to.equal(secret);
+        });
+
+        it('Should refund through the refund leaf after the timelock', function () {
+            const tx = bitcoinSwap.createTaprootRefundTransaction(
+                'ab'.repeat(32), 0, leaves, destination, 100000, senderPrivKey, timelock
+            );
+            const [signature, leaf] = tx.ins[0].witness;
+            const prevout = bitcoinSwap.createTaprootSwapPayment(leaves).output;
+
+            expect(tx.locktime).to.equal(timelock);
+            expect(tx.ins[0].sequence).to.equal(BitcoinAtomicSwap.RBF_SEQUENCE);
+            expect(tx.ins[0].witness).to.have.lengthOf(3);
+            expect(leaf.equals(leaves.refund)).to.be.true;
+
+            const sighash = tx.hashForWitnessV1(
+                0, [prevout], [100000], bitcoin.Transaction.SIGHASH_DEFAULT,
+                tapleafHash({ output: leaves.refund })
+            );
+            const senderKey = bitcoinSwap.toXOnly(bitcoinSwap.createSchnorrSigner(senderPrivKey).publicKey);
+            expect(ecc.verifySchnorr(sighash, senderKey, signature)).to.be.true;
+            expect(() => bitcoinSwap.extractSecretFromTx(tx.toHex())).to.throw('Secret not found');
+        });
+    });
+
+    describe('Fee Estimation', function () {
+        let recipientPrivKey, senderPrivKey, script, leaves, timelock, destination;
+
+        beforeEach(function () {
+            recipientPrivKey = crypto.randomBytes(32);
+            senderPrivKey = crypto.randomBytes(32);
+            timelock = Math.floor(Date.now() / 1000) + 3600;
+            const keys = [recipientPrivKey, senderPrivKey].map(key => bitcoinSwap.createSigner(key).publicKey.toString('hex'));
+            script = bitcoinSwap.createAtomicSwapScript(hashedSecret, timelock, ...keys);
+            leaves = bitcoinSwap.createTaprootSwapScripts(hashedSecret, timelock, ...keys);
+            destination = bitcoinSwap.createSwapAddress(script, 'p2wsh');
+        });
+
+        it('Should size standard single-key transactions', function () {
+            expect(estimateVsize([{ type: 'p2pkh' }], ['p2pkh', 'p2pkh'])).to.equal(226);
+            expect(estimateVsize([{ type: 'p2wpkh' }], ['p2wpkh', 'p2wpkh'])).to.equal(141);
+            expect(estimateVsize([{ type: 'p2tr' }], ['p2tr'])).to.equal(111);
+            expect(() => estimateVsize([{ type: 'p2pk' }], ['p2tr'])).to.throw('Unknown input type');
+        });
+
+        it('Should match the vsize of signed HTLC claims and refunds', function () {
+            const funding = new bitcoin.Transaction();
+            funding.addInput(Buffer.alloc(32), 0);
+            funding.addOutput(bitcoinSwap.createSwapPayment(script, 'p2sh').output, 100000);
+
+            for (const outputType of ['p2sh', 'p2wsh', 'p2sh-p2wsh']) {
+                const options = { outputType, fundingTxHex: funding.toHex() };
+                const fundingTxId = outputType === 'p2sh' ? funding.getId() : 'ab'.repeat(32);
+                const claim = bitcoinSwap.createWithdrawalTransaction(
+                    fundingTxId, 0, script, secret, destination, 100000, recipientPrivKey, options
+                );
+                const refund = bitcoinSwap.createRefundTransaction(
+                    fundingTxId, 0, script, destination, 100000, senderPrivKey, timelock, options
+                );
+
+                // DER signatures are usually 71 or 72 bytes, and the estimate assumes 72
+                for (const [tx, branch] of [[claim, 'claim'], [refund, 'refund']]) {
+                    const estimate = estimateVsize([{ type: outputType, script, branch }], ['p2wsh']);
+                    expect(tx.virtualSize()).to.be.within(estimate - 2, estimate);
+                    expect(100000 - tx.outs[0].value).to.equal(estimate * BitcoinAtomicSwap.DEFAULT_FEE_RATE);
+                }
+            }
+        });
+
+        it('Should match the vsize of Taproot script-path spends exactly', function () {
+            const claim = bitcoinSwap.createTaprootWithdrawalTransaction(
+                'ab'.repeat(32), 0, leaves, secret, destination, 100000, recipientPrivKey
+            );
+            const refund = bitcoinSwap.createTaprootRefundTransaction(
+                'ab'.repeat(32), 0, leaves, destination, 100000, senderPrivKey, timelock
+            );
+
+            expect(claim.virtualSize()).to.equal(estimateVsize([{ type: 'p2tr', leaf: leaves.claim }], ['p2wsh']));
+            expect(refund.virtualSize()).to.equal(
+                estimateVsize([{ type: 'p2tr', leaf: leaves.refund, branch: 'refund' }], ['p2wsh'])
+            );
+        });
+
+        it('Should pay the caller-chosen fee rate', function () {
+            const tx = bitcoinSwap.createWithdrawalTransaction(
+                'ab'.repeat(32), 0, script, secret, destination, 100000, recipientPrivKey,
+                { outputType: 'p2wsh', feeRate: 2.5 }
+            );
+
+            expect(100000 - tx.outs[0].value).to.equal(
+                estimateFee([{ type: 'p2wsh', script }], ['p2wsh'], 2.5)
+            );
+            expect(() => estimateFee([{ type: 'p2wpkh' }], ['p2wpkh'], 0)).to.throw('Fee rate must be positive');
+        });
+
+        it('Should refuse claim and refund outputs below the dust limit', function () {
+            const amount = estimateFee([{ type: 'p2wsh', script }], ['p2wsh'], 10) + dustLimit('p2wsh') - 1;
+
+            expect(() => bitcoinSwap.createWithdrawalTransaction(
+                'ab'.repeat(32), 0, script, secret, destination, amount, recipientPrivKey, { outputType: 'p2wsh' }
+            )).to.throw('below the p2wsh dust limit of 330');
+            expect(() => bitcoinSwap.createTaprootRefundTransaction(
+                'ab'.repeat(32), 0, leaves, destination, 1000, senderPrivKey, timelock
+            )).to.throw('dust limit');
+            expect(bitcoinSwap.createWithdrawalTransaction(
+                'ab'.repeat(32), 0, script, secret, destination, amount + 1, recipientPrivKey, { outputType: 'p2wsh' }
+            ).outs[0].value).to.equal(dustLimit('p2wsh'));
+        });
+
+        it('Should size funding transactions by input type and drop dust change', function () {
+            const wallet = bitcoin.payments.p2wpkh({
+                pubkey: bitcoinSwap.createSigner(senderPrivKey).publicKey,
+                network: bitcoin.networks.testnet
+            });
+            const utxo = { txid: 'cd'.repeat(32), vout: 1, scriptPubKey: wallet.output.toString('hex'), value: 200000 };
+
+            const psbt = bitcoinSwap.createFundingTransaction([utxo], destination, 100000, wallet.address, 5);
+            const fee = estimateFee([{ type: 'p2wpkh' }], ['p2wsh', 'p2wpkh'], 5);
+            expect(psbt.txOutputs[1].value).to.equal(200000 - 100000 - fee);
+
+            // Change below dust is left to the miner
+            const tight = bitcoinSwap.createFundingTransaction([utxo], destination, 200000 - fee - 100, wallet.address, 5);
+            expect(tight.txOutputs).to.have.lengthOf(1);
+
+            expect(() => bitcoinSwap.createFundingTransaction([utxo], destination, 199990, wallet.address, 5))
+                .to.throw('Insufficient funds');
+        });
+    });
+
+    describe('Relative Timelocks', function () {
+        let recipientPrivKey, senderPrivKey, keys, destination;
+
+        beforeEach(function () {
+            recipientPrivKey = crypto.randomBytes(32);
+            senderPrivKey = crypto.randomBytes(32);
+            keys = [recipientPrivKey, senderPrivKey].map(key => bitcoinSwap.createSigner(key).publicKey.toString('hex'));
+            destination = bitcoinSwap.createSwapAddress(
+                bitcoinSwap.createAtomicSwapScript(hashedSecret, 500000, ...keys), 'p2wsh'
+            );
+        });
+
+        it('Should encode BIP68 block and time locks', function () {
+            expect(bitcoinSwap.encodeRelativeTimelock({ blocks: 144 })).to.equal(144);
+            expect(bitcoinSwap.encodeRelativeTimelock({ seconds: 512 * 10 })).to.equal(0x0040000a);
+            expect(bitcoinSwap.decodeRelativeTimelock(0x0040000a)).to.deep.equal({ seconds: 5120 });
+            expect(bitcoinSwap.decodeRelativeTimelock(144)).to.deep.equal({ blocks: 144 });
+
+            expect(() => bitcoinSwap.encodeRelativeTimelock({ seconds: 1000 })).to.throw('multiple of 512');
+            expect(() => bitcoinSwap.encodeRelativeTimelock({ blocks: 65536 })).to.throw('between 1 and 65535');
+            expect(() => bitcoinSwap.encodeRelativeTimelock({ blocks: 1, seconds: 512 })).to.throw('either blocks or seconds');
+            expect(() => bitcoinSwap.decodeRelativeTimelock(0x80000090)).to.throw('Invalid relative timelock');
+        });
+
+        it('Should check the refund branch with OP_CHECKSEQUENCEVERIFY', function () {
+            const sequence = bitcoinSwap.encodeRelativeTimelock({ blocks: 144 });
+            const script = bitcoin.script.decompile(
+                bitcoinSwap.createAtomicSwapScript(hashedSecret, sequence, ...keys, 'sha256', 'relative')
+            );
+            const refundLeaf = bitcoin.script.decompile(
+                bitcoinSwap.createTaprootSwapScripts(hashedSecret, sequence, ...keys, 'sha256', 'relative').refund
+            );
+
+            expect(script[7].equals(bitcoin.script.number.encode(144))).to.be.true;
+            expect(script[8]).to.equal(bitcoin.opcodes.OP_CHECKSEQUENCEVERIFY);
+            expect(refundLeaf[1]).to.equal(bitcoin.opcodes.OP_CHECKSEQUENCEVERIFY);
+            expect(() => bitcoinSwap.createAtomicSwapScript(hashedSecret, 0x80000090, ...keys, 'sha256', 'relative'))
+                .to.throw('Invalid relative timelock');
+            expect(() => bitcoinSwap.createAtomicSwapScript(hashedSecret, 144, ...keys, 'sha256', 'sequence'))
+                .to.throw('Unknown timelock type');
+        });
+
+        it('Should refund with the lock in nSequence of a version 2 transaction', function () {
+            const sequence = bitcoinSwap.encodeRelativeTimelock({ seconds: 512 * 20 });
+            const script = bitcoinSwap.createAtomicSwapScript(hashedSecret, sequence, ...keys, 'sha256', 'relative');
+            const tx = bitcoinSwap.createRefundTransaction(
+                'ab'.repeat(32), 0, script, destination, 100000, senderPrivKey, sequence,
+                { outputType: 'p2wsh', timelockType: 'relative' }
+            );
+
+            expect(tx.version).to.equal(2);
+            expect(tx.locktime).to.equal(0);
+            expect(tx.ins[0].sequence).to.equal(sequence);
+            expect(tx.ins[0].witness[2].equals(script)).to.be.true;
+        });
+
+        it('Should refund a relative Taproot leaf the same way', function () {
+            const sequence = bitcoinSwap.encodeRelativeTimelock({ blocks: 6 });
+            const leaves = bitcoinSwap.createTaprootSwapScripts(hashedSecret, sequence, ...keys, 'sha256', 'relative');
+            const tx = bitcoinSwap.createTaprootRefundTransaction(
+                'ab'.repeat(32), 0, leaves, destination, 100000, senderPrivKey, sequence, { timelockType: 'relative' }
+            );
+
+            expect(tx.version).to.equal(2);
+            expect(tx.locktime).to.equal(0);
+            expect(tx.ins[0].sequence).to.equal(6);
+            expect(tx.ins[0].witness[1].equals(leaves.refund)).to.be.true;
+        });
+
+        it('Should convert an Ethereum timelock into a relative lock on the safe side', function () {
+            const now = 1700000000;
+            const ethTimelock = now + 6 * 3600;
+
+            // Outlasting the Ethereum leg: even if funding confirms at once, refund is after it plus the margin
+            const after = bitcoinSwap.decodeRelativeTimelock(
+                bitcoinSwap.relativeTimelockFromEthereum(BigInt(ethTimelock), { now, margin: 3600 })
+            );
+            expect(after.seconds).to.be.at.least(7 * 3600).and.below(7 * 3600 + 512);
+
+            // Expiring first: confirming within the allowed delay still refunds before the Ethereum leg minus the margin
+            const before = bitcoinSwap.decodeRelativeTimelock(bitcoinSwap.relativeTimelockFromEthereum(ethTimelock, {
+                now, order: 'before', margin: 3600, maxConfirmationDelay: 1800
+            }));
+            expect(now + 1800 + before.seconds).to.be.at.most(ethTimelock - 3600);
+
+            expect(bitcoinSwap.relativeTimelockFromEthereum(ethTimelock, { now, margin: 0, blockInterval: 600 }))
+                .to.equal(36);
+            expect(() => bitcoinSwap.relativeTimelockFromEthereum(now + 3600, { now, order: 'before' }))
+                .to.throw('leaves no room');
+            expect(() => bitcoinSwap.relativeTimelockFromEthereum(ethTimelock, { now, order: 'sideways' }))
+                .to.throw('Unknown timelock order');
+        });
+    });
+
+    describe('Fee Bumping', function () {
+        let recipientPrivKey, senderPrivKey, script, leaves, timelock, wallet;
+
+        beforeEach(function () {
+            recipientPrivKey = crypto.randomBytes(32);
+            senderPrivKey = crypto.randomBytes(32);
+            timelock = Math.floor(Date.now() / 1000) + 3600;
+            const keys = [recipientPrivKey, senderPrivKey].map(key => bitcoinSwap.createSigner(key).publicKey.toString('hex'));
+            script = bitcoinSwap.createAtomicSwapScript(hashedSecret, timelock, ...keys);
+            leaves = bitcoinSwap.createTaprootSwapScripts(hashedSecret, timelock, ...keys);
+            wallet = bitcoin.payments.p2wpkh({
+                pubkey: bitcoinSwap.createSigner(recipientPrivKey).publicKey,
+                network: bitcoin.networks.testnet
+            });
+        });
+
+        const claim = (feeRate, toAddress = wallet.address) => bitcoinSwap.createWithdrawalTransaction(
+            'ab'.repeat(32), 0, script, secret, toAddress, 100000, recipientPrivKey, { outputType: 'p2wsh', feeRate }
+        );
+
+        it('Should signal replace-by-fee on claims', function () {
+            const taprootClaim = bitcoinSwap.createTaprootWithdrawalTransaction(
+                'ab'.repeat(32), 0, leaves, secret, wallet.address, 100000, recipientPrivKey
+            );
+
+            expect(claim(5).ins[0].sequence).to.equal(BitcoinAtomicSwap.RBF_SEQUENCE);
+            expect(taprootClaim.ins[0].sequence).to.equal(BitcoinAtomicSwap.RBF_SEQUENCE);
+        });
+
+        it('Should rebuild a claim that pays for replacing the original', function () {
+            const original = claim(5);
+            const feeRate = bitcoinSwap.getReplacementFeeRate(original.toHex(), 100000, 5.5);
+            const replacement = claim(feeRate);
+
+            expect(feeRate).to.be.at.least(6);
+            expect(replacement.getId()).to.not.equal(original.getId());
+            expect(original.outs[0].value - replacement.outs[0].value).to.be.at.least(replacement.virtualSize());
+            expect(bitcoinSwap.getReplacementFeeRate(original.toHex(), 100000, 40)).to.equal(40);
+
+            original.ins[0].sequence = 0xffffffff;
+            expect(() => bitcoinSwap.getReplacementFeeRate(original.toHex(), 100000, 40))
+                .to.throw('does not signal replace-by-fee');
+        });
+
+        it('Should lift a claim to the package fee rate from its P2WPKH output', function () {
+            const parent = claim(2);
+            const child = bitcoinSwap.createChildPaysForParentTransaction(
+                parent.toHex(), 100000, wallet.address, recipientPrivKey, 20
+            );
+            const parentFee = 100000 - parent.outs[0].value;
+            const childFee = parent.outs[0].value - child.outs[0].value;
+
+            expect(Buffer.from(child.ins[0].hash).reverse().toString('hex')).to.equal(parent.getId());
+            expect((parentFee + childFee) / (parent.virtualSize() + child.virtualSize())).to.be.at.least(20);
+
+            const [derSignature, pubkey] = child.ins[0].witness;
+            const scriptCode = bitcoin.payments.p2pkh({ pubkey }).output;
+            const sighash = child.hashForWitnessV0(0, scriptCode, parent.outs[0].value, bitcoin.Transaction.SIGHASH_ALL);
+            expect(ecc.verify(sighash, pubkey, bitcoin.script.signature.decode(derSignature).signature)).to.be.true;
+        });
+
+        it('Should spend a key-path P2TR claim output with the tweaked key', function () {
+            const internalKey = bitcoinSwap.toXOnly(bitcoinSwap.createSchnorrSigner(recipientPrivKey).publicKey);
+            const taprootWallet = bitcoin.payments.p2tr({ internalPubkey: internalKey, network: bitcoin.networks.testnet });
+            const parent = claim(2, taprootWallet.address);
+            const child = bitcoinSwap.createChildPaysForParentTransaction(
+                parent.toHex(), 100000, taprootWallet.address, recipientPrivKey, 20
+            );
+
+            const sighash = child.hashForWitnessV1(
+                0, [parent.outs[0].script], [parent.outs[0].value], bitcoin.Transaction.SIGHASH_DEFAULT
+            );
+            expect(ecc.verifySchnorr(sighash, taprootWallet.pubkey, child.ins[0].witness[0])).to.be.true;
+            expect(child.virtualSize()).to.equal(estimateVsize([{ type: 'p2tr' }], ['p2tr']));
+        });
+
+        it('Should only pay its own relay fee when the parent already pays enough', function () {
+            const parent = claim(30);
+            const child = bitcoinSwap.createChildPaysForParentTransaction(
+                parent.toHex(), 100000, wallet.address, recipientPrivKey, 10
+            );
+
+            expect(getFeeRate(child, parent.outs[0].value)).to.be.within(1, 1.1);
+            expect(() => bitcoinSwap.createChildPaysForParentTransaction(
+                parent.toHex(), 100000, bitcoinSwap.createSwapAddress(script, 'p2wsh'), recipientPrivKey, 10, 1
+            )).to.throw('Parent has no output 1');
+        });
+
+        it('Should tell a replacement from a child when measuring a fee bump', function () {
+            const original = claim(2);
+            const replacement = claim(20);
+            const child = bitcoinSwap.createChildPaysForParentTransaction(
+                original.toHex(), 100000, wallet.address, recipientPrivKey, 20
+            );
+
+            const rbf = bitcoinSwap.getFeeBumpRate(original.toHex(), 100000, replacement.toHex());
+            expect(rbf.method).to.equal('rbf');
+            expect(rbf.feeRate).to.equal(getFeeRate(replacement, 100000));
+
+            const cpfp = bitcoinSwap.getFeeBumpRate(original.toHex(), 100000, child.toHex());
+            expect(cpfp.method).to.equal('cpfp');
+            expect(cpfp.feeRate).to.be.at.least(20);
+
+            expect(() => bitcoinSwap.getFeeBumpRate(replacement.toHex(), 100000, child.toHex()))
+                .to.throw('neither replaces nor spends');
+        });
+
+        it('Should escalate the fee rate as the deadline approaches', function () {
+            const policy = { feeRate: 5, maxFeeRate: 125, deadline: 100000, window: 3600 };
+
+            expect(escalateFeeRate({ ...policy, now: 100000 - 7200 })).to.equal(5);
+            expect(escalateFeeRate({ ...policy, now: 100000 - 3600 })).to.equal(5);
+            expect(escalateFeeRate({ ...policy, now: 100000 - 1800 })).to.equal(25);
+            expect(escalateFeeRate({ ...policy, now: 100000 - 600 })).to.be.within(25, 125);
+            expect(escalateFeeRate({ ...policy, now: 100000 })).to.equal(125);
+            expect(escalateFeeRate({ ...policy, now: 100600 })).to.equal(125);
+            expect(() => escalateFeeRate({ ...policy, maxFeeRate: 1 })).to.throw('maxFeeRate at least feeRate');
+        });
     });
 
     describe('Secret Extraction', function () {
@@ -1,5 +1,13 @@
 const { expect } = require('chai');
+const bitcoin = require('bitcoinjs-lib');
 const DogecoinAtomicSwap = require('../dogecoin/atomicSwap');
+const { hashSecret: ethereumHashSecret, toScriptHashlock } = require('../ethereum');
+
+const HASH_OPCODES = {
+    sha256: bitcoin.opcodes.OP_SHA256,
+    hash160: bitcoin.opcodes.OP_HASH160,
+    hash256: bitcoin.opcodes.OP_HASH256
+};
 
 describe('Dogecoin Atomic Swap', function() {
     let dogecoinSwap;
@@ -63,11 +71,11 @@ describe('Dogecoin Atomic Swap', function() {
         it('should create valid HTLC script', function() {
             const timelock = Math.floor(Date.now() / 1000) + 3600; // 1 hour from now
             
-            const script = dogecoinSwap.createAtomicSwapScript(
+            const script = dogecoinSwap.createHTLCScript(
                 hashedSecret,
-                timelock,
+                senderKeyPair.publicKey,
                 recipientKeyPair.publicKey,
-                senderKeyPair.publicKey
+                timelock
             );
             
             expect(script).to.be.instanceOf(Buffer);
@@ -77,19 +85,51 @@ describe('Dogecoin Atomic Swap', function() {
         it('should create P2SH address from script', function() {
             const timelock = Math.floor(Date.now() / 1000) + 3600;
             
-            const script = dogecoinSwap.createAtomicSwapScript(
+            const script = dogecoinSwap.createHTLCScript(
                 hashedSecret,
-                timelock,
+                senderKeyPair.publicKey,
                 recipientKeyPair.publicKey,
-                senderKeyPair.publicKey
+                timelock
             );
             
-            const p2shAddress = dogecoinSwap.createP2SHAddress(script);
+            const p2shAddress = dogecoinSwap.generateP2SHAddress(script);
             
             expect(p2shAddress).to.be.a('string');
             // Testnet P2SH addresses start with '2'
             expect(p2shAddress[0]).to.equal('2');
         });
+
+        for (const hashAlgorithm of ['sha256', 'hash160', 'hash256']) {
+            it(`should lock the claim branch with a ${hashAlgorithm} hashlock`, function() {
+                const timelock = Math.floor(Date.now() / 1000) + 3600;
+                const hashlock = toScriptHashlock(ethereumHashSecret(secret, hashAlgorithm), hashAlgorithm);
+                
+                const script = dogecoinSwap.createHTLCScript(
+                    hashlock,
+                    senderKeyPair.publicKey,
+                    recipientKeyPair.publicKey,
+                    timelock,
+                    hashAlgorithm
+                );
+                const [, hashOpcode, lock, , recipient, , , , , , sender] = bitcoin.script.decompile(script);
+                
+                expect(hashOpcode).to.equal(HASH_OPCODES[hashAlgorithm]);
+                expect(lock.toString('hex')).to.equal(hashlock);
+                expect(lock).to.have.lengthOf(hashAlgorithm === 'hash160' ? 20 : 32);
+                expect(recipient.toString('hex')).to.equal(recipientKeyPair.publicKey);
+                expect(sender.toString('hex')).to.equal(senderKeyPair.publicKey);
+            });
+        }
+
+        it('should reject a hash algorithm Dogecoin script cannot verify', function() {
+            expect(() => dogecoinSwap.createHTLCScript(
+                hashedSecret,
+                senderKeyPair.publicKey,
+                recipientKeyPair.publicKey,
+                Math.floor(Date.now() / 1000) + 3600,
+                'keccak256'
+            )).to.throw("can't be verified in Dogecoin script");
+        });
     });
 
     describe('Amount Conversion', function() {
@@ -0,0 +1,166 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { computeEscrowAddress } = require("../ethereum/escrow");
+
+describe("EscrowFactory", function () {
+    let factory;
+    let initiator, participant, other;
+    let secret, hashedSecret;
+    let amount, safetyDeposit, immutables;
+
+    beforeEach(async function () {
+        [, initiator, participant, other] = await ethers.getSigners();
+
+        const EscrowFactory = await ethers.getContractFactory("EscrowFactory");
+        factory = await EscrowFactory.deploy();
+        await factory.waitForDeployment();
+
+        secret = ethers.randomBytes(32);
+        hashedSecret = ethers.sha256(secret);
+        amount = ethers.parseEther("1");
+        safetyDeposit = ethers.parseEther("0.01");
+
+        const cancellation = (await time.latest()) + 3600;
+        immutables = {
+            initiator: initiator.address,
+            participant: participant.address,
+            token: ethers.ZeroAddress,
+            amount,
+            hashedSecret,
+            safetyDeposit,
+            timelocks: {
+                withdrawal: 0,
+                publicWithdrawal: cancellation - 1800,
+                cancellation,
+                publicCancellation: cancellation + 3600
+            }
+        };
+    });
+
+    const createEscrow = async () => {
+        await factory.connect(initiator).createEscrow(immutables, { value: amount + safetyDeposit });
+        return ethers.getContractAt("Escrow", await factory.addressOfEscrow(immutables));
+    };
+
+    describe("Deployment Address", function () {
+        it("Should deploy the escrow at the address computed off-chain", async function () {
+            const predicted = computeEscrowAddress(await factory.getAddress(), immutables);
+            expect(await factory.implementation()).to.equal(
+                ethers.getCreateAddress({ from: await factory.getAddress(), nonce: 1 })
+            );
+            expect(await factory.addressOfEscrow(immutables)).to.equal(predicted);
+
+            await expect(
+                factory.connect(initiator).createEscrow(immutables, { value: amount + safetyDeposit })
+            ).to.emit(factory, "EscrowCreated");
+
+            expect(await ethers.provider.getBalance(predicted)).to.equal(amount + safetyDeposit);
+        });
+
+        it("Should give each swap its own escrow", async function () {
+            const escrow = await createEscrow();
+            immutables = { ...immutables, hashedSecret: ethers.sha256(ethers.randomBytes(32)) };
+            const second = await createEscrow();
+
+            expect(await second.getAddress()).to.not.equal(await escrow.getAddress());
+            expect(await ethers.provider.getBalance(await escrow.getAddress())).to.equal(amount + safetyDeposit);
+        });
+
+        it("Should fail to create the same escrow twice", async function () {
+            await createEscrow();
+            await expect(
+                factory.connect(initiator).createEscrow(immutables, { value: amount + safetyDeposit })
+            ).to.be.reverted;
+        });
+
+        it("Should fail when called by someone other than the initiator", async function () {
+            await expect(
+                factory.connect(other).createEscrow(immutables, { value: amount + safetyDeposit })
+            ).to.be.revertedWith("Only initiator can create escrow");
+        });
+
+        it("Should fail with incorrect ETH amount", async function () {
+            await expect(
+                factory.connect(initiator).createEscrow(immutables, { value: amount })
+            ).to.be.revertedWith("Incorrect ETH amount");
+        });
+    });
+
+    describe("Settlement", function () {
+        it("Should withdraw to the participant with the correct secret", async function () {
+            const escrow = await createEscrow();
+
+            const tx = escrow.connect(participant).withdraw(secret, immutables);
+            await expect(tx).to.emit(escrow, "EscrowWithdrawn").withArgs(ethers.hexlify(secret));
+            await expect(tx).to.changeEtherBalances(
+                [participant, initiator],
+                [amount, safetyDeposit]
+            );
+        });
+
+        it("Should fail with immutables that don't match the escrow", async function () {
+            const escrow = await createEscrow();
+            const tampered = { ...immutables, participant: other.address };
+
+            await expect(
+                escrow.connect(other).withdraw(secret, tampered)
+            ).to.be.revertedWith("Invalid immutables");
+        });
+
+        it("Should fail to withdraw twice", async function () {
+            const escrow = await createEscrow();
+            await escrow.connect(participant).withdraw(secret, immutables);
+
+            await expect(
+                escrow.connect(participant).withdraw(secret, immutables)
+            ).to.be.revertedWith("Already withdrawn");
+        });
+
+        it("Should refund the initiator after the cancellation timelock", async function () {
+            const escrow = await createEscrow();
+            await time.increaseTo(immutables.timelocks.cancellation);
+
+            const tx = escrow.connect(initiator).refund(immutables);
+            await expect(tx).to.emit(escrow, "EscrowRefunded");
+            await expect(tx).to.changeEtherBalance(initiator, amount + safetyDeposit);
+        });
+
+        it("Should pay the deposit to whoever refunds during public cancellation", async function () {
+            const escrow = await createEscrow();
+            await time.increaseTo(immutables.timelocks.publicCancellation);
+
+            await expect(
+                escrow.connect(other).refund(immutables)
+            ).to.changeEtherBalances([initiator, other], [amount, safetyDeposit]);
+        });
+
+        it("Should credit the payout when the recipient rejects ETH", async function () {
+            const Wallet = await ethers.getContractFactory("MockContractWallet");
+            const wallet = await Wallet.deploy();
+            await wallet.setAccepting(false);
+            immutables = { ...immutables, participant: await wallet.getAddress() };
+            const escrow = await createEscrow();
+            await time.increaseTo(immutables.timelocks.publicWithdrawal);
+
+            await expect(escrow.connect(other).withdraw(secret, immutables))
+                .to.emit(escrow, "BalanceCredited")
+                .withArgs(await wallet.getAddress(), ethers.ZeroAddress, amount);
+
+            await wallet.setAccepting(true);
+            await wallet.execute(
+                await escrow.getAddress(),
+                escrow.interface.encodeFunctionData("claimBalance", [ethers.ZeroAddress, await wallet.getAddress()])
+            );
+            expect(await wallet.received()).to.equal(amount);
+        });
+
+        it("Should only accept funding from the factory", async function () {
+            const escrow = await createEscrow();
+
+            await expect(
+                other.sendTransaction({ to: await escrow.getAddress(), value: 1 })
+            ).to.be.revertedWith("Only factory can fund");
+        });
+    });
+});
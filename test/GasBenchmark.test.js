@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { HASH_ALGORITHMS } = require("../ethereum/hashlock");
+const { ASSET_TYPES } = require("../ethereum/assets");
+const { toSwapRecord } = require("../ethereum/swapRecord");
+
+// Gas of the same swaps through AtomicSwap, which stores a hash of each swap, and through
+// MockStoredAtomicSwap, the version before it that stored every field. Initiations are each
+// initiator's second, so the nonce slot is already warm and set, as it is at volume.
+// `npm run bench:gas` prints the comparison.
+describe("Gas Benchmark", function () {
+    const results = [];
+    const contracts = {};
+    let token;
+    let initiator, participant;
+
+    before(async function () {
+        [, initiator, participant] = await ethers.getSigners();
+
+        const swapAssets = await (await ethers.getContractFactory("SwapAssets")).deploy();
+        const libraries = { SwapAssets: await swapAssets.getAddress() };
+        contracts.stored = await (await ethers.getContractFactory("MockStoredAtomicSwap", { libraries })).deploy();
+        contracts.committed = await (await ethers.getContractFactory("AtomicSwap", { libraries })).deploy();
+
+        token = await (await ethers.getContractFactory("MockPermitERC20")).deploy();
+        await token.mint(initiator.address, ethers.parseEther("1000"));
+        for (const contract of Object.values(contracts)) {
+            await contract.setTokenAllowed(await token.getAddress(), true);
+            await token.connect(initiator).approve(await contract.getAddress(), ethers.MaxUint256);
+        }
+    });
+
+    after(function () {
+        if (process.env.GAS_BENCHMARK) {
+            console.table(results);
+        }
+    });
+
+    const gasOf = async (txPromise) => (await (await txPromise).wait()).gasUsed;
+
+    // Fresh secret and timelocks
+    const newSwap = async (tokenAddress) => {
+        const secret = ethers.randomBytes(32);
+        const cancellation = (await time.latest()) + 3600;
+        const amount = ethers.parseEther("1");
+        return {
+            secret,
+            value: tokenAddress === ethers.ZeroAddress ? amount : 0n,
+            params: {
+                participant: participant.address,
+                token: tokenAddress,
+                assetType: ASSET_TYPES.fungible,
+                tokenId: 0,
+                amount,
+                hashedSecret: ethers.sha256(secret),
+                hashAlgorithm: HASH_ALGORITHMS.sha256,
+                timelocks: {
+                    withdrawal: 0,
+                    publicWithdrawal: cancellation - 1800,
+                    cancellation,
+                    publicCancellation: cancellation + 3600
+                },
+                safetyDeposit: 0,
+                parts: 1,
+                counterpartyChain: ethers.ZeroHash,
+                counterLeg: "0x",
+                basket: []
+            }
+        };
+    };
+
+    // Initiate on one version; returns the leading arguments that version settles the swap by
+    const initiate = async (contract, swap) => {
+        const tx = await contract.connect(initiator).initiateSwap(swap.params, { value: swap.value });
+        const receipt = await tx.wait();
+        const { args } = receipt.logs
+            .map((log) => contract.interface.parseLog(log))
+            .find((event) => event && event.name === "SwapInitiated");
+        return {
+            swapArgs: args.swap ? [args.swapId, toSwapRecord(args.swap)] : [args.swapId],
+            gas: receipt.gasUsed
+        };
+    };
+
+    // Gas of one operation per version
+    const record = (operation, gas) => {
+        results.push({
+            operation,
+            stored: Number(gas.stored),
+            committed: Number(gas.committed),
+            saved: `${((Number(gas.stored - gas.committed) * 100) / Number(gas.stored)).toFixed(1)}%`
+        });
+        expect(gas.committed).to.be.lessThan(gas.stored);
+    };
+
+    for (const asset of ["ETH", "ERC20"]) {
+        const tokenAddress = () => (asset === "ETH" ? ethers.ZeroAddress : token.target);
+
+        it(`Should initiate and withdraw ${asset} swaps for less gas`, async function () {
+            const initiateGas = {};
+            const withdrawGas = {};
+            for (const [version, contract] of Object.entries(contracts)) {
+                await initiate(contract, await newSwap(tokenAddress()));
+
+                const swap = await newSwap(tokenAddress());
+                const { swapArgs, gas } = await initiate(contract, swap);
+                initiateGas[version] = gas;
+                withdrawGas[version] = await gasOf(contract.connect(participant).withdraw(...swapArgs, swap.secret));
+            }
+            record(`initiate ${asset}`, initiateGas);
+            record(`withdraw ${asset}`, withdrawGas);
+        });
+
+        it(`Should refund ${asset} swaps for less gas`, async function () {
+            const initiated = {};
+            for (const [version, contract] of Object.entries(contracts)) {
+                const swap = await newSwap(tokenAddress());
+                initiated[version] = { swap, ...(await initiate(contract, swap)) };
+            }
+
+            // The committed version's swap was initiated last, so it expires last
+            await time.increaseTo(initiated.committed.swap.params.timelocks.publicCancellation);
+            const refundGas = {};
+            for (const [version, contract] of Object.entries(contracts)) {
+                refundGas[version] = await gasOf(contract.connect(initiator).refund(...initiated[version].swapArgs));
+            }
+            record(`refund ${asset}`, refundGas);
+        });
+    }
+});
@@ -0,0 +1,383 @@
+const { expect } = require('chai');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bitcoin = require('bitcoinjs-lib');
+const { ethers, network, artifacts } = require('hardhat');
+const { JsonRpcServer } = require('hardhat/internal/hardhat-network/jsonrpc/server');
+const BitcoinAtomicSwap = require('../bitcoin/atomicSwap');
+const DogecoinAtomicSwap = require('../dogecoin/atomicSwap');
+const { time } = require('@nomicfoundation/hardhat-network-helpers');
+const { ASSET_TYPES, HASH_ALGORITHMS, SWAP_STATUS, hashSecret, createRegistry, addDeployment } = require('../ethereum');
+
+// The server reads its escrow factory on load; any address lets it predict escrow clones
+process.env.ESCROW_FACTORY_ADDRESS = '0x' + 'fa'.repeat(20);
+const { app, initializeEthereum } = require('../backend/server');
+
+describe('Backend server', function () {
+    let server, baseUrl;
+    const bitcoinSwap = new BitcoinAtomicSwap(bitcoin.networks.testnet);
+
+    before(function (done) {
+        server = app.listen(0, () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    after(function (done) {
+        server.close(done);
+    });
+
+    const post = async (path, body) => {
+        const response = await fetch(baseUrl + path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    describe('Swap Withdrawal', function () {
+        const initiateBtcToEth = async (hashedSecret, hashAlgorithm) => {
+            const swapId = '0x' + crypto.randomBytes(32).toString('hex');
+            const [senderPubKey, recipientPubKey] = [0, 1].map(() => bitcoinSwap.createSigner(crypto.randomBytes(32)).publicKey.toString('hex'));
+            const { status } = await post('/api/swap/btc-to-eth/initiate', {
+                swapId,
+                btcAmount: '0.001',
+                ethAmount: '1',
+                ethAddress: '0x' + '11'.repeat(20),
+                hashedSecret,
+                hashAlgorithm,
+                timelock: Math.floor(Date.now() / 1000) + 3600,
+                btcSenderPubKey: senderPubKey,
+                btcRecipientPubKey: recipientPubKey
+            });
+            expect(status).to.equal(200);
+            return swapId;
+        };
+
+        for (const hashAlgorithm of ['hash160', 'hash256']) {
+            it(`Should withdraw a ${hashAlgorithm} swap with its secret`, async function () {
+                const secret = crypto.randomBytes(32).toString('hex');
+                const swapId = await initiateBtcToEth(hashSecret(secret, hashAlgorithm), hashAlgorithm);
+
+                const { status, body } = await post(`/api/swap/${swapId}/withdraw`, { secret });
+
+                expect(status).to.equal(200);
+                expect(body.data.secret).to.equal('0x' + secret);
+            });
+        }
+
+        it('Should reject a secret that only matches under sha256', async function () {
+            const secret = crypto.randomBytes(32).toString('hex');
+            const swapId = await initiateBtcToEth(hashSecret(secret, 'sha256'), 'hash256');
+
+            const { status, body } = await post(`/api/swap/${swapId}/withdraw`, { secret });
+
+            expect(status).to.equal(400);
+            expect(body.error).to.include('Does not match hashed secret');
+        });
+    });
+
+    describe('Escrow Addresses', function () {
+        const ethToBtc = (hashAlgorithm) => ({
+            swapId: '0x' + crypto.randomBytes(32).toString('hex'),
+            ethAmount: '1',
+            btcAmount: '0.001',
+            btcAddress: 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx',
+            hashedSecret: hashSecret(crypto.randomBytes(32).toString('hex'), hashAlgorithm),
+            hashAlgorithm,
+            timelock: Math.floor(Date.now() / 1000) + 3600,
+            timelocks: {
+                withdrawal: 0,
+                publicWithdrawal: Math.floor(Date.now() / 1000) + 1800,
+                cancellation: Math.floor(Date.now() / 1000) + 3600,
+                publicCancellation: Math.floor(Date.now() / 1000) + 7200
+            },
+            ethInitiator: '0x' + '11'.repeat(20),
+            ethParticipant: '0x' + '22'.repeat(20)
+        });
+
+        it('Should predict the escrow clone of a sha256 swap', async function () {
+            const { status, body } = await post('/api/swap/eth-to-btc/initiate', ethToBtc('sha256'));
+
+            expect(status).to.equal(200);
+            expect(body.data.escrowAddress).to.match(/^0x[0-9a-fA-F]{40}$/);
+        });
+
+        it('Should reject other hash algorithms for swaps an escrow clone would lock', async function () {
+            const { status, body } = await post('/api/swap/eth-to-btc/initiate', ethToBtc('hash160'));
+
+            expect(status).to.equal(400);
+            expect(body.error).to.include('only check sha256');
+        });
+    });
+
+    describe('Dogecoin Swap Addresses', function () {
+        const dogecoinSwap = new DogecoinAtomicSwap();
+        const HASH_OPCODES = {
+            sha256: bitcoin.opcodes.OP_SHA256,
+            hash160: bitcoin.opcodes.OP_HASH160,
+            hash256: bitcoin.opcodes.OP_HASH256
+        };
+
+        for (const hashAlgorithm of Object.keys(HASH_OPCODES)) {
+            it(`Should build a ${hashAlgorithm} Dogecoin HTLC for a doge-to-eth swap`, async function () {
+                const sender = dogecoinSwap.createKeyPair();
+                const recipient = dogecoinSwap.createKeyPair();
+                const hashedSecret = hashSecret(crypto.randomBytes(32).toString('hex'), hashAlgorithm);
+                const swapId = '0x' + crypto.randomBytes(32).toString('hex');
+
+                const { status, body } = await post('/api/swap/doge-to-eth/initiate', {
+                    swapId,
+                    dogeAmount: '100',
+                    ethAmount: '1',
+                    ethAddress: '0x' + '11'.repeat(20),
+                    hashedSecret,
+                    hashAlgorithm,
+                    timelock: Math.floor(Date.now() / 1000) + 3600,
+                    dogeSenderPubKey: sender.publicKey,
+                    dogeRecipientPubKey: recipient.publicKey
+                });
+                expect(status).to.equal(200);
+
+                const statusResponse = await fetch(`${baseUrl}/api/swap/${swapId}/status`);
+                const { data } = await statusResponse.json();
+                const [, hashOpcode, lock, , recipientKey, , , , , , senderKey] = bitcoin.script.decompile(Buffer.from(data.dogeScript, 'hex'));
+                expect(hashOpcode).to.equal(HASH_OPCODES[hashAlgorithm]);
+                expect('0x' + lock.toString('hex')).to.equal(hashAlgorithm === 'hash160' ? hashedSecret.slice(0, 42) : hashedSecret);
+                expect(recipientKey.toString('hex')).to.equal(recipient.publicKey);
+                expect(senderKey.toString('hex')).to.equal(sender.publicKey);
+                expect(body.data.dogeSwapAddress).to.equal(dogecoinSwap.generateP2SHAddress(Buffer.from(data.dogeScript, 'hex')));
+            });
+        }
+
+        it('Should create a standalone Dogecoin swap address with the requested hash algorithm', async function () {
+            const sender = dogecoinSwap.createKeyPair();
+            const recipient = dogecoinSwap.createKeyPair();
+            const request = {
+                hashedSecret: hashSecret(crypto.randomBytes(32).toString('hex'), 'hash256'),
+                timelock: Math.floor(Date.now() / 1000) + 3600,
+                recipientPubKey: recipient.publicKey,
+                senderPubKey: sender.publicKey
+            };
+
+            const { status, body } = await post('/api/dogecoin/create-swap-address', { ...request, hashAlgorithm: 'hash256' });
+            expect(status).to.equal(200);
+            expect(bitcoin.script.decompile(Buffer.from(body.data.script, 'hex'))[1]).to.equal(HASH_OPCODES.hash256);
+            expect(body.data.swapAddress[0]).to.equal('2');
+
+            const rejected = await post('/api/dogecoin/create-swap-address', { ...request, hashAlgorithm: 'keccak256' });
+            expect(rejected.status).to.equal(400);
+        });
+    });
+
+    describe('Bitcoin Fee Bumping', function () {
+        let swapId, script, secret, recipientPrivKey, wallet;
+
+        beforeEach(async function () {
+            recipientPrivKey = crypto.randomBytes(32);
+            const senderPrivKey = crypto.randomBytes(32);
+            ({ secret } = bitcoinSwap.generateSecret());
+            wallet = bitcoin.payments.p2wpkh({
+                pubkey: bitcoinSwap.createSigner(recipientPrivKey).publicKey,
+                network: bitcoin.networks.testnet
+            });
+
+            // Half an hour before the refund path opens, so the policy asks for more than the base rate
+            swapId = '0x' + crypto.randomBytes(32).toString('hex');
+            const { body } = await post('/api/swap/btc-to-eth/initiate', {
+                swapId,
+                btcAmount: '0.001',
+                ethAmount: '1',
+                ethAddress: '0x' + '11'.repeat(20),
+                hashedSecret: '0x' + crypto.createHash('sha256').update(Buffer.from(secret, 'hex')).digest('hex'),
+                timelock: Math.floor(Date.now() / 1000) + 1800,
+                btcSenderPubKey: bitcoinSwap.createSigner(senderPrivKey).publicKey.toString('hex'),
+                btcRecipientPubKey: bitcoinSwap.createSigner(recipientPrivKey).publicKey.toString('hex')
+            });
+            script = Buffer.from(body.data.btcScript, 'hex');
+        });
+
+        const claim = (feeRate) => bitcoinSwap.createWithdrawalTransaction(
+            'ab'.repeat(32), 0, script, secret, wallet.address, 100000, recipientPrivKey, { outputType: 'p2wsh', feeRate }
+        );
+
+        const broadcastClaim = async (feeRate) => {
+            const tx = claim(feeRate);
+            const { body } = await post(`/api/swap/${swapId}/btc-spend`, { txHex: tx.toHex(), amount: 100000, kind: 'claim' });
+            return { tx, btcFeeBump: body.data.btcFeeBump };
+        };
+
+        it('Should accept a replacement at the recommended rate', async function () {
+            const { btcFeeBump } = await broadcastClaim(2);
+            expect(btcFeeBump.method).to.equal('rbf');
+
+            const replacement = claim(btcFeeBump.feeRate);
+            const { status, body } = await post(`/api/swap/${swapId}/btc-fee-bump`, { txHex: replacement.toHex() });
+
+            expect(status).to.equal(200);
+            expect(body.data.method).to.equal('rbf');
+            expect(body.data.btcSpend.txHex).to.equal(replacement.toHex());
+            expect(body.data.btcFeeBump).to.be.null;
+
+            const statusResponse = await fetch(`${baseUrl}/api/swap/${swapId}/status`);
+            const { data } = await statusResponse.json();
+            expect(data.btcSpend.txHex).to.equal(replacement.toHex());
+            expect(data.btcFeeBump).to.be.null;
+        });
+
+        it('Should reject a bump below the recommended rate', async function () {
+            const { btcFeeBump } = await broadcastClaim(2);
+
+            const { status, body } = await post(`/api/swap/${swapId}/btc-fee-bump`, {
+                txHex: claim(btcFeeBump.feeRate / 2).toHex()
+            });
+
+            expect(status).to.equal(400);
+            expect(body.error).to.include('Fee bump too low');
+        });
+
+        it('Should track a child that lifts the claim', async function () {
+            const { tx, btcFeeBump } = await broadcastClaim(2);
+            const child = bitcoinSwap.createChildPaysForParentTransaction(
+                tx.toHex(), 100000, wallet.address, recipientPrivKey, btcFeeBump.feeRate
+            );
+
+            const { status, body } = await post(`/api/swap/${swapId}/btc-fee-bump`, { txHex: child.toHex() });
+
+            expect(status).to.equal(200);
+            expect(body.data.method).to.equal('cpfp');
+            expect(body.data.feeRate).to.be.at.least(btcFeeBump.feeRate);
+            expect(body.data.btcSpend.txHex).to.equal(tx.toHex());
+            expect(body.data.btcSpend.childTxHex).to.equal(child.toHex());
+            expect(body.data.btcFeeBump).to.be.null;
+        });
+
+        it('Should reject a transaction unrelated to the spend', async function () {
+            await broadcastClaim(2);
+            const unrelated = bitcoinSwap.createWithdrawalTransaction(
+                'cd'.repeat(32), 0, script, secret, wallet.address, 100000, recipientPrivKey, { outputType: 'p2wsh', feeRate: 50 }
+            );
+
+            const { status, body } = await post(`/api/swap/${swapId}/btc-fee-bump`, { txHex: unrelated.toHex() });
+
+            expect(status).to.equal(400);
+            expect(body.error).to.include('neither replaces nor spends');
+        });
+
+        it('Should only bump unconfirmed spends', async function () {
+            const { btcFeeBump } = await broadcastClaim(2);
+            await post(`/api/swap/${swapId}/btc-spend`, { confirmed: true });
+
+            const { status } = await post(`/api/swap/${swapId}/btc-fee-bump`, { txHex: claim(btcFeeBump.feeRate).toHex() });
+
+            expect(status).to.equal(404);
+        });
+    });
+
+    // Last, as the server keeps its Ethereum connection once made
+    describe('Relayer', function () {
+        let rpcServer, registryPath, atomicSwap;
+
+        // The server reaches the Hardhat network over JSON-RPC, as it would a node
+        before(async function () {
+            rpcServer = new JsonRpcServer({ hostname: '127.0.0.1', port: 0, provider: network.provider });
+            const { port } = await rpcServer.listen();
+
+            const swapAssets = await (await ethers.getContractFactory('SwapAssets')).deploy();
+            atomicSwap = await (await ethers.getContractFactory('AtomicSwap', {
+                libraries: { SwapAssets: await swapAssets.getAddress() }
+            })).deploy();
+            const { chainId } = await ethers.provider.getNetwork();
+            const registry = addDeployment(createRegistry(chainId), {
+                address: await atomicSwap.getAddress(),
+                abi: (await artifacts.readArtifact('AtomicSwap')).abi,
+                blockNumber: 0
+            });
+            registryPath = path.join(os.tmpdir(), `atomic-swap-deployments-${process.pid}.json`);
+            fs.writeFileSync(registryPath, JSON.stringify(registry));
+
+            const relayer = ethers.Wallet.createRandom();
+            await network.provider.send('hardhat_setBalance', [relayer.address, ethers.toQuantity(ethers.parseEther('10'))]);
+            process.env.ETHEREUM_RPC_URL = `http://127.0.0.1:${port}`;
+            process.env.ATOMIC_SWAP_DEPLOYMENTS = registryPath;
+            process.env.RELAYER_PRIVATE_KEY = relayer.privateKey;
+            delete process.env.ATOMIC_SWAP_CONTRACT_ADDRESS;
+            await initializeEthereum();
+        });
+
+        after(async function () {
+            await rpcServer.close();
+            fs.rmSync(registryPath, { force: true });
+        });
+
+        // ETH swap whose public withdrawal window opens publicWithdrawalIn seconds from now
+        const initiateSwap = async (publicWithdrawalIn) => {
+            const [, initiator, participant] = await ethers.getSigners();
+            const secret = ethers.hexlify(ethers.randomBytes(32));
+            const now = await time.latest();
+            const amount = ethers.parseEther('1');
+            const tx = await atomicSwap.connect(initiator).initiateSwap({
+                participant: participant.address,
+                token: ethers.ZeroAddress,
+                assetType: ASSET_TYPES.fungible,
+                tokenId: 0,
+                amount,
+                hashedSecret: ethers.sha256(secret),
+                hashAlgorithm: HASH_ALGORITHMS.sha256,
+                timelocks: {
+                    withdrawal: 0,
+                    publicWithdrawal: publicWithdrawalIn > 0 ? now + publicWithdrawalIn : 0,
+                    cancellation: now + 3600,
+                    publicCancellation: now + 7200
+                },
+                safetyDeposit: 0,
+                parts: 1,
+                counterpartyChain: ethers.ZeroHash,
+                counterLeg: '0x',
+                basket: []
+            }, { value: amount });
+            const { args } = (await tx.wait()).logs
+                .map((log) => atomicSwap.interface.parseLog(log))
+                .find((event) => event && event.name === 'SwapInitiated');
+            return { swapId: args.swapId, secret };
+        };
+
+        it('Should reject a relayer fee that is not a non-negative integer string', async function () {
+            for (const relayerFee of ['-1', '1.5', '0x10', '', 10, ['10']]) {
+                const { status, body } = await post('/api/relayer/withdraw', {
+                    swapId: ethers.ZeroHash,
+                    secret: ethers.ZeroHash,
+                    relayerFee,
+                    deadline: 1,
+                    signature: '0x00'
+                });
+
+                expect(status).to.equal(400);
+                expect(body.error).to.include('relayerFee');
+            }
+        });
+
+        it('Should skip swaps still in their private windows when settling', async function () {
+            const open = await initiateSwap(0);
+            const privateWithdrawal = await initiateSwap(1800);
+
+            const { status, body } = await post('/api/swaps/settle', {
+                swaps: [open, privateWithdrawal, { swapId: privateWithdrawal.swapId }]
+            });
+
+            expect(status).to.equal(200);
+            expect(body.data.settled).to.equal(1);
+            const [skippedWithdrawal, skippedRefund, settled] = body.data.results;
+            expect(settled).to.include({ swapId: open.swapId, action: 'withdraw', success: true });
+            expect(skippedWithdrawal).to.include({ swapId: privateWithdrawal.swapId, action: 'withdraw', success: false });
+            expect(skippedWithdrawal.error).to.include('only withdraw in the public-withdrawal window');
+            expect(skippedRefund).to.include({ swapId: privateWithdrawal.swapId, action: 'refund', success: false });
+            expect(skippedRefund.error).to.include('only refund in the public-cancellation window');
+            expect((await atomicSwap.swapStates(privateWithdrawal.swapId)).status).to.equal(SWAP_STATUS.open);
+        });
+    });
+});